@@ -0,0 +1,378 @@
+/**
+ * Apache Arrow IPC stream encoder (pure JS), used by the 'arrow' output format.
+ * Produces a schema message, one record batch per page of rows (or per batchRows rows) and an end of stream marker.
+ * Format: https://arrow.apache.org/docs/format/Columnar.html#serialization-and-interprocess-communication-ipc
+ */
+const { parseType, createDecoder } = require('./decoders');
+
+const METADATA_VERSION_V5 = 4;
+const HEADER_SCHEMA = 1;
+const HEADER_RECORD_BATCH = 3;
+const TYPE = { Int: 2, FloatingPoint: 3, Binary: 4, Utf8: 5, Bool: 6, Decimal: 7, Date: 8, Timestamp: 10 };
+const TIME_UNIT = { MILLISECOND: 1, MICROSECOND: 2, NANOSECOND: 3 };
+const CONTINUATION = 0xFFFFFFFF;
+const MS_PER_DAY = 86400000;
+
+/**
+ * @description minimal flatbuffers writer. Objects are written front to back: a table is written before the objects it references
+ * (so offsets are always positive), with its vtable immediately before it.
+ * Fields are described as { type: 'bool'|'u8'|'i16'|'i32'|'i64', value } for scalars, or { type: 'offset', write: () => position } for references.
+ */
+class FlatBuilder {
+    constructor() {
+        this.buffer = Buffer.alloc(256);
+        this.position = 0;
+    }
+    reserve(bytes) {
+        if (this.position + bytes > this.buffer.length) {
+            const buffer = Buffer.alloc(Math.max(this.buffer.length * 2, this.position + bytes));
+            this.buffer.copy(buffer, 0, 0, this.position);
+            this.buffer = buffer;
+        }
+        const position = this.position;
+        this.position += bytes;
+        return position;
+    }
+    align(alignment) {
+        this.reserve((alignment - (this.position % alignment)) % alignment);
+    }
+    scalar(type, value, position) {
+        switch (type) {
+            case 'bool':
+            case 'u8':
+                return this.buffer.writeUInt8((value) ? Number(value) : 0, position);
+            case 'i16':
+                return this.buffer.writeInt16LE(value, position);
+            case 'i32':
+                return this.buffer.writeInt32LE(value, position);
+            case 'i64':
+                return this.buffer.writeBigInt64LE(BigInt(value), position);
+        }
+    }
+    /**
+     * @description write a table, returns its position
+     */
+    table(fields) {
+        const sizes = { bool: 1, u8: 1, i16: 2, i32: 4, offset: 4, i64: 8 };
+        // layout of the table relative to its start (which is 8 byte aligned)
+        let size = 4; // soffset to vtable
+        const layout = fields.map((field) => {
+            if (!field) {
+                return 0;
+            }
+            const fieldSize = sizes[field.type];
+            size += (fieldSize - (size % fieldSize)) % fieldSize;
+            const offset = size;
+            size += fieldSize;
+            return offset;
+        });
+        this.align(2);
+        const vtable = this.reserve(4 + 2 * fields.length);
+        this.buffer.writeUInt16LE(4 + 2 * fields.length, vtable);
+        this.buffer.writeUInt16LE(size, vtable + 2);
+        layout.forEach((offset, i) => this.buffer.writeUInt16LE(offset, vtable + 4 + 2 * i));
+        this.align(8);
+        const table = this.reserve(size);
+        this.buffer.fill(0, table, table + size);
+        this.buffer.writeInt32LE(table - vtable, table);
+        fields.forEach((field, i) => {
+            if (field && field.type !== 'offset') {
+                this.scalar(field.type, field.value, table + layout[i]);
+            }
+        });
+        fields.forEach((field, i) => {
+            if (field && field.type === 'offset') {
+                const target = field.write();
+                this.buffer.writeUInt32LE(target - (table + layout[i]), table + layout[i]);
+            }
+        });
+        return table;
+    }
+    string(value) {
+        const bytes = Buffer.from(value, 'utf8');
+        this.align(4);
+        const position = this.reserve(4 + bytes.length + 1);
+        this.buffer.writeUInt32LE(bytes.length, position);
+        bytes.copy(this.buffer, position + 4);
+        this.buffer.writeUInt8(0, position + 4 + bytes.length);
+        return position;
+    }
+    /**
+     * @description write a vector of references to objects, each written by the given functions
+     */
+    vector(writers) {
+        this.align(4);
+        const position = this.reserve(4 + 4 * writers.length);
+        this.buffer.writeUInt32LE(writers.length, position);
+        writers.forEach((write, i) => {
+            const target = write();
+            this.buffer.writeUInt32LE(target - (position + 4 + 4 * i), position + 4 + 4 * i);
+        });
+        return position;
+    }
+    /**
+     * @description write a vector of structs made of 64 bit integers
+     */
+    structs(items) {
+        while ((this.position + 4) % 8 !== 0) {
+            this.reserve(1);
+        }
+        const position = this.reserve(4 + 8 * items.reduce((total, item) => total + item.length, 0));
+        this.buffer.writeUInt32LE(items.length, position);
+        let offset = position + 4;
+        for (const item of items) {
+            for (const value of item) {
+                this.scalar('i64', value, offset);
+                offset += 8;
+            }
+        }
+        return position;
+    }
+    /**
+     * @description write the root table and return the finished buffer, padded to 8 bytes
+     */
+    finish(root) {
+        const position = this.reserve(4);
+        const table = root();
+        this.buffer.writeUInt32LE(table - position, position);
+        this.align(8);
+        return this.buffer.slice(0, this.position);
+    }
+}
+
+const offset = write => ({ type: 'offset', write });
+
+/**
+ * @description arrow type of a presto column, with an encoder of its values
+ */
+function arrowType(type, jsonParser) {
+    const signature = parseType(type);
+    const int = (bitWidth, Array) => ({ id: TYPE.Int, fields: [{ type: 'i32', value: bitWidth }, { type: 'bool', value: true }], fixed: Array });
+    switch (signature.rawType) {
+        case 'boolean':
+            return { id: TYPE.Bool, fields: [], bool: true };
+        case 'tinyint':
+            return int(8, Int8Array);
+        case 'smallint':
+            return int(16, Int16Array);
+        case 'integer':
+            return int(32, Int32Array);
+        case 'bigint':
+            return Object.assign(int(64, BigInt64Array), { convert: value => (typeof value === 'number') ? BigInt(value) : BigInt(String(value)) });
+        case 'real':
+            return { id: TYPE.FloatingPoint, fields: [{ type: 'i16', value: 1 }], fixed: Float32Array, convert: Number };
+        case 'double':
+            return { id: TYPE.FloatingPoint, fields: [{ type: 'i16', value: 2 }], fixed: Float64Array, convert: Number };
+        case 'date': {
+            const decode = createDecoder('date');
+            return { id: TYPE.Date, fields: [{ type: 'i16', value: 0 }], fixed: Int32Array, convert: value => Math.floor(decode(value).getTime() / MS_PER_DAY) };
+        }
+        case 'timestamp':
+        case 'timestamp with time zone': {
+            const precision = (signature.arguments.length > 0) ? signature.arguments[0] : 3;
+            const unit = (precision <= 3) ? TIME_UNIT.MILLISECOND : (precision <= 6) ? TIME_UNIT.MICROSECOND : TIME_UNIT.NANOSECOND;
+            const fields = [{ type: 'i16', value: unit }];
+            if (signature.rawType === 'timestamp with time zone') {
+                fields.push(offset(builder => builder.string('UTC')));
+            }
+            const toDate = createDecoder(type);
+            const toObject = createDecoder(type, { temporal: 'object' });
+            return {
+                id: TYPE.Timestamp, fields, fixed: BigInt64Array,
+                convert: (value) => {
+                    const ms = BigInt(toDate(value).getTime());
+                    const subMillisecond = BigInt(toObject(value).nanosecond % 1e6);
+                    if (unit === TIME_UNIT.MILLISECOND) {
+                        return ms;
+                    }
+                    return (unit === TIME_UNIT.MICROSECOND) ? ms * BigInt(1000) + subMillisecond / BigInt(1000) : ms * BigInt(1e6) + subMillisecond;
+                }
+            };
+        }
+        case 'decimal': {
+            const [precision, scale] = [signature.arguments[0] || 38, signature.arguments[1] || 0];
+            return { id: TYPE.Decimal, fields: [{ type: 'i32', value: precision }, { type: 'i32', value: scale }, { type: 'i32', value: 128 }], decimal: scale };
+        }
+        case 'varbinary':
+            return { id: TYPE.Binary, fields: [], variable: value => Buffer.from(value, 'base64') };
+        default: // varchar, char, json... and types without a simple arrow equivalent (arrays, maps, rows, time, intervals) as text
+            return { id: TYPE.Utf8, fields: [], variable: value => Buffer.from((typeof value === 'object') ? jsonParser.stringify(value) : String(value), 'utf8') };
+    }
+}
+
+/**
+ * @description unscaled value of a decimal string, e.g. ('-1.5', 2) => -150n
+ */
+function unscaled(value, scale) {
+    const text = String(value).trim();
+    const negative = text[0] === '-';
+    const [whole, fraction = ''] = text.replace(/^[-+]/, '').split('.');
+    const digits = BigInt((whole || '0') + fraction.padEnd(scale, '0').slice(0, scale));
+    return (negative) ? -digits : digits;
+}
+
+function padded(buffer) {
+    const padding = (8 - (buffer.length % 8)) % 8;
+    return (padding > 0) ? Buffer.concat([buffer, Buffer.alloc(padding)]) : buffer;
+}
+
+function bitmap(length, isSet) {
+    const buffer = Buffer.alloc(Math.ceil(length / 8));
+    for (let i = 0; i < length; i++) {
+        if (isSet(i)) {
+            buffer[i >> 3] |= 1 << (i % 8);
+        }
+    }
+    return buffer;
+}
+
+/**
+ * @description encode the values of one column as arrow buffers
+ * @returns {Object} { nullCount, buffers: Buffer[] }
+ */
+function encodeColumn(type, values) {
+    const length = values.length;
+    let nullCount = 0;
+    const validity = bitmap(length, (i) => {
+        const valid = values[i] !== null && values[i] !== undefined;
+        nullCount += (valid) ? 0 : 1;
+        return valid;
+    });
+    const valid = i => values[i] !== null && values[i] !== undefined;
+    let buffers;
+    if (type.bool) {
+        buffers = [bitmap(length, i => valid(i) && values[i] === true)];
+    } else if (type.fixed) {
+        const array = new type.fixed(length);
+        const convert = type.convert || Number;
+        for (let i = 0; i < length; i++) {
+            if (valid(i)) {
+                array[i] = convert(values[i]);
+            }
+        }
+        buffers = [Buffer.from(array.buffer, array.byteOffset, array.byteLength)];
+    } else if (type.decimal !== undefined) {
+        const array = new BigInt64Array(length * 2);
+        for (let i = 0; i < length; i++) {
+            if (valid(i)) {
+                const value = unscaled(values[i], type.decimal);
+                array[2 * i] = BigInt.asIntN(64, value); // little endian 128 bit two's complement: low word first
+                array[2 * i + 1] = BigInt.asIntN(64, value >> BigInt(64));
+            }
+        }
+        buffers = [Buffer.from(array.buffer)];
+    } else {
+        const offsets = new Int32Array(length + 1);
+        const chunks = [];
+        let total = 0;
+        for (let i = 0; i < length; i++) {
+            if (valid(i)) {
+                const bytes = type.variable(values[i]);
+                chunks.push(bytes);
+                total += bytes.length;
+            }
+            offsets[i + 1] = total;
+        }
+        buffers = [Buffer.from(offsets.buffer), Buffer.concat(chunks, total)];
+    }
+    return { nullCount, buffers: [validity].concat(buffers) };
+}
+
+/**
+ * @description encapsulate a flatbuffer message (and body) as per the IPC format
+ */
+function encapsulate(metadata, body) {
+    const prefix = Buffer.alloc(8);
+    prefix.writeUInt32LE(CONTINUATION, 0);
+    prefix.writeInt32LE(metadata.length, 4);
+    return Buffer.concat([prefix, metadata].concat(body || []));
+}
+
+function message(headerType, header, bodyLength) {
+    const builder = new FlatBuilder();
+    return builder.finish(() => builder.table([
+        { type: 'i16', value: METADATA_VERSION_V5 },
+        { type: 'u8', value: headerType },
+        offset(() => header(builder)),
+        { type: 'i64', value: bodyLength }
+    ]));
+}
+
+/**
+ * @description encode the schema message for the given columns
+ */
+function schemaMessage(columns, types) {
+    return encapsulate(message(HEADER_SCHEMA, builder => builder.table([
+        { type: 'i16', value: 0 }, // little endian
+        offset(() => builder.vector(columns.map((column, i) => () => builder.table([
+            offset(() => builder.string(column.name)),
+            { type: 'bool', value: true },
+            { type: 'u8', value: types[i].id },
+            offset(() => builder.table(types[i].fields.map(field => (field.type === 'offset') ? offset(() => field.write(builder)) : field))),
+            null, // dictionary
+            offset(() => builder.vector([])) // children
+        ]))))
+    ]), 0));
+}
+
+/**
+ * @description encode a record batch message for the given rows
+ */
+function recordBatchMessage(types, rows) {
+    const nodes = [];
+    const bufferInfo = [];
+    const body = [];
+    let bodyLength = 0;
+    types.forEach((type, column) => {
+        const { nullCount, buffers } = encodeColumn(type, rows.map(row => row[column]));
+        nodes.push([rows.length, nullCount]);
+        for (const buffer of buffers) {
+            const data = padded(buffer);
+            bufferInfo.push([bodyLength, buffer.length]);
+            body.push(data);
+            bodyLength += data.length;
+        }
+    });
+    const metadata = message(HEADER_RECORD_BATCH, builder => builder.table([
+        { type: 'i64', value: rows.length },
+        offset(() => builder.structs(nodes)),
+        offset(() => builder.structs(bufferInfo))
+    ]), bodyLength);
+    return encapsulate(metadata, body);
+}
+
+/**
+ * @description the arrow output format: { binary, create(columns, options, context) }. options: batchRows, rows per record batch (default: one batch per page)
+ */
+const arrowFormat = {
+    binary: true,
+    create(columns, options, { jsonParser }) {
+        const types = columns.map(column => arrowType(column.type, jsonParser));
+        const batchRows = options.batchRows || 0;
+        let pending = [];
+        const flush = (all) => {
+            const output = [];
+            while (pending.length > 0 && (all || pending.length >= batchRows)) {
+                const rows = (batchRows > 0) ? pending.slice(0, batchRows) : pending;
+                pending = pending.slice(rows.length);
+                output.push(recordBatchMessage(types, rows));
+            }
+            return (output.length > 0) ? Buffer.concat(output) : null;
+        };
+        return {
+            start: () => schemaMessage(columns, types),
+            page: (rows) => {
+                pending = pending.concat(rows);
+                return flush(batchRows === 0);
+            },
+            end: () => {
+                const eos = Buffer.alloc(8);
+                eos.writeUInt32LE(CONTINUATION, 0);
+                const rest = flush(true);
+                return (rest) ? Buffer.concat([rest, eos]) : eos;
+            }
+        };
+    }
+};
+
+module.exports = { arrowFormat };
@@ -0,0 +1,165 @@
+/**
+ * Authentication providers of the client. A provider is an object with:
+ * headers(): headers to add to each request (or a Promise of them), e.g. { Authorization: 'Bearer ...' }
+ * refresh(challenge): optional, called when the coordinator answers 401. challenge: { headers, data } of the response, authorization: the rejected
+ *      Authorization header, request(url): function fetching JSON from a url. Returns (a Promise of) true if the request should be sent again with fresh credentials.
+ */
+const { Headers } = require('./headers');
+
+const EXTERNAL_DEFAULTS = Object.freeze({
+    timeout: 300000, // ms, how long to wait for the user to authenticate
+    pollInterval: 1000 // ms, interval between polls of the token server if it does not hold requests
+});
+
+/**
+ * @description parse the parameters of a WWW-Authenticate header, e.g. 'Bearer x_redirect_server="https://..", x_token_server="https://.."'
+ * @returns {Object} { scheme, params }
+ */
+function parseChallenge(header) {
+    const text = String(header || '');
+    const scheme = text.split(/\s/)[0].toLowerCase();
+    const params = {};
+    const pattern = /(\w+)="([^"]*)"/g;
+    let match;
+    while ((match = pattern.exec(text)) !== null) {
+        params[match[1]] = match[2];
+    }
+    return { scheme, params };
+}
+
+/**
+ * @description provider sending the same credentials every time, Basic Auth (user, password)
+ */
+function basic(user, password) {
+    const authorization = 'Basic ' + Buffer.from(`${user}:${password}`).toString('base64');
+    return { type: 'basic', headers: () => ({ [Headers.AUTHORIZATION]: authorization }) };
+}
+
+/**
+ * @description provider sending a static bearer token, e.g. a JWT
+ */
+function bearer(token) {
+    if (!token) {
+        throw new Error('bearer token not specified');
+    }
+    return { type: 'bearer', headers: () => ({ [Headers.AUTHORIZATION]: `Bearer ${token}` }) };
+}
+
+/**
+ * @description provider of bearer tokens returned by a user callback. The token is cached, and the callback called again when the coordinator rejects it (401).
+ * @param {Function} callback - function({ reason: 'initial' | 'rejected' }) returning a token or a Promise of a token
+ */
+function token(callback) {
+    if (typeof callback !== 'function') {
+        throw new Error('token provider requires a callback');
+    }
+    let current = null; // Promise of the current token
+    const fetch = (reason) => {
+        const pending = Promise.resolve().then(() => callback({ reason }));
+        current = pending;
+        pending.catch(() => { // try again with the next request
+            if (current === pending) {
+                current = null;
+            }
+        });
+        return pending;
+    };
+    return {
+        type: 'token',
+        headers: async () => ({ [Headers.AUTHORIZATION]: `Bearer ${await (current || fetch('initial'))}` }),
+        refresh: async (challenge) => {
+            const latest = (current) ? await current.catch(() => null) : null;
+            if (latest === null || `Bearer ${latest}` === challenge.authorization) { // otherwise another request already refreshed the token
+                await fetch('rejected');
+            }
+            return true;
+        }
+    };
+}
+
+/**
+ * @description provider for the external authentication flow of the coordinator (e.g. OAuth2): requests are rejected with a 401 challenge
+ * 'Bearer x_redirect_server="..", x_token_server=".."'. The user authenticates by visiting the redirect url, meanwhile the token url is polled until it returns the token.
+ * @param {Object} opts - redirect: function(url) called with the url the user should visit (e.g. to open a browser), default: print the url to stderr.
+ * timeout: ms to wait for the user to authenticate, default 5 minutes. pollInterval: ms between polls of the token url, default 1000
+ */
+function external(opts = {}) {
+    const settings = Object.assign({}, EXTERNAL_DEFAULTS, opts);
+    const redirect = settings.redirect || ((url) => { process.stderr.write(`authenticate at: ${url}\n`); });
+    let current = null; // the token once obtained
+    let flow = null; // Promise of the flow in progress, shared by concurrent requests
+    const poll = async (url, challenge, deadline) => {
+        for (;;) {
+            if (Date.now() > deadline) {
+                throw new Error('external authentication timed out');
+            }
+            const { data } = await challenge.request(url);
+            if (data.token) {
+                return data.token;
+            } else if (data.error) {
+                throw new Error(`external authentication failed: ${data.error}`);
+            } else if (data.nextUri) {
+                if (data.nextUri === url) {
+                    await new Promise(resolve => setTimeout(resolve, settings.pollInterval));
+                }
+                url = data.nextUri;
+            } else {
+                throw new Error('external authentication failed: unexpected response from token server');
+            }
+        }
+    };
+    return {
+        type: 'external',
+        headers: () => (current) ? { [Headers.AUTHORIZATION]: `Bearer ${current}` } : {},
+        refresh: (challenge) => {
+            if (current && `Bearer ${current}` !== challenge.authorization) { // another request already obtained a new token
+                return Promise.resolve(true);
+            }
+            if (!flow) {
+                const { params } = parseChallenge(challenge.headers['www-authenticate']);
+                if (!params.x_token_server) { // not an external authentication challenge
+                    return Promise.resolve(false);
+                }
+                flow = Promise.resolve().then(() => {
+                    if (params.x_redirect_server) {
+                        redirect(params.x_redirect_server);
+                    }
+                    return poll(params.x_token_server, challenge, Date.now() + settings.timeout);
+                }).then((value) => {
+                    current = value;
+                    flow = null;
+                    return true;
+                }, (error) => {
+                    flow = null;
+                    throw error;
+                });
+            }
+            return flow;
+        }
+    };
+}
+
+/**
+ * @description resolve the auth option of a client to a provider
+ * @param {Object|Function|String} auth - a provider, a token callback (see token) or a bearer token
+ * @param {String} user - user of the client, for Basic Auth with password
+ * @param {String} password - if set (and auth is not), Basic Auth
+ * @returns {Object|null} provider, or null if requests are not authenticated
+ */
+function createAuthProvider(auth, user, password) {
+    if (typeof auth === 'function') {
+        return token(auth);
+    } else if (typeof auth === 'string') {
+        return bearer(auth);
+    } else if (auth instanceof Object) {
+        if (typeof auth.headers !== 'function') {
+            throw new Error('auth provider must have a headers function');
+        }
+        return auth;
+    } else if (password) {
+        return basic(user, password);
+    }
+    return null;
+}
+
+module.exports = { basic, bearer, token, external, createAuthProvider, parseChallenge };
@@ -0,0 +1,373 @@
+/**
+ * Cache of query results (columns & the states & pages of raw rows of the responses), in memory or in a directory, replayed by statements on a hit.
+ */
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { normalizeSql } = require('./literals');
+
+const CACHE_DEFAULTS = Object.freeze({
+    ttl: 300000, // ms
+    dir: null, // directory of the cached results, null = in memory
+    maxBytes: 64 * 1024 * 1024, // of all cached results
+    maxEntries: 1000,
+    maxEntryBytes: 8 * 1024 * 1024 // results over this size are not cached
+});
+
+/**
+ * @description a JSON string of a value, with the keys of objects sorted
+ */
+function canonicalJson(value) {
+    if (Array.isArray(value)) {
+        return '[' + value.map(canonicalJson).join(',') + ']';
+    } else if (value instanceof Object) {
+        return '{' + Object.keys(value).sort().map(key => JSON.stringify(key) + ':' + canonicalJson(value[key])).join(',') + '}';
+    }
+    return JSON.stringify((value === undefined) ? null : value);
+}
+
+/**
+ * @description the cache key of a query
+ * @param {Object} parts - sql (normalized before hashing), params (the USING clause of parameters), catalog, schema, user, timezone, path,
+ * properties (session properties), roles, preparedStatements
+ * @returns {String} sha-256 hex digest
+ */
+function cacheKey(parts) {
+    const normalized = Object.assign({}, parts, { sql: normalizeSql(parts.sql) });
+    return crypto.createHash('sha256').update(canonicalJson(normalized)).digest('hex');
+}
+
+/**
+ * @description cached results in memory
+ */
+class MemoryStore {
+    constructor() {
+        this.entries = new Map(); // key => entry
+    }
+    async keys() {
+        return new Map(Array.from(this.entries, ([key, entry]) => [key, entry.bytes]));
+    }
+    async get(key) {
+        return this.entries.get(key) || null;
+    }
+    async set(key, entry) {
+        this.entries.set(key, entry);
+    }
+    async delete(key) {
+        this.entries.delete(key);
+    }
+}
+
+/**
+ * @description cached results as <key>.json files in a directory, shared by the processes using it
+ */
+class DirectoryStore {
+    constructor(dir, jsonParser) {
+        this.dir = dir;
+        this.jsonParser = jsonParser;
+        this.writes = 0;
+    }
+    file(key) {
+        return path.join(this.dir, key + '.json');
+    }
+    /**
+     * @returns {Promise<Map>} key => bytes of the cached results, oldest first
+     */
+    async keys() {
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        const names = (await fs.promises.readdir(this.dir)).filter(name => /^[0-9a-f]{64}\.json$/.test(name));
+        const files = await Promise.all(names.map(name => fs.promises.stat(path.join(this.dir, name)).then(stat => ({ name, stat }), () => null)));
+        return new Map(files.filter(file => file !== null)
+            .sort((a, b) => a.stat.mtimeMs - b.stat.mtimeMs)
+            .map(file => [file.name.slice(0, -5), file.stat.size]));
+    }
+    async get(key) {
+        let content;
+        try {
+            content = await fs.promises.readFile(this.file(key), 'utf8');
+        } catch (error) {
+            if (error.code === 'ENOENT') {
+                return null;
+            }
+            throw error;
+        }
+        return this.jsonParser.parse(content);
+    }
+    async set(key, entry) {
+        // written to a temporary file first, so readers never see a partial result
+        const temporary = `${this.file(key)}.${process.pid}.${++this.writes}.tmp`;
+        await fs.promises.mkdir(this.dir, { recursive: true });
+        await fs.promises.writeFile(temporary, this.jsonParser.stringify(entry));
+        await fs.promises.rename(temporary, this.file(key));
+    }
+    async delete(key) {
+        await fs.promises.unlink(this.file(key)).catch((error) => {
+            if (error.code !== 'ENOENT') {
+                throw error;
+            }
+        });
+    }
+}
+
+/**
+ * @description cache of the results of statements. Events (for metrics): hit ({ key, queryId }), miss ({ key }), store ({ key, queryId, bytes }),
+ * evict ({ key, bytes, reason: 'expired', 'size' or 'invalidated' }), error (failure to read or write a cached result, which is then skipped)
+ */
+class ResultCache extends EventEmitter {
+    /**
+     * @param {Object} opts - ttl: ms a result is kept, dir: directory to keep the results in (default: in memory), maxBytes: total size of the results,
+     * maxEntries: number of results, maxEntryBytes: size above which a result is not cached
+     * @param {Object} jsonParser - parser of the client, used to size & write the results
+     */
+    constructor(opts = {}, jsonParser = JSON) {
+        super();
+        const settings = Object.assign({}, CACHE_DEFAULTS, opts);
+        for (const key of ['ttl', 'maxBytes', 'maxEntries', 'maxEntryBytes']) {
+            if (typeof settings[key] !== 'number' || !Number.isFinite(settings[key]) || settings[key] <= 0) {
+                throw new Error(`invalid result cache ${key}: ${settings[key]}, expected a positive number`);
+            }
+        }
+        this.ttl = settings.ttl;
+        this.maxBytes = settings.maxBytes;
+        this.maxEntries = settings.maxEntries;
+        this.maxEntryBytes = Math.min(settings.maxEntryBytes, settings.maxBytes);
+        this.jsonParser = (typeof jsonParser.stringify === 'function') ? jsonParser : JSON;
+        this.store = (settings.dir) ? new DirectoryStore(settings.dir, this.jsonParser) : new MemoryStore();
+        this.index = null; // key => bytes, least recently used first. loaded from the store on first use
+        this.loading = null;
+        this.writes = new Map(); // key => promise of a write in progress
+        this.hits = 0;
+        this.misses = 0;
+    }
+    async load() {
+        if (!this.index) {
+            this.loading = this.loading || this.store.keys().then((keys) => {
+                this.index = this.index || keys;
+            }, (error) => { // e.g. the directory can not be created, every lookup is a miss
+                this.fail(error);
+                this.index = this.index || new Map();
+            });
+            await this.loading;
+        }
+        return this.index;
+    }
+    /**
+     * @description the cached result of a key, if any and not expired
+     * @returns {Promise<Object|null>} { key, queryId, columns, responses, stats, info, created, expires, bytes }
+     */
+    async get(key) {
+        if (this.writes.has(key)) {
+            await this.writes.get(key);
+        }
+        const index = await this.load();
+        let entry = null;
+        try {
+            entry = await this.store.get(key); // the store may have results written by other processes, which are not in the index
+        } catch (error) {
+            this.fail(error);
+        }
+        if (entry && entry.expires <= Date.now()) {
+            index.set(key, entry.bytes);
+            await this.remove(key, 'expired');
+            entry = null;
+        } else if (entry) {
+            index.delete(key); // most recently used
+            index.set(key, entry.bytes);
+        } else {
+            index.delete(key);
+        }
+        if (entry) {
+            this.hits++;
+            this.emit('hit', { key, queryId: entry.queryId });
+        } else {
+            this.misses++;
+            this.emit('miss', { key });
+        }
+        return entry;
+    }
+    /**
+     * @description keep a result, evicting the least recently used results over maxEntries or maxBytes
+     * @param {String} key - cache key of the query
+     * @param {Object} result - { queryId, columns, responses, stats, info, bytes }
+     */
+    set(key, result) {
+        if (result.bytes > this.maxEntryBytes) {
+            return Promise.resolve();
+        }
+        // lookups of the key wait for the write, so a statement run right after the one recording the result gets it
+        const write = this.write(key, result).catch(error => this.fail(error));
+        this.writes.set(key, write);
+        return write.finally(() => {
+            if (this.writes.get(key) === write) {
+                this.writes.delete(key);
+            }
+        });
+    }
+    /**
+     * @description wait for the writes in progress, e.g. before the process exits
+     */
+    async flush() {
+        await Promise.all(Array.from(this.writes.values()));
+    }
+    async write(key, result) {
+        const now = Date.now();
+        const entry = Object.assign({ key, created: now, expires: now + this.ttl }, result);
+        const index = await this.load();
+        try {
+            await this.store.set(key, entry);
+        } catch (error) {
+            this.fail(error);
+            return;
+        }
+        index.delete(key);
+        index.set(key, entry.bytes);
+        this.emit('store', { key, queryId: entry.queryId, bytes: entry.bytes });
+        let bytes = Array.from(index.values()).reduce((total, size) => total + size, 0);
+        for (const [oldest, size] of index) {
+            if (index.size <= this.maxEntries && bytes <= this.maxBytes) {
+                break;
+            }
+            bytes -= size;
+            await this.remove(oldest, 'size');
+        }
+    }
+    /**
+     * @description drop a cached result, or all of them
+     * @param {String} key (optional) - the key to drop, all results if not set
+     */
+    async invalidate(key) {
+        const index = await this.load();
+        const keys = (key === undefined) ? Array.from(index.keys()) : [key];
+        for (const item of keys.filter(value => index.has(value))) {
+            await this.remove(item, 'invalidated');
+        }
+    }
+    /**
+     * @description { hits, misses, entries, bytes, maxBytes, maxEntries } (entries & bytes as known to this process)
+     */
+    stats() {
+        const sizes = Array.from((this.index) ? this.index.values() : []);
+        return {
+            hits: this.hits,
+            misses: this.misses,
+            entries: sizes.length,
+            bytes: sizes.reduce((total, size) => total + size, 0),
+            maxBytes: this.maxBytes,
+            maxEntries: this.maxEntries
+        };
+    }
+    /**
+     * @description a recorder of the pages of a statement, storing the result once the statement succeeds
+     */
+    recorder(key) {
+        return new Recorder(this, key);
+    }
+    async remove(key, reason) {
+        const bytes = this.index.get(key) || 0;
+        this.index.delete(key);
+        try {
+            await this.store.delete(key);
+        } catch (error) {
+            this.fail(error);
+        }
+        this.emit('evict', { key, bytes, reason });
+    }
+    fail(error) {
+        if (this.listenerCount('error') > 0) { // the cache is best effort, failures only surface if listened to
+            this.emit('error', error);
+        }
+    }
+    size(value) {
+        return Buffer.byteLength(this.jsonParser.stringify(value));
+    }
+}
+
+/**
+ * @description records the raw responses of a statement. Results of updates (INSERT, SET SESSION, USE...) and results over maxEntryBytes are not kept.
+ */
+class Recorder {
+    constructor(cache, key) {
+        this.cache = cache;
+        this.key = key;
+        this.queryId = null;
+        this.columns = null;
+        this.responses = []; // { state, data, columns: true on the response which listed the columns first }
+        this.bytes = 0;
+        this.skipped = false;
+    }
+    /**
+     * @param {Object} data - a response of the query (id, stats, columns, data, updateType)
+     */
+    record(data) {
+        if (this.skipped) {
+            return;
+        } else if (data.updateType) {
+            this.skip();
+            return;
+        }
+        this.queryId = data.id;
+        const response = { state: data.stats.state };
+        const last = this.responses[this.responses.length - 1];
+        try {
+            if (!this.columns && data.columns) {
+                this.columns = data.columns.map(column => Object.assign({}, column)); // copied, object mode renames duplicate columns
+                this.bytes += this.cache.size(this.columns);
+                response.columns = true;
+            }
+            if (data.data) {
+                response.data = data.data;
+                this.bytes += this.cache.size(data.data);
+            } else if (!response.columns && last && last.state === response.state && !last.data) {
+                return; // polls without a change are replayed once
+            }
+        } catch (error) { // a value the parser can not write back
+            this.skip();
+            return;
+        }
+        this.responses.push(response);
+        if (this.bytes > this.cache.maxEntryBytes) {
+            this.skip();
+        }
+    }
+    skip() {
+        this.skipped = true;
+        this.responses = [];
+    }
+    /**
+     * @description the statement succeeded, store its result
+     * @param {Object} stats - the final stats of the query
+     * @param {Object} info - the query info, if fetched
+     */
+    finish(stats, info) {
+        if (this.skipped) {
+            return Promise.resolve();
+        }
+        const result = { queryId: this.queryId, columns: this.columns, responses: this.responses, stats, info: info || null, bytes: this.bytes };
+        this.skip();
+        return this.cache.set(this.key, result);
+    }
+}
+
+/**
+ * @description the responses a statement replays from a cached result, with the final stats of the query
+ */
+function replayResponses(entry) {
+    let columns = null;
+    return entry.responses.map((response, i) => {
+        columns = (response.columns) ? entry.columns.map(column => Object.assign({}, column)) : columns; // copied, object mode renames duplicate columns
+        const data = { id: entry.queryId, stats: Object.assign({}, entry.stats, { state: response.state }) };
+        if (columns) {
+            data.columns = columns;
+        }
+        if (response.data) {
+            data.data = response.data;
+        }
+        if (i < entry.responses.length - 1) {
+            data.nextUri = `cache:${entry.key}/${i + 1}`;
+        }
+        return data;
+    });
+}
+
+module.exports = { ResultCache, MemoryStore, DirectoryStore, Recorder, cacheKey, replayResponses };
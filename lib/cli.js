@@ -0,0 +1,561 @@
+/**
+ * The presto-stream command line tool: run SQL and stream the results to stdout or a file.
+ * Settings are taken from flags, then environment variables (PRESTO_*), then a JSON config file
+ * (--config, PRESTO_STREAM_CONFIG or ~/.presto-stream.json if it exists).
+ */
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { once } = require('events');
+const { Client, QueryError, AbortError, ERROR_CATEGORIES, VERSION } = require('./index');
+const { splitStatements } = require('./literals');
+
+const EXIT_CODES = Object.freeze({
+    OK: 0,
+    USER_ERROR: 1, // the query was rejected because of the query or the user, e.g. syntax error, missing table, access denied, output not writable
+    SERVER_ERROR: 2, // the query failed on the server, e.g. internal error, insufficient resources, connector failure, timeout
+    CONNECTION_ERROR: 3, // the coordinator could not be reached
+    USAGE: 64, // invalid flags, settings or config file
+    INTERRUPTED: 130 // cancelled with Ctrl-C
+});
+
+const CONNECTION_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'ENOTFOUND', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH', 'EPIPE'];
+const FORMATS = ['csv', 'tsv', 'ndjson', 'json', 'arrow'];
+const DEFAULT_CONFIG = '.presto-stream.json'; // in the home directory
+
+/*
+ * options of the tool. key: name of the setting (and key in the config file), flag: --flag (false if not a flag), short: -x,
+ * env: environment variable, type: string, boolean, duration (ms), list (comma separated or repeated) or properties (key=value, repeated)
+ */
+const OPTIONS = [
+    { key: 'server', flag: 'server', short: 's', env: 'PRESTO_SERVER', type: 'list', arg: 'host:port', description: 'coordinator(s), comma separated (default: localhost:8080)' },
+    { key: 'ssl', flag: 'ssl', env: 'PRESTO_SSL', type: 'boolean', description: 'connect with https (the config file may hold an object of ssl settings)' },
+    { key: 'protocol', flag: 'protocol', env: 'PRESTO_PROTOCOL', type: 'string', arg: 'name', description: 'presto, trino or auto (default: presto)' },
+    { key: 'user', flag: 'user', short: 'u', env: 'PRESTO_USER', type: 'string', arg: 'name', description: 'query user (default: $USER)' },
+    { key: 'password', flag: false, env: 'PRESTO_PASSWORD', type: 'string', description: 'password for Basic Auth' },
+    { key: 'token', flag: false, env: 'PRESTO_TOKEN', type: 'string', description: 'bearer token' },
+    { key: 'catalog', flag: 'catalog', env: 'PRESTO_CATALOG', type: 'string', arg: 'name', description: 'default catalog (default: hive)' },
+    { key: 'schema', flag: 'schema', env: 'PRESTO_SCHEMA', type: 'string', arg: 'name', description: 'default schema (default: default)' },
+    { key: 'source', flag: 'source', env: 'PRESTO_SOURCE', type: 'string', arg: 'name', description: 'query source (default: presto-stream)' },
+    { key: 'session', flag: 'session', env: 'PRESTO_SESSION', type: 'properties', arg: 'key=value', description: 'session property, repeatable' },
+    { key: 'clientTags', flag: 'client-tags', env: 'PRESTO_CLIENT_TAGS', type: 'list', arg: 'tags', description: 'client tags, comma separated' },
+    { key: 'timeout', flag: 'timeout', env: 'PRESTO_TIMEOUT', type: 'duration', arg: 'duration', description: 'cancel statements running longer than this, e.g. 30s, 10m' },
+    { key: 'format', flag: 'format', short: 'F', env: 'PRESTO_FORMAT', type: 'string', arg: 'name', description: `output format: ${FORMATS.join(', ')} (default: csv)` },
+    { key: 'header', flag: 'header', type: 'boolean', description: 'write a header line in csv & tsv output, --no-header to disable (default: on)' },
+    { key: 'progress', flag: 'progress', type: 'boolean', description: 'show progress on stderr, --no-progress to disable (default: on if stderr is a terminal)' },
+    { key: 'execute', flag: 'execute', short: 'e', type: 'string', arg: 'sql', config: false, description: 'SQL to run' },
+    { key: 'file', flag: 'file', short: 'f', type: 'string', arg: 'path', config: false, description: 'file of SQL to run, - for stdin (default: stdin)' },
+    { key: 'output', flag: 'output', short: 'o', type: 'string', arg: 'path', config: false, description: 'file to write the results to (default: stdout)' },
+    { key: 'config', flag: 'config', short: 'c', type: 'string', arg: 'path', config: false, description: `config file (default: $PRESTO_STREAM_CONFIG or ~/${DEFAULT_CONFIG})` },
+    { key: 'help', flag: 'help', short: 'h', type: 'boolean', config: false, description: 'show this help' },
+    { key: 'version', flag: 'version', short: 'V', type: 'boolean', config: false, description: 'show the version' }
+];
+
+const DEFAULTS = Object.freeze({ format: 'csv', header: true, source: 'presto-stream' });
+
+/**
+ * @description error of the command line or settings
+ */
+class UsageError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = 'UsageError';
+    }
+}
+
+/**
+ * @description error writing the results to the output
+ */
+class OutputError extends Error {
+    constructor(error) {
+        super(`unable to write output: ${error.message}`);
+        this.name = 'OutputError';
+        this.code = error.code;
+        this.cause = error;
+    }
+}
+
+/**
+ * @description parse a duration, e.g. '30s', '10m', '1.5h' or a number of ms, to ms
+ */
+function parseDuration(text) {
+    const match = /^\s*(\d+(?:\.\d+)?)\s*(ms|s|m|h|d)?\s*$/.exec(String(text));
+    if (!match) {
+        return null;
+    }
+    const units = { ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+    return Math.round(Number(match[1]) * units[match[2] || 'ms']);
+}
+
+/**
+ * @description parse the value of an option given as text (flag or environment variable)
+ * @param {Object} option - the option
+ * @param {String|Boolean} text - the value
+ * @param {String} from - where the value comes from, for error messages
+ */
+function parseValue(option, text, from) {
+    const invalid = () => new UsageError(`invalid value for ${from}: ${text}`);
+    switch (option.type) {
+        case 'boolean':
+            if (typeof text === 'boolean') {
+                return text;
+            } else if (['true', '1', 'yes', 'on'].includes(String(text).toLowerCase())) {
+                return true;
+            } else if (['false', '0', 'no', 'off', ''].includes(String(text).toLowerCase())) {
+                return false;
+            }
+            throw invalid();
+        case 'duration': {
+            const value = parseDuration(text);
+            if (value === null) {
+                throw invalid();
+            }
+            return value;
+        }
+        case 'list':
+            return String(text).split(',').map(item => item.trim()).filter(item => item.length > 0);
+        case 'properties': {
+            const output = {};
+            for (const pair of String(text).split(',').filter(item => item.trim().length > 0)) {
+                const index = pair.indexOf('=');
+                if (index < 1) {
+                    throw invalid();
+                }
+                output[pair.slice(0, index).trim()] = pair.slice(index + 1).trim();
+            }
+            return output;
+        }
+        default:
+            return String(text);
+    }
+}
+
+/**
+ * @description merge a value into the value already set by a previous occurence of the same flag (lists & properties accumulate)
+ */
+function accumulate(option, previous, value) {
+    if (previous === undefined) {
+        return value;
+    } else if (option.type === 'list') {
+        return previous.concat(value);
+    } else if (option.type === 'properties') {
+        return Object.assign({}, previous, value);
+    }
+    return value;
+}
+
+/**
+ * @description parse the command line arguments
+ * @param {Array<String>} argv - arguments, without node & the script
+ * @returns {Object} settings given as flags, by key
+ */
+function parseArgs(argv) {
+    const flags = {};
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        let match;
+        let option;
+        let inline = null; // --flag=value
+        if ((match = /^--(no-)?([\w-]+)(?:=([\s\S]*))?$/.exec(arg))) {
+            option = OPTIONS.find(item => item.flag === match[2]);
+            if (!option || (match[1] && option.type !== 'boolean')) {
+                throw new UsageError(`unknown option: ${arg}`);
+            } else if (match[1]) {
+                if (match[3] !== undefined) {
+                    throw new UsageError(`option --no-${option.flag} does not take a value`);
+                }
+                flags[option.key] = false;
+                continue;
+            }
+            inline = (match[3] !== undefined) ? match[3] : null;
+        } else if ((match = /^-(\w)([\s\S]*)$/.exec(arg))) {
+            option = OPTIONS.find(item => item.short === match[1]);
+            if (!option) {
+                throw new UsageError(`unknown option: ${arg}`);
+            }
+            inline = (match[2].length > 0) ? match[2] : null; // -e'SELECT 1'
+        } else {
+            throw new UsageError(`unexpected argument: ${arg}, use --execute to run SQL from the command line`);
+        }
+        const name = (option.flag.length > 1) ? `--${option.flag}` : `-${option.short}`;
+        let text;
+        if (option.type === 'boolean') {
+            text = (inline === null) ? true : inline;
+        } else if (inline !== null) {
+            text = inline;
+        } else if (i + 1 < argv.length) {
+            text = argv[++i];
+        } else {
+            throw new UsageError(`option ${name} requires a value`);
+        }
+        flags[option.key] = accumulate(option, flags[option.key], parseValue(option, text, name));
+    }
+    return flags;
+}
+
+/**
+ * @description read a config file, a JSON object of settings by key (e.g. { "server": "presto:8080", "catalog": "hive" })
+ * @param {String} file - path of the config file
+ * @param {Boolean} required - whether the file must exist (otherwise null is returned if it does not)
+ * @returns {Object|null} settings from the config file
+ */
+function loadConfig(file, required) {
+    let text;
+    try {
+        text = fs.readFileSync(file, 'utf8');
+    } catch (error) {
+        if (!required && error.code === 'ENOENT') {
+            return null;
+        }
+        throw new UsageError(`unable to read config file ${file}: ${error.message}`);
+    }
+    let config;
+    try {
+        config = JSON.parse(text);
+    } catch (error) {
+        throw new UsageError(`invalid config file ${file}: ${error.message}`);
+    }
+    if (!(config instanceof Object) || Array.isArray(config)) {
+        throw new UsageError(`invalid config file ${file}: expected an object of settings`);
+    }
+    const settings = {};
+    for (const key of Object.keys(config)) {
+        const option = OPTIONS.find(item => item.key === key && item.config !== false);
+        if (!option) {
+            throw new UsageError(`invalid config file ${file}: unknown setting ${key}`);
+        }
+        const value = config[key];
+        if (option.key === 'ssl' && value instanceof Object) { // ssl settings, e.g. { "ca": "..." }
+            settings.ssl = value;
+        } else if (option.type === 'list' && Array.isArray(value)) {
+            settings[key] = value.map(String);
+        } else if (option.type === 'properties' && value instanceof Object) {
+            settings[key] = Object.assign({}, value);
+        } else {
+            settings[key] = parseValue(option, value, `${key} in ${file}`);
+        }
+    }
+    return settings;
+}
+
+/**
+ * @description resolve the settings of a run: flags take precedence over environment variables, which take precedence over the config file
+ * @param {Object} flags - as returned by parseArgs
+ * @param {Object} env - environment variables
+ * @param {String} home - home directory, where the default config file is looked up
+ * @returns {Object} settings
+ */
+function resolveSettings(flags, env = {}, home = os.homedir()) {
+    let config = null;
+    if (flags.config) {
+        config = loadConfig(flags.config, true);
+    } else if (env.PRESTO_STREAM_CONFIG) {
+        config = loadConfig(env.PRESTO_STREAM_CONFIG, true);
+    } else if (home) {
+        config = loadConfig(path.join(home, DEFAULT_CONFIG), false);
+    }
+    const fromEnv = {};
+    for (const option of OPTIONS.filter(item => item.env && env[item.env] !== undefined && env[item.env] !== '')) {
+        fromEnv[option.key] = parseValue(option, env[option.env], option.env);
+    }
+    const settings = Object.assign({}, DEFAULTS, config, fromEnv, flags);
+    if (!FORMATS.includes(settings.format)) {
+        throw new UsageError(`unknown format: ${settings.format}, expected one of ${FORMATS.join(', ')}`);
+    } else if (settings.execute !== undefined && settings.file !== undefined) {
+        throw new UsageError('options --execute and --file can not be used together');
+    }
+    return settings;
+}
+
+function defaultUser() {
+    try {
+        return process.env.USER || os.userInfo().username;
+    } catch (error) { // no user name for the uid
+        return undefined;
+    }
+}
+
+/**
+ * @description options of the Client for the settings
+ */
+function clientOptions(settings) {
+    const options = { source: settings.source, format: settings.format, formatOptions: { header: settings.header }, user: settings.user || defaultUser() };
+    if (settings.server && settings.server.length > 0) {
+        options.coordinators = settings.server;
+    }
+    if (settings.ssl) {
+        options.ssl = (settings.ssl instanceof Object) ? settings.ssl : {};
+    }
+    for (const key of ['protocol', 'password', 'catalog', 'schema', 'clientTags']) {
+        if (settings[key] !== undefined) {
+            options[key] = settings[key];
+        }
+    }
+    if (settings.token) {
+        options.auth = settings.token;
+    }
+    return options;
+}
+
+/**
+ * @description read the SQL to run, from --execute, --file or stdin
+ */
+async function readSql(settings, stdin) {
+    if (settings.execute !== undefined) {
+        return settings.execute;
+    } else if (settings.file !== undefined && settings.file !== '-') {
+        try {
+            return await fs.promises.readFile(settings.file, 'utf8');
+        } catch (error) {
+            throw new UsageError(`unable to read ${settings.file}: ${error.message}`);
+        }
+    } else if (settings.file === undefined && stdin.isTTY) {
+        throw new UsageError('no SQL to run, use --execute, --file or pipe SQL to stdin');
+    }
+    stdin.setEncoding('utf8');
+    let sql = '';
+    for await (const chunk of stdin) {
+        sql += chunk;
+    }
+    return sql;
+}
+
+function formatBytes(bytes) {
+    const units = ['B', 'kB', 'MB', 'GB', 'TB'];
+    let value = bytes;
+    let unit = 0;
+    while (value >= 1000 && unit < units.length - 1) {
+        value /= 1000;
+        unit++;
+    }
+    return (unit === 0) ? `${Math.round(value)}${units[unit]}` : `${value.toFixed(1)}${units[unit]}`;
+}
+
+function formatDuration(ms) {
+    const seconds = Math.round(ms / 1000);
+    return (seconds < 60) ? `${seconds}s` : `${Math.floor(seconds / 60)}m${String(seconds % 60).padStart(2, '0')}s`;
+}
+
+/**
+ * @description format a progress event of a statement as a line of text
+ */
+function formatProgress(progress) {
+    const parts = [progress.queryId, progress.state];
+    if (progress.percent !== null) {
+        parts.push(`${Math.floor(progress.percent)}%`);
+    }
+    parts.push(`${progress.processedRows} rows`, formatBytes(progress.processedBytes), `${formatBytes(progress.bytesPerSecond)}/s`, formatDuration(progress.elapsedTimeMillis));
+    if (progress.etaMillis > 0) {
+        parts.push(`eta ${formatDuration(progress.etaMillis)}`);
+    }
+    return parts.join(' ');
+}
+
+/**
+ * @description progress line on a stream, rewritten in place on a terminal (otherwise one line per update)
+ */
+function progressLine(stream) {
+    const tty = Boolean(stream.isTTY);
+    let shown = false;
+    return {
+        update: (progress) => {
+            stream.write((tty) ? `\r\x1b[K${formatProgress(progress)}` : `${formatProgress(progress)}\n`);
+            shown = true;
+        },
+        clear: () => {
+            if (tty && shown) {
+                stream.write('\r\x1b[K');
+            }
+            shown = false;
+        }
+    };
+}
+
+/**
+ * @description write the output of a statement to a stream, with backpressure. Statements without columns (e.g. USE) write nothing.
+ */
+async function writeStatement(statement, output) {
+    let outputError = null;
+    const onError = (error) => {
+        outputError = new OutputError(error);
+        statement.destroy(); // cancels the query
+    };
+    output.on('error', onError);
+    try {
+        for await (const chunk of statement) {
+            if (!outputError && output.destroyed) { // failed or closed since the previous statement
+                outputError = new OutputError(output.errored || new Error('output closed'));
+            }
+            if (outputError) {
+                break;
+            }
+            if (statement.columns && statement.columns.length > 0 && !output.write(chunk)) {
+                await once(output, 'drain');
+            }
+        }
+    } catch (error) {
+        throw outputError || error;
+    } finally {
+        output.removeListener('error', onError);
+    }
+    if (outputError) {
+        throw outputError;
+    }
+}
+
+/**
+ * @description exit code for an error, see EXIT_CODES
+ */
+function exitCode(error) {
+    if (error instanceof UsageError) {
+        return EXIT_CODES.USAGE;
+    } else if (error instanceof AbortError) {
+        return EXIT_CODES.INTERRUPTED;
+    } else if (error instanceof OutputError) {
+        return EXIT_CODES.USER_ERROR;
+    } else if (error.category === ERROR_CATEGORIES.USER) {
+        return EXIT_CODES.USER_ERROR;
+    } else if (error.category && error.category !== ERROR_CATEGORIES.TRANSPORT) { // timeout, cancelled, insufficient resources, external, internal
+        return EXIT_CODES.SERVER_ERROR;
+    }
+    const failure = error.data instanceof Object && error.data.error;
+    if (failure && failure.errorType) { // USER_ERROR, or INTERNAL_ERROR, INSUFFICIENT_RESOURCES, EXTERNAL
+        return (failure.errorType === 'USER_ERROR') ? EXIT_CODES.USER_ERROR : EXIT_CODES.SERVER_ERROR;
+    } else if (error.response_code) { // e.g. 401 unauthorized, 503 from a load balancer
+        return (error.response_code >= 400 && error.response_code < 500) ? EXIT_CODES.USER_ERROR : EXIT_CODES.SERVER_ERROR;
+    } else if (CONNECTION_ERROR_CODES.includes(error.code)) {
+        return EXIT_CODES.CONNECTION_ERROR;
+    }
+    return EXIT_CODES.SERVER_ERROR;
+}
+
+/**
+ * @description message of an error for stderr
+ */
+function describe(error) {
+    const failure = error.data instanceof Object && error.data.error;
+    if (error instanceof QueryError && error.errorName) {
+        const location = error.renderSql(); // the failing line with a caret under the column, e.g. for syntax errors
+        return `${(error.queryId) ? `query ${error.queryId} failed: ` : ''}${error.errorName}: ${error.message}${(location) ? `\n${location}` : ''}`;
+    } else if (failure && failure.errorName) {
+        return `${(error.data.id) ? `query ${error.data.id} failed: ` : ''}${failure.errorName}: ${error.message}`;
+    } else if (error.response_code) {
+        return `${error.message} ${error.response_code}${(typeof error.data === 'string' && error.data.length > 0) ? `: ${error.data.trim()}` : ''}`;
+    }
+    return error.message;
+}
+
+function usage() {
+    const lines = ['usage: presto-stream [options]', '', 'Run SQL (statements separated by ;) and stream the results to stdout or a file.', '', 'options:'];
+    for (const option of OPTIONS.filter(item => item.flag)) {
+        const names = ((option.short) ? `-${option.short}, ` : '    ') + `--${option.flag}` + ((option.arg) ? ` <${option.arg}>` : '');
+        lines.push(`  ${names.padEnd(34)}${option.description}`);
+    }
+    lines.push('', 'environment variables:');
+    for (const option of OPTIONS.filter(item => item.env)) {
+        lines.push(`  ${option.env.padEnd(34)}${(option.flag) ? `as --${option.flag}` : option.description}`);
+    }
+    lines.push('', 'exit codes:');
+    lines.push('  0 success, 1 user error, 2 server error, 3 connection error, 64 invalid usage, 130 cancelled', '');
+    return lines.join('\n');
+}
+
+/**
+ * @description run the tool
+ * @param {Array<String>} argv - command line arguments, without node & the script
+ * @param {Object} io (optional) - env, stdin, stdout, stderr, home (directory of the default config file), signals (emitter of SIGINT), exit (function(code) exiting immediately). default: those of the process
+ * @returns {Promise<Number>} exit code, see EXIT_CODES
+ */
+async function run(argv, io = {}) {
+    const env = io.env || process.env;
+    const stdout = io.stdout || process.stdout;
+    const stderr = io.stderr || process.stderr;
+    const signals = io.signals || process;
+    const exit = io.exit || ((code) => process.exit(code));
+    let client = null;
+    let output = null;
+    let current = null; // the statement running
+    let interrupted = false;
+    const onInterrupt = () => {
+        if (interrupted) { // second Ctrl-C, do not wait for the cancellation
+            return exit(EXIT_CODES.INTERRUPTED);
+        }
+        interrupted = true;
+        stderr.write('\ncancelling query...\n');
+        if (current) {
+            current.cancel().catch(() => {}); // the statement ends, if cancelling fails the query ends on its own
+        }
+    };
+    const ignore = () => {};
+    signals.on('SIGINT', onInterrupt);
+    try {
+        const flags = parseArgs(argv);
+        if (flags.help) {
+            stdout.write(usage());
+            return EXIT_CODES.OK;
+        } else if (flags.version) {
+            stdout.write(`${VERSION}\n`);
+            return EXIT_CODES.OK;
+        }
+        const settings = resolveSettings(flags, env, (io.hasOwnProperty('home')) ? io.home : os.homedir());
+        const statements = splitStatements(await readSql(settings, io.stdin || process.stdin));
+        if (statements.length === 0) {
+            throw new UsageError('no SQL to run');
+        }
+        try {
+            client = new Client(clientOptions(settings));
+        } catch (error) {
+            throw new UsageError(error.message);
+        }
+        if (settings.output) {
+            output = fs.createWriteStream(settings.output);
+            await once(output, 'open').catch((error) => { throw new OutputError(error); });
+        } else {
+            output = stdout;
+        }
+        output.on('error', ignore); // reported by writeStatement
+        const progress = (settings.hasOwnProperty('progress') ? settings.progress : Boolean(stderr.isTTY)) ? progressLine(stderr) : null;
+        const session = client.session({ properties: settings.session });
+        for (const query of statements) {
+            if (interrupted) {
+                break;
+            }
+            current = await session.execute({ query, timeout: settings.timeout });
+            if (interrupted) { // Ctrl-C while the statement was submitted
+                await current.cancel().catch(() => {});
+            }
+            if (progress) {
+                current.on('progress', progress.update);
+            }
+            try {
+                await writeStatement(current, output);
+            } finally {
+                if (progress) {
+                    progress.clear();
+                }
+            }
+        }
+        return (interrupted) ? EXIT_CODES.INTERRUPTED : EXIT_CODES.OK;
+    } catch (error) {
+        if (error instanceof OutputError && error.code === 'EPIPE') { // the reader of the output went away, e.g. | head
+            return EXIT_CODES.OK;
+        }
+        stderr.write(`presto-stream: ${describe(error)}\n`);
+        return (interrupted) ? EXIT_CODES.INTERRUPTED : exitCode(error);
+    } finally {
+        signals.removeListener('SIGINT', onInterrupt);
+        if (output && output !== stdout) {
+            output.end();
+            if (!output.closed) {
+                await once(output, 'close').catch(() => {});
+            }
+        } else if (output) {
+            output.removeListener('error', ignore);
+        }
+        if (client) {
+            await client.close();
+        }
+    }
+}
+
+module.exports = { run, parseArgs, resolveSettings, exitCode, formatProgress, EXIT_CODES, UsageError, OutputError };
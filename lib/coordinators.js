@@ -0,0 +1,97 @@
+const { EventEmitter } = require('events');
+
+// transport errors & response codes after which another coordinator may be tried
+const FAILOVER_ERROR_CODES = ['ECONNREFUSED', 'ECONNRESET', 'ETIMEDOUT', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN'];
+const FAILOVER_STATUS_CODES = [502, 503, 504];
+// statement submission is not idempotent, only fail over if the coordinator is known not to have received the statement
+const RESUBMIT_ERROR_CODES = ['ECONNREFUSED', 'EHOSTUNREACH', 'ENETUNREACH', 'ENOTFOUND', 'EAI_AGAIN'];
+const RESUBMIT_STATUS_CODES = [503];
+
+const STRATEGIES = ['failover', 'round-robin'];
+
+/**
+ * @description normalize a coordinator endpoint given as 'host:port', 'host' or { host, port }
+ */
+function toEndpoint(coordinator, defaultPort) {
+    if (typeof coordinator === 'string') {
+        const index = coordinator.lastIndexOf(':');
+        if (index > 0 && /^\d+$/.test(coordinator.slice(index + 1))) {
+            return { host: coordinator.slice(0, index), port: Number(coordinator.slice(index + 1)) };
+        }
+        return { host: coordinator, port: defaultPort };
+    }
+    return { host: coordinator.host || 'localhost', port: coordinator.port || defaultPort };
+}
+
+/**
+ * @description whether a failed request may be retried on another coordinator
+ * @param {Error} error - the error of the request
+ * @param {String} method - http method of the request
+ */
+function canFailover(error, method = 'GET') {
+    if (method.toUpperCase() === 'POST') {
+        return RESUBMIT_ERROR_CODES.includes(error.code) || RESUBMIT_STATUS_CODES.includes(error.response_code);
+    }
+    return FAILOVER_ERROR_CODES.includes(error.code) || FAILOVER_STATUS_CODES.includes(error.response_code);
+}
+
+/**
+ * @description the coordinators a client can connect to, their health and the strategy to choose between them.
+ * Emits 'down' (endpoint, error) and 'up' (endpoint) when the health of a coordinator changes.
+ */
+class Coordinators extends EventEmitter {
+    /**
+     * @description constructor for class Coordinators
+     * @param {Array} coordinators - list of endpoints as 'host:port' or { host, port }
+     * @param {Object} opts - strategy: 'failover' (first healthy coordinator in order) or 'round-robin', defaultPort
+     */
+    constructor(coordinators, opts = {}) {
+        super();
+        if (!Array.isArray(coordinators) || coordinators.length === 0) {
+            throw new Error('at least one coordinator must be specified');
+        }
+        this.strategy = opts.strategy || 'failover';
+        if (!STRATEGIES.includes(this.strategy)) {
+            throw new Error(`invalid coordinator strategy: ${this.strategy}, expected one of ${STRATEGIES.join(', ')}`);
+        }
+        this.endpoints = coordinators.map((coordinator) => {
+            return Object.assign(toEndpoint(coordinator, opts.defaultPort || 8080), { up: true, lastError: null, lastChecked: null });
+        });
+        this.next = 0;
+    }
+    /**
+     * @description endpoints in the order they should be tried for a new request: healthy endpoints as per strategy, then unhealthy ones as a last resort
+     */
+    select() {
+        let up = this.endpoints.filter(endpoint => endpoint.up);
+        if (this.strategy === 'round-robin' && up.length > 0) {
+            const start = this.next++ % up.length;
+            up = up.slice(start).concat(up.slice(0, start));
+        }
+        return up.concat(this.endpoints.filter(endpoint => !endpoint.up));
+    }
+    /**
+     * @description mark an endpoint as unhealthy
+     */
+    markDown(endpoint, error) {
+        endpoint.lastError = error || null;
+        endpoint.lastChecked = new Date();
+        if (endpoint.up) {
+            endpoint.up = false;
+            this.emit('down', endpoint, error);
+        }
+    }
+    /**
+     * @description mark an endpoint as healthy
+     */
+    markUp(endpoint) {
+        endpoint.lastChecked = new Date();
+        if (!endpoint.up) {
+            endpoint.up = true;
+            endpoint.lastError = null;
+            this.emit('up', endpoint);
+        }
+    }
+}
+
+module.exports = { Coordinators, canFailover, toEndpoint };
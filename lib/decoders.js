@@ -0,0 +1,351 @@
+// type names presto uses which contain spaces, i.e. that should not be read as "fieldname type" inside a row(...)
+const MULTI_WORD_TYPES = ['time with time zone', 'timestamp with time zone', 'interval day to second', 'interval year to month', 'double precision'];
+
+const DEFAULT_OPTIONS = Object.freeze({
+    bigint: 'bigint', // 'bigint' | 'string' | 'number'
+    decimal: 'string', // 'string' | 'number'
+    temporal: 'date', // 'date' | 'object' | 'string'
+    map: 'map', // 'map' | 'object'
+    types: {}
+});
+
+/**
+ * @description split a string on top level commas (ignoring commas inside parentheses or double quotes)
+ */
+function splitTopLevel(text) {
+    const parts = [];
+    let depth = 0, quoted = false, start = 0;
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (char === '"') {
+            quoted = !quoted;
+        } else if (!quoted && char === '(') {
+            depth++;
+        } else if (!quoted && char === ')') {
+            depth--;
+        } else if (!quoted && depth === 0 && char === ',') {
+            parts.push(text.slice(start, i).trim());
+            start = i + 1;
+        }
+    }
+    parts.push(text.slice(start).trim());
+    return parts.filter(part => part.length > 0);
+}
+
+/**
+ * @description split a row field definition into its name and type. Anonymous fields (e.g. row(bigint, varchar)) have a null name.
+ */
+function parseRowField(text) {
+    if (text[0] === '"') {
+        const end = text.indexOf('"', 1);
+        return { name: text.slice(1, end), type: text.slice(end + 1).trim() };
+    }
+    const head = text.split('(')[0].trim().toLowerCase().replace(/\s+/g, ' ');
+    const space = text.search(/\s/);
+    if (space === -1 || space > text.indexOf('(') && text.indexOf('(') !== -1 || MULTI_WORD_TYPES.includes(head)) {
+        return { name: null, type: text };
+    }
+    return { name: text.slice(0, space), type: text.slice(space + 1).trim() };
+}
+
+/**
+ * @description parse a presto type string (as found in columns[].type) into a nested type signature.
+ * e.g. 'row(a bigint, b array(decimal(10,2)))' => { rawType:'row', fields:[{ name:'a', type:{rawType:'bigint'...} }, ...] }
+ * @param {String} text - the type string
+ * @returns {Object} signature with properties rawType, arguments (literal arguments such as precision), types (nested types) and fields (row only)
+ */
+function parseType(text) {
+    const source = String(text).trim();
+    const open = source.indexOf('(');
+    const signature = { rawType: null, arguments: [], types: [], fields: null };
+    if (open === -1) {
+        signature.rawType = source.toLowerCase().replace(/\s+/g, ' ');
+        return signature;
+    }
+    let depth = 0, close = -1, quoted = false;
+    for (let i = open; i < source.length && close === -1; i++) {
+        if (source[i] === '"') {
+            quoted = !quoted;
+        } else if (!quoted && source[i] === '(') {
+            depth++;
+        } else if (!quoted && source[i] === ')' && --depth === 0) {
+            close = i;
+        }
+    }
+    if (close === -1) {
+        throw new Error(`unable to parse type: ${source}`);
+    }
+    const suffix = source.slice(close + 1).trim();
+    signature.rawType = (source.slice(0, open).trim() + (suffix ? ' ' + suffix : '')).toLowerCase().replace(/\s+/g, ' ');
+    const inner = splitTopLevel(source.slice(open + 1, close));
+    if (signature.rawType === 'row') {
+        signature.fields = inner.map((field, index) => {
+            const { name, type } = parseRowField(field);
+            return { name: (name === null) ? `field${index}` : name, type: parseType(type) };
+        });
+        signature.types = signature.fields.map(field => field.type);
+    } else if (signature.rawType === 'array' || signature.rawType === 'map') {
+        signature.types = inner.map(parseType);
+    } else {
+        signature.arguments = inner.map(arg => (/^\d+$/.test(arg)) ? Number(arg) : arg);
+    }
+    return signature;
+}
+
+const identity = value => value;
+
+function pad(value, length) {
+    return String(value).padStart(length, '0');
+}
+
+/**
+ * @description offset from UTC in minutes of an IANA time zone at the given instant
+ */
+function zoneOffset(ms, timeZone) {
+    const format = new Intl.DateTimeFormat('en-US', { timeZone, hour12: false, year: 'numeric', month: '2-digit', day: '2-digit', hour: '2-digit', minute: '2-digit', second: '2-digit' });
+    const parts = {};
+    for (const { type, value } of format.formatToParts(new Date(ms))) {
+        parts[type] = value;
+    }
+    const local = Date.UTC(+parts.year, +parts.month - 1, +parts.day, +parts.hour % 24, +parts.minute, +parts.second);
+    return (local - Math.floor(ms / 1000) * 1000) / 60000;
+}
+
+/**
+ * @description offset from UTC in minutes for a presto zone string (UTC, Z, +05:30, -0800 or an IANA zone name) at the given local time
+ */
+function resolveOffset(localMs, zone) {
+    if (zone === 'UTC' || zone === 'Z' || zone === 'GMT') {
+        return 0;
+    }
+    const match = /^([+-])(\d{2}):?(\d{2})$/.exec(zone);
+    if (match) {
+        return (match[1] === '-' ? -1 : 1) * (Number(match[2]) * 60 + Number(match[3]));
+    }
+    const guess = localMs - zoneOffset(localMs, zone) * 60000;
+    return zoneOffset(guess, zone);
+}
+
+const DATE_PATTERN = /^(-?\d+)-(\d{2})-(\d{2})$/;
+const TIME_PATTERN = /^(\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?(?:\s*(\S+))?$/;
+const TIMESTAMP_PATTERN = /^(-?\d+)-(\d{2})-(\d{2})[ T](\d{2}):(\d{2})(?::(\d{2})(?:\.(\d+))?)?(?:\s*(\S+))?$/;
+
+function parseFraction(fraction) {
+    return (fraction) ? Number(fraction.slice(0, 9).padEnd(9, '0')) : 0;
+}
+
+function decodeDate(value, mode) {
+    const match = DATE_PATTERN.exec(value);
+    if (!match) {
+        return value;
+    }
+    const [, year, month, day] = match.map(Number);
+    if (mode === 'object') {
+        return { year, month, day };
+    }
+    const date = new Date(Date.UTC(year, month - 1, day));
+    date.setUTCFullYear(year); // Date.UTC maps years 0-99 to 1900-1999
+    return date;
+}
+
+function decodeTime(value, mode) {
+    const match = TIME_PATTERN.exec(value);
+    if (!match || mode !== 'object') { // a time of day has no equivalent Date, so only object mode converts it
+        return value;
+    }
+    const output = { hour: Number(match[1]), minute: Number(match[2]), second: Number(match[3] || 0), nanosecond: parseFraction(match[4]) };
+    if (match[5]) {
+        output.timeZone = match[5];
+    }
+    return output;
+}
+
+function decodeTimestamp(value, mode) {
+    const match = TIMESTAMP_PATTERN.exec(value);
+    if (!match) {
+        return value;
+    }
+    const [year, month, day, hour, minute, second] = match.slice(1, 7).map(i => Number(i || 0));
+    const nanosecond = parseFraction(match[7]);
+    const zone = match[8] || null;
+    if (mode === 'object') {
+        const output = { year, month, day, hour, minute, second, nanosecond };
+        if (zone) {
+            output.timeZone = zone;
+        }
+        return output;
+    }
+    const date = new Date(Date.UTC(year, month - 1, day, hour, minute, second, Math.floor(nanosecond / 1e6)));
+    date.setUTCFullYear(year);
+    if (zone) {
+        date.setTime(date.getTime() - resolveOffset(date.getTime(), zone) * 60000);
+    }
+    return date;
+}
+
+function decodeIntervalDayToSecond(value) {
+    const match = /^(-)?(\d+) (\d{2}):(\d{2}):(\d{2})(?:\.(\d+))?$/.exec(value);
+    if (!match) {
+        return value;
+    }
+    const sign = (match[1]) ? -1 : 1;
+    const milliseconds = (match[6]) ? Number(match[6].slice(0, 3).padEnd(3, '0')) : 0;
+    return {
+        days: sign * Number(match[2]), hours: sign * Number(match[3]), minutes: sign * Number(match[4]),
+        seconds: sign * Number(match[5]), milliseconds: sign * milliseconds
+    };
+}
+
+function decodeIntervalYearToMonth(value) {
+    const match = /^(-)?(\d+)-(\d+)$/.exec(value);
+    if (!match) {
+        return value;
+    }
+    const sign = (match[1]) ? -1 : 1;
+    return { years: sign * Number(match[2]), months: sign * Number(match[3]) };
+}
+
+function decodeBigint(value, mode) {
+    if (mode === 'number') {
+        return Number(value);
+    }
+    const text = (typeof value === 'number') ? BigInt(value).toString() : String(value);
+    return (mode === 'string') ? text : BigInt(text);
+}
+
+function decodeFloat(value) {
+    return (typeof value === 'string') ? Number(value) : value; // NaN & Infinity are serialized as strings
+}
+
+// key types of maps whose JSON value is a number or boolean, rather than a string like the JSON object keys
+const NUMERIC_KEY_TYPES = ['tinyint', 'smallint', 'integer', 'real', 'double'];
+
+/**
+ * @description the JSON value of a map key of the given type, from the (string) key of the JSON object
+ */
+function mapKey(key, signature) {
+    if (NUMERIC_KEY_TYPES.includes(signature.rawType)) {
+        return Number(key);
+    } else if (signature.rawType === 'boolean') {
+        return key === 'true';
+    }
+    return key; // e.g. bigint keys are decoded from the string, without loss of precision
+}
+
+/**
+ * @description build a decoding function for a single parsed type
+ * @param {Object} signature - parsed type as returned by parseType
+ * @param {Object} options - normalized decoder options
+ * @returns {Function} function(value) => decoded value
+ */
+function buildDecoder(signature, options) {
+    const custom = options.types[signature.rawType];
+    const children = signature.types.map(child => buildDecoder(child, options));
+    let decoder;
+    switch (signature.rawType) {
+        case 'bigint':
+            decoder = value => decodeBigint(value, options.bigint);
+            break;
+        case 'decimal':
+            decoder = (options.decimal === 'number') ? Number : String;
+            break;
+        case 'double':
+        case 'real':
+            decoder = decodeFloat;
+            break;
+        case 'date':
+            decoder = (options.temporal === 'string') ? identity : value => decodeDate(value, options.temporal);
+            break;
+        case 'time':
+        case 'time with time zone':
+            decoder = (options.temporal === 'string') ? identity : value => decodeTime(value, options.temporal);
+            break;
+        case 'timestamp':
+        case 'timestamp with time zone':
+            decoder = (options.temporal === 'string') ? identity : value => decodeTimestamp(value, options.temporal);
+            break;
+        case 'interval day to second':
+            decoder = (options.temporal === 'string') ? identity : decodeIntervalDayToSecond;
+            break;
+        case 'interval year to month':
+            decoder = (options.temporal === 'string') ? identity : decodeIntervalYearToMonth;
+            break;
+        case 'varbinary':
+            decoder = value => Buffer.from(value, 'base64');
+            break;
+        case 'array':
+            decoder = value => value.map(item => (item === null) ? null : children[0](item));
+            break;
+        case 'map':
+            decoder = (value) => {
+                // JSON object keys are always strings, decode keys with the key type as well
+                const output = (options.map === 'object') ? {} : new Map();
+                for (const key of Object.keys(value)) {
+                    const item = (value[key] === null) ? null : children[1](value[key]);
+                    if (options.map === 'object') {
+                        output[key] = item;
+                    } else {
+                        output.set(children[0](mapKey(key, signature.types[0])), item);
+                    }
+                }
+                return output;
+            };
+            break;
+        case 'row':
+            decoder = (value) => {
+                const output = {};
+                signature.fields.forEach((field, i) => {
+                    output[field.name] = (value[i] === null || value[i] === undefined) ? null : children[i](value[i]);
+                });
+                return output;
+            };
+            break;
+        default:
+            decoder = identity;
+    }
+    if (custom) {
+        const standard = decoder;
+        return value => custom(value, signature, standard);
+    }
+    return decoder;
+}
+
+/**
+ * @description normalize user supplied decode option (true, or an object of settings) against the defaults
+ * @returns {Object|null} options, or null if decoding is not enabled
+ */
+function normalizeOptions(decode) {
+    if (!decode) {
+        return null;
+    }
+    const options = Object.assign({}, DEFAULT_OPTIONS, (decode instanceof Object) ? decode : {});
+    options.types = Object.assign({}, (decode instanceof Object && decode.types) ? decode.types : {});
+    return options;
+}
+
+/**
+ * @description create a decoder for a single value of the given presto type
+ * @param {String} type - presto type string e.g. 'array(decimal(10,2))'
+ * @param {Object|Boolean} decode - decoder options: bigint, decimal, temporal, map, types
+ * @returns {Function} function(value) => decoded value (null values are returned as null)
+ */
+function createDecoder(type, decode = true) {
+    const decoder = buildDecoder(parseType(type), normalizeOptions(decode) || DEFAULT_OPTIONS);
+    return value => (value === null || value === undefined) ? null : decoder(value);
+}
+
+/**
+ * @description create a decoder per column for the columns returned by presto
+ * @param {Object[]} columns - columns as returned by presto
+ * @param {Object|Boolean} decode - decoder options, if false no decoding takes place
+ * @returns {Function[]|null} list of decoders in column order, or null if decoding is not enabled
+ */
+function createDecoders(columns, decode) {
+    const options = normalizeOptions(decode);
+    if (!options) {
+        return null;
+    }
+    return columns.map(column => createDecoder(column.type, options));
+}
+
+module.exports = { parseType, createDecoder, createDecoders, splitTopLevel };
@@ -0,0 +1,189 @@
+/**
+ * Observability of HTTP requests & statements: diagnostics_channel channels, logger, tracing spans and the timings of statements.
+ */
+const diagnosticsChannel = require('diagnostics_channel');
+
+const CHANNELS = Object.freeze({
+    requestStart: diagnosticsChannel.channel('presto-stream-client:request:start'),
+    requestEnd: diagnosticsChannel.channel('presto-stream-client:request:end'),
+    page: diagnosticsChannel.channel('presto-stream-client:statement:page'),
+    backpressure: diagnosticsChannel.channel('presto-stream-client:statement:backpressure')
+});
+const LOG_LEVELS = ['debug', 'info', 'warn', 'error'];
+const NOOP_SPAN = Object.freeze({ setAttribute() {}, end() {} });
+
+function publish(channel, message) {
+    if (channel.hasSubscribers) {
+        channel.publish(message);
+    }
+}
+
+/**
+ * @description a logger with all levels, the levels missing from the given logger (e.g. none if not set) do nothing
+ * @param {Object} logger - console-like logger, methods debug, info, warn & error called with (message, fields)
+ */
+function createLogger(logger) {
+    const output = {};
+    for (const level of LOG_LEVELS) {
+        output[level] = (logger && typeof logger[level] === 'function') ? logger[level].bind(logger) : () => {};
+    }
+    return output;
+}
+
+/**
+ * @description timings of a statement, from the call to execute
+ */
+class Timings {
+    constructor(started = Date.now()) {
+        this.started = started;
+        this.queueMillis = 0; // waiting for a slot of maxConcurrentQueries
+        this.submitMillis = 0; // POST of the query
+        this.requests = 0;
+        this.requestMillis = 0; // all HTTP requests of the statement, the submission included
+        this.bytes = 0; // of the responses
+        this.pages = 0;
+        this.rows = 0;
+        this.firstPageMillis = null;
+        this.backpressurePauses = 0;
+        this.backpressureMillis = 0; // paused because the consumer did not read the output
+        this.paused = null;
+    }
+    snapshot(now = Date.now()) {
+        return {
+            elapsedMillis: now - this.started,
+            queueMillis: this.queueMillis,
+            submitMillis: this.submitMillis,
+            requests: this.requests,
+            requestMillis: this.requestMillis,
+            bytes: this.bytes,
+            pages: this.pages,
+            rows: this.rows,
+            firstPageMillis: this.firstPageMillis,
+            backpressurePauses: this.backpressurePauses,
+            backpressureMillis: this.backpressureMillis + ((this.paused === null) ? 0 : now - this.paused)
+        };
+    }
+}
+
+/**
+ * @description observation of a statement: a span (child spans for its requests), its timings, page & backpressure events
+ */
+class StatementTrace {
+    constructor(observer, attributes, started) {
+        this.observer = observer;
+        this.queryId = null;
+        this.timings = new Timings(started);
+        this.span = (observer.tracer) ? observer.tracer.startSpan('presto.statement', { parent: null, attributes }) || NOOP_SPAN : NOOP_SPAN;
+        this.ended = null; // the final timings, once ended
+    }
+    setQueryId(queryId) {
+        this.queryId = queryId;
+        this.span.setAttribute('presto.query_id', queryId);
+    }
+    page(rows) {
+        const timings = this.timings;
+        timings.pages++;
+        timings.rows += rows;
+        if (timings.firstPageMillis === null) {
+            timings.firstPageMillis = Date.now() - timings.started;
+        }
+        publish(CHANNELS.page, { queryId: this.queryId, page: timings.pages, rows, totalRows: timings.rows });
+    }
+    pause() {
+        if (this.timings.paused === null) {
+            this.timings.paused = Date.now();
+            this.timings.backpressurePauses++;
+            publish(CHANNELS.backpressure, { queryId: this.queryId, state: 'paused', rows: this.timings.rows });
+        }
+    }
+    resume() {
+        if (this.timings.paused !== null) {
+            const pausedMillis = Date.now() - this.timings.paused;
+            this.timings.backpressureMillis += pausedMillis;
+            this.timings.paused = null;
+            publish(CHANNELS.backpressure, { queryId: this.queryId, state: 'resumed', rows: this.timings.rows, pausedMillis });
+        }
+    }
+    /**
+     * @description the statement is done, its span is ended once
+     * @param {String} state - FINISHED, FAILED or CANCELED
+     * @param {Error} error - the failure, if any
+     * @returns {Object} the timings of the statement
+     */
+    end(state, error) {
+        if (!this.ended) {
+            this.resume();
+            const timings = this.timings.snapshot();
+            this.ended = timings;
+            this.span.setAttribute('presto.state', state);
+            this.span.end(error || null);
+            const fields = Object.assign({ queryId: this.queryId, state }, timings);
+            if (error) {
+                this.observer.logger.warn(`statement ${this.queryId} failed: ${error.message}`, Object.assign(fields, { error }));
+            } else {
+                this.observer.logger.info(`statement ${this.queryId} ${state.toLowerCase()} in ${timings.elapsedMillis} ms`, fields);
+            }
+        }
+        return this.ended;
+    }
+    /**
+     * @description the timings so far, or the final timings once ended
+     */
+    snapshot() {
+        return this.ended || this.timings.snapshot();
+    }
+}
+
+/**
+ * @description logger & tracer of a client
+ */
+class Observer {
+    /**
+     * @param {Object} opts - logger: console-like logger, tracer: adapter with startSpan(name, { parent, attributes }) returning a span { setAttribute(key, value), end(error) }
+     */
+    constructor(opts = {}) {
+        this.logger = createLogger(opts.logger);
+        this.tracer = opts.tracer || null;
+    }
+    /**
+     * @description start the observation of a statement
+     */
+    statement(attributes, started) {
+        return new StatementTrace(this, attributes, started);
+    }
+    /**
+     * @description observe an HTTP request (each attempt, retries are separate requests)
+     * @param {Object} request - method, uri, attempt
+     * @param {StatementTrace} trace - the statement the request is part of, if any
+     * @returns {Function} to call with { status, bytes, error } once the request is done
+     */
+    request(request, trace) {
+        const started = Date.now();
+        const event = Object.assign({ queryId: (trace) ? trace.queryId : null }, request);
+        publish(CHANNELS.requestStart, event);
+        let span = NOOP_SPAN;
+        if (this.tracer) {
+            const attributes = { 'http.method': request.method, 'http.url': request.uri, 'presto.attempt': request.attempt };
+            if (event.queryId) {
+                attributes['presto.query_id'] = event.queryId;
+            }
+            span = this.tracer.startSpan('presto.request', { parent: (trace && trace.span !== NOOP_SPAN) ? trace.span : null, attributes }) || NOOP_SPAN;
+        }
+        return (result) => {
+            const end = Object.assign({}, event, { status: result.status || null, bytes: result.bytes || 0, durationMillis: Date.now() - started, error: result.error || null });
+            publish(CHANNELS.requestEnd, end);
+            if (end.status) {
+                span.setAttribute('http.status_code', end.status);
+            }
+            span.end(end.error);
+            if (trace) {
+                trace.timings.requests++;
+                trace.timings.requestMillis += end.durationMillis;
+                trace.timings.bytes += end.bytes;
+            }
+            this.logger.debug(`${end.method} ${end.uri} ${end.status || end.error.code || end.error.message} ${end.durationMillis} ms`, end);
+        };
+    }
+}
+
+module.exports = { Observer, StatementTrace, Timings, CHANNELS, createLogger };
@@ -0,0 +1,290 @@
+/**
+ * Errors of the client. All are prestoError, classified by category:
+ * user (UserError, QuerySyntaxError), insufficient_resources (InsufficientResourcesError), external (ExternalError), internal (InternalError),
+ * transport (TransportError), timeout (QueryTimeoutError, QueueTimeoutError), cancelled (QueryCancelledError, AbortError, ResultExpiredError)
+ * and limit (MaxRowsExceededError, a limit set on the client rather than a failure reported by presto).
+ * retriable is a hint: whether running the query again (or sending the request again) may succeed.
+ * https://github.com/prestodb/presto/blob/master/presto-spi/src/main/java/com/facebook/presto/spi/StandardErrorCode.java
+ */
+const { FailureInfo } = require('./queries');
+
+const CATEGORIES = Object.freeze({
+    USER: 'user',
+    INSUFFICIENT_RESOURCES: 'insufficient_resources',
+    EXTERNAL: 'external',
+    INTERNAL: 'internal',
+    TRANSPORT: 'transport',
+    TIMEOUT: 'timeout',
+    CANCELLED: 'cancelled',
+    LIMIT: 'limit'
+});
+
+// internal errors caused by the failure of a node or the network between nodes, the query may succeed if run again
+const RETRIABLE_INTERNAL_ERRORS = ['REMOTE_TASK_ERROR', 'REMOTE_TASK_MISMATCH', 'REMOTE_HOST_GONE', 'PAGE_TRANSPORT_ERROR', 'PAGE_TRANSPORT_TIMEOUT',
+    'TOO_MANY_REQUESTS_FAILED', 'SERVER_SHUTTING_DOWN', 'SERVER_STARTING_UP', 'NO_NODES_AVAILABLE', 'ABANDONED_TASK', 'REMOTE_BUFFER_CLOSE_FAILED'];
+const CANCELLED_ERRORS = ['USER_CANCELED', 'ADMINISTRATIVELY_KILLED', 'ADMINISTRATIVELY_PREEMPTED'];
+const TIMEOUT_ERRORS = ['EXCEEDED_TIME_LIMIT', 'ABANDONED_QUERY'];
+const RETRIABLE_TRANSPORT_CODES = ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN', 'EHOSTUNREACH', 'ENETUNREACH'];
+const RETRIABLE_STATUS_CODES = [429, 502, 503, 504];
+
+class prestoError extends Error {
+    constructor(message, props) {
+        super(message);
+        this.name = 'prestoError';
+        this.category = null;
+        this.retriable = false;
+        if (props instanceof Object && props.hasOwnProperty('data')) {
+            this.data = props.data;
+        }
+        if (props instanceof Object && props.hasOwnProperty('response_code')) {
+            this.response_code = props.response_code;
+            this.name += `: code ${props.response_code}`;
+        }
+        if (props instanceof Object && props.hasOwnProperty('response_type')) {
+            this.response_type = props.response_type;
+        }
+        if (props instanceof Object && props.hasOwnProperty('headers')) {
+            Object.defineProperty(this, 'headers', { value: props.headers, enumerable: false, writable: true }); // e.g. WWW-Authenticate of a 401
+        }
+        if (props instanceof Object && props.hasOwnProperty('cause')) {
+            this.cause = props.cause;
+        }
+    }
+}
+
+/**
+ * @description failure of a query reported by presto, with the fields of the presto error: errorCode, errorName, errorType, errorLocation & failureInfo
+ */
+class QueryError extends prestoError {
+    /**
+     * @param {String} message - message of the error
+     * @param {Object} props - error: the error object of presto, queryId, sql: the query (to render the error location), data: the response, response_code, headers
+     */
+    constructor(message, props = {}) {
+        super(message, props);
+        this.name = 'QueryError';
+        this.category = CATEGORIES.INTERNAL;
+        const error = props.error || {};
+        this.queryId = props.queryId || null;
+        this.errorCode = (typeof error.errorCode === 'number') ? error.errorCode : null;
+        this.errorName = error.errorName || null;
+        this.errorType = error.errorType || null;
+        this.errorLocation = error.errorLocation || null; // { lineNumber, columnNumber }, both 1 based
+        this.failureInfo = (error.failureInfo) ? new FailureInfo(error.failureInfo, { code: this.errorCode, name: this.errorName, type: this.errorType }) : null;
+        Object.defineProperty(this, 'sql', { value: props.sql || null, enumerable: false, writable: true });
+    }
+    /**
+     * @description render the line of the query where the error is located, with a caret under the column
+     * @returns {String|null} e.g. "SELECT * FRM t\n         ^", with the line number in front if the query has several lines. null if the query or location is unknown
+     */
+    renderSql() {
+        if (!this.sql || !this.errorLocation) {
+            return null;
+        }
+        const lines = this.sql.split(/\r?\n/);
+        const { lineNumber, columnNumber } = this.errorLocation;
+        const line = lines[lineNumber - 1];
+        if (line === undefined) {
+            return null;
+        }
+        const gutter = (lines.length > 1) ? `${String(lineNumber).padStart(String(lines.length).length)} | ` : '';
+        // keep tabs so the caret lines up with the column whatever the tab width
+        const indent = line.slice(0, Math.max(0, columnNumber - 1)).replace(/[^\t]/g, ' ');
+        return `${gutter}${line}\n${' '.repeat(gutter.length)}${indent}^`;
+    }
+}
+
+/**
+ * @description the query failed because of the query or the user, e.g. missing table, access denied. (presto USER_ERROR)
+ */
+class UserError extends QueryError {
+    constructor(message, props) {
+        super(message, props);
+        this.name = 'UserError';
+        this.category = CATEGORIES.USER;
+    }
+}
+
+/**
+ * @description the query could not be parsed (SYNTAX_ERROR), see renderSql
+ */
+class QuerySyntaxError extends UserError {
+    constructor(message, props) {
+        super(message, props);
+        this.name = 'QuerySyntaxError';
+    }
+}
+
+/**
+ * @description the cluster did not have the resources to run the query (presto INSUFFICIENT_RESOURCES).
+ * Retriable unless the query exceeded a limit of its own (EXCEEDED_*), which it would exceed again.
+ */
+class InsufficientResourcesError extends QueryError {
+    constructor(message, props) {
+        super(message, props);
+        this.name = 'InsufficientResourcesError';
+        this.category = CATEGORIES.INSUFFICIENT_RESOURCES;
+        this.retriable = !/^EXCEEDED_/.test(this.errorName || '');
+    }
+}
+
+/**
+ * @description failure of a system presto depends on, e.g. a metastore or storage (presto EXTERNAL)
+ */
+class ExternalError extends QueryError {
+    constructor(message, props) {
+        super(message, props);
+        this.name = 'ExternalError';
+        this.category = CATEGORIES.EXTERNAL;
+        this.retriable = true;
+    }
+}
+
+/**
+ * @description internal failure of presto (presto INTERNAL_ERROR). Retriable if caused by the failure of a node or the network.
+ */
+class InternalError extends QueryError {
+    constructor(message, props) {
+        super(message, props);
+        this.name = 'InternalError';
+        this.category = CATEGORIES.INTERNAL;
+        this.retriable = RETRIABLE_INTERNAL_ERRORS.includes(this.errorName);
+    }
+}
+
+/**
+ * @description the query ran out of time: its timeout option was exceeded (the query is cancelled), or presto reported a time limit (EXCEEDED_TIME_LIMIT)
+ */
+class QueryTimeoutError extends QueryError {
+    constructor(message, props) {
+        super(message, props);
+        this.name = 'QueryTimeoutError';
+        this.category = CATEGORIES.TIMEOUT;
+        this.code = 'QUERY_TIMEOUT';
+    }
+}
+
+/**
+ * @description the statement waited longer than its queue timeout for a slot of the client (maxConcurrentQueries), it was not submitted
+ */
+class QueueTimeoutError extends QueryTimeoutError {
+    constructor(message, props) {
+        super(message, props);
+        this.name = 'QueueTimeoutError';
+        this.code = 'QUEUE_TIMEOUT';
+        this.retriable = true;
+    }
+}
+
+/**
+ * @description the query was cancelled, e.g. killed by an administrator or by another client
+ */
+class QueryCancelledError extends QueryError {
+    constructor(message, props) {
+        super(message, props);
+        this.name = 'QueryCancelledError';
+        this.category = CATEGORIES.CANCELLED;
+    }
+}
+
+/**
+ * @description error of a statement aborted with an AbortSignal, the query is cancelled
+ */
+class AbortError extends QueryCancelledError {
+    constructor(message, props) {
+        super(message, props);
+        this.name = 'AbortError';
+        this.code = 'ABORT_ERR';
+    }
+}
+
+/**
+ * @description the result a statement was resumed from is no longer held by the coordinator (the query was purged, or the checkpoint is older than
+ * the pages the coordinator can return again)
+ */
+class ResultExpiredError extends QueryCancelledError {
+    constructor(message, props) {
+        super(message, props);
+        this.name = 'ResultExpiredError';
+        this.code = 'RESULT_EXPIRED';
+    }
+}
+
+/**
+ * @description the query returned more rows than the maxRows option of client.query, the query is cancelled
+ */
+class MaxRowsExceededError extends QueryError {
+    constructor(message, props) {
+        super(message, props);
+        this.name = 'MaxRowsExceededError';
+        this.category = CATEGORIES.LIMIT;
+        this.code = 'MAX_ROWS_EXCEEDED';
+    }
+}
+
+/**
+ * @description failure to communicate with presto: network error (code e.g. ECONNRESET), unsuccessful HTTP response (response_code) or invalid response.
+ * Retriable for transient network errors and 429, 502, 503 & 504 responses.
+ */
+class TransportError extends prestoError {
+    constructor(message, props = {}) {
+        super(message, props);
+        this.name = 'TransportError';
+        this.category = CATEGORIES.TRANSPORT;
+        if (props.code) {
+            this.code = props.code;
+        }
+        this.retriable = RETRIABLE_TRANSPORT_CODES.includes(this.code) || RETRIABLE_STATUS_CODES.includes(this.response_code);
+    }
+}
+
+/**
+ * @description the error for a presto error object (the error of a response of presto)
+ * @param {Object} error - the presto error: message, errorCode, errorName, errorType, errorLocation, failureInfo
+ * @param {Object} props - queryId, sql, data, response_code, headers
+ * @returns {QueryError} error of the class of the category of the presto error
+ */
+function queryError(error, props = {}) {
+    const message = error.message || `query failed${(error.errorName) ? `: ${error.errorName}` : ''}`;
+    const options = Object.assign({}, props, { error });
+    if (CANCELLED_ERRORS.includes(error.errorName)) {
+        return new QueryCancelledError(message, options);
+    } else if (TIMEOUT_ERRORS.includes(error.errorName)) {
+        return new QueryTimeoutError(message, options);
+    } else if (error.errorName === 'SYNTAX_ERROR') {
+        return new QuerySyntaxError(message, options);
+    }
+    switch (error.errorType) {
+        case 'USER_ERROR':
+            return new UserError(message, options);
+        case 'INSUFFICIENT_RESOURCES':
+            return new InsufficientResourcesError(message, options);
+        case 'EXTERNAL':
+            return new ExternalError(message, options);
+        default:
+            return new InternalError(message, options);
+    }
+}
+
+/**
+ * @description the error for a failed request: network errors are wrapped (code & cause kept), errors of the client are returned as is
+ */
+function transportError(error) {
+    if (error instanceof prestoError) {
+        return error;
+    }
+    return new TransportError(error.message, { code: error.code, cause: error });
+}
+
+/**
+ * @description the error for an unsuccessful HTTP response
+ * @param {Object} response - { response_code, data (body), response_type, headers }
+ */
+function responseError(response) {
+    return new TransportError('invalid response code', response);
+}
+
+module.exports = {
+    CATEGORIES, prestoError, QueryError, UserError, QuerySyntaxError, InsufficientResourcesError, ExternalError, InternalError,
+    QueryTimeoutError, QueueTimeoutError, QueryCancelledError, AbortError, ResultExpiredError, MaxRowsExceededError, TransportError, queryError, transportError, responseError
+};
@@ -0,0 +1,180 @@
+/**
+ * Export of the result of a statement to a directory of numbered part files (optionally gzipped), with a manifest.
+ */
+const fs = require('fs');
+const path = require('path');
+const zlib = require('zlib');
+const { once } = require('events');
+const { pipeline, finished } = require('stream').promises;
+const { getFormat } = require('./formats');
+
+const EXPORT_DEFAULTS = Object.freeze({
+    maxRowsPerFile: 0, // 0 = no limit
+    maxBytesPerFile: 0, // uncompressed bytes (before gzip), 0 = no limit
+    gzip: false,
+    prefix: 'part',
+    manifest: 'manifest.json'
+});
+
+/**
+ * @description a part file being written, through gzip if enabled
+ */
+class Part {
+    constructor(dir, name, gzip) {
+        this.name = name;
+        this.path = path.join(dir, name);
+        this.rows = 0;
+        this.bytes = 0; // uncompressed
+        this.file = fs.createWriteStream(this.path);
+        if (gzip) {
+            this.head = zlib.createGzip();
+            this.done = pipeline(this.head, this.file);
+        } else {
+            this.head = this.file;
+            this.done = finished(this.file);
+        }
+        this.done.catch(() => {}); // errors are thrown by write & close
+    }
+    /**
+     * @description write serialized output, waiting for the file to drain if needed
+     */
+    async write(output) {
+        if (output === null || output === undefined || output.length === 0) {
+            return;
+        } else if (this.head.destroyed) {
+            await this.done;
+            throw new Error(`unable to write ${this.name}: closed`);
+        }
+        this.bytes += (typeof output === 'string') ? Buffer.byteLength(output) : output.length;
+        if (!this.head.write(output)) {
+            await Promise.race([once(this.head, 'drain'), this.done]);
+        }
+    }
+    async close() {
+        this.head.end();
+        await this.done;
+        return { file: this.name, rows: this.rows, bytes: this.bytes, size: this.file.bytesWritten };
+    }
+    async discard() {
+        this.head.destroy();
+        this.file.destroy();
+        await this.done.catch(() => {});
+    }
+}
+
+/**
+ * @description export the result of a statement to part files. The statement must be in object mode without decoding (rows are written as returned by presto).
+ * Parts are written one page of rows at a time, and the statement is only read once the page is written, so memory stays bounded.
+ * @param {Statement} statement - the statement to export
+ * @param {String} dir - directory of the part files, created if needed
+ * @param {Object} opts - format: name of the output format (not object) or a format definition, formatOptions, maxRowsPerFile, maxBytesPerFile (uncompressed,
+ * pages are split across parts by the size of their rows serialized, so a part only exceeds it if a single row does), gzip, prefix (of part file names), extension (of part files, default: format name),
+ * manifest (name of the manifest file), info (add the query info to the manifest), jsonParser
+ * @returns {Promise<Object>} the manifest: queryId, format, gzip, columns, rows, files ([{ file, rows, bytes, size }]), stats (and info if opts.info)
+ */
+async function exportStatement(statement, dir, opts) {
+    const settings = Object.assign({}, EXPORT_DEFAULTS, opts);
+    const format = getFormat(settings.format);
+    if (!format) {
+        throw new Error('format object can not be exported, use a serialized format such as csv');
+    }
+    const extension = settings.extension || ((typeof settings.format === 'string') ? settings.format : 'dat');
+    const success = new Promise((resolve) => { statement.once('success', resolve); });
+    let columns = null;
+    statement.once('columns', (cols) => { // copied before object mode renames duplicate columns
+        columns = cols.map(column => Object.assign({}, column));
+    });
+    const files = [];
+    let part = null;
+    let serializer = null;
+    let measure = null; // serializer sizing the rows for maxBytesPerFile, its output is not written
+    const open = async () => {
+        const name = `${settings.prefix}-${String(files.length).padStart(5, '0')}.${extension}${(settings.gzip) ? '.gz' : ''}`;
+        part = new Part(dir, name, settings.gzip);
+        serializer = format.create(columns || [], settings.formatOptions || {}, { jsonParser: settings.jsonParser || JSON });
+        await part.write(serializer.start()); // e.g. the CSV header, repeated in each part
+    };
+    const close = async () => {
+        await part.write(serializer.end());
+        files.push(await part.close());
+        part = null;
+    };
+    const full = () => (settings.maxRowsPerFile > 0 && part.rows >= settings.maxRowsPerFile) || (settings.maxBytesPerFile > 0 && part.bytes >= settings.maxBytesPerFile);
+    // number of the first rows which fit in the part, at least one row in an empty part
+    const fitting = (rows) => {
+        const count = (settings.maxRowsPerFile > 0) ? Math.min(rows.length, settings.maxRowsPerFile - part.rows) : rows.length;
+        if (!(settings.maxBytesPerFile > 0)) {
+            return count;
+        }
+        if (!measure) {
+            measure = format.create(columns || [], settings.formatOptions || {}, { jsonParser: settings.jsonParser || JSON });
+            measure.start();
+        }
+        let bytes = part.bytes;
+        for (let i = 0; i < count; i++) {
+            const output = measure.page([rows[i]]);
+            bytes += (typeof output === 'string') ? Buffer.byteLength(output) : ((output) ? output.length : 0);
+            if (bytes > settings.maxBytesPerFile && (i > 0 || part.rows > 0)) {
+                return i;
+            }
+        }
+        return count;
+    };
+    try {
+        await fs.promises.mkdir(dir, { recursive: true });
+        for await (const page of statement.pages()) {
+            const names = statement.columns.map(column => column.name);
+            let rows = page.map(row => names.map(name => row[name]));
+            while (rows.length > 0) {
+                if (part && full()) {
+                    await close();
+                }
+                if (!part) {
+                    await open();
+                }
+                const count = fitting(rows);
+                if (count === 0) { // the next row would exceed maxBytesPerFile
+                    await close();
+                    continue;
+                }
+                await part.write(serializer.page(rows.slice(0, count)));
+                part.rows += count;
+                rows = rows.slice(count);
+            }
+        }
+        if (!part) { // no rows, one part with the header only
+            await open();
+        }
+        await close();
+    } catch (error) {
+        if (!statement.destroyed) { // cancels the query if still running
+            statement.destroy();
+        }
+        if (part) {
+            await part.discard();
+        }
+        // an incomplete export is removed, rather than left looking complete
+        await Promise.all(files.map(file => fs.promises.rm(path.join(dir, file.file), { force: true })));
+        if (part) {
+            await fs.promises.rm(part.path, { force: true });
+        }
+        throw error;
+    }
+    const result = await success;
+    const manifest = {
+        queryId: statement.query_id,
+        format: (typeof settings.format === 'string') ? settings.format : extension,
+        gzip: Boolean(settings.gzip),
+        columns: columns || [],
+        rows: files.reduce((total, file) => total + file.rows, 0),
+        files,
+        stats: (settings.info) ? result.stats : result
+    };
+    if (settings.info) {
+        manifest.info = result.info;
+    }
+    await fs.promises.writeFile(path.join(dir, settings.manifest), JSON.stringify(manifest, null, 2) + '\n');
+    return manifest;
+}
+
+module.exports = { exportStatement };
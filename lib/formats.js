@@ -0,0 +1,139 @@
+/**
+ * Output formats of statements (other than object mode). A format is defined as { binary, create(columns, options, context) }
+ * where create returns a serializer { start(), page(rows), end() }, each returning the output (string, or Buffer if binary) to push, or null.
+ * context contains jsonParser, the JSON parser of the client.
+ */
+
+const { arrowFormat } = require('./arrow');
+
+const CSV_DEFAULTS = Object.freeze({
+    delimiter: ',',
+    quote: '"',
+    quoting: 'nonnumeric', // 'nonnumeric' (quote everything except numbers), 'minimal' (only quote when required) or 'all'
+    nullValue: '""', // written as is (unquoted) for null values
+    header: true,
+    crlf: false
+});
+
+const TSV_DEFAULTS = Object.freeze({
+    nullValue: '\\N',
+    header: true,
+    crlf: false
+});
+
+function csv(columns, options, { jsonParser }) {
+    const settings = Object.assign({}, CSV_DEFAULTS, options);
+    const { delimiter, quote, quoting, nullValue } = settings;
+    const lineEnding = (settings.crlf) ? '\r\n' : '\n';
+    const escaped = new RegExp(quote.replace(/[.*+?^${}()|[\]\\]/g, '\\$&'), 'g');
+    const quoted = text => quote + text.replace(escaped, quote + quote) + quote;
+    const field = (value) => {
+        if (value === null || value === undefined) {
+            return nullValue;
+        } else if (typeof value === 'number' && quoting !== 'all') {
+            return String(value);
+        }
+        const text = (typeof value === 'object') ? jsonParser.stringify(value) : String(value);
+        if (quoting === 'minimal' && !text.includes(delimiter) && !text.includes(quote) && !/[\r\n]/.test(text) && text !== nullValue) {
+            return text;
+        }
+        return quoted(text);
+    };
+    const line = values => values.map(field).join(delimiter) + lineEnding;
+    return {
+        start: () => (settings.header) ? line(columns.map(column => column.name)) : null,
+        page: rows => rows.map(line).join(''),
+        end: () => null
+    };
+}
+
+function tsv(columns, options, { jsonParser }) {
+    const settings = Object.assign({}, TSV_DEFAULTS, options);
+    const lineEnding = (settings.crlf) ? '\r\n' : '\n';
+    const escapes = { '\\': '\\\\', '\t': '\\t', '\n': '\\n', '\r': '\\r' };
+    const field = (value) => {
+        if (value === null || value === undefined) {
+            return settings.nullValue;
+        }
+        const text = (typeof value === 'object') ? jsonParser.stringify(value) : String(value);
+        return text.replace(/[\\\t\n\r]/g, char => escapes[char]);
+    };
+    const line = values => values.map(field).join('\t') + lineEnding;
+    return {
+        start: () => (settings.header) ? line(columns.map(column => column.name)) : null,
+        page: rows => rows.map(line).join(''),
+        end: () => null
+    };
+}
+
+function toObject(columns, row) {
+    const output = {};
+    for (let i = 0; i < columns.length; i++) {
+        output[columns[i].name] = row[i];
+    }
+    return output;
+}
+
+function ndjson(columns, options, { jsonParser }) {
+    return {
+        start: () => null,
+        page: rows => rows.map(row => jsonParser.stringify(toObject(columns, row)) + '\n').join(''),
+        end: () => null
+    };
+}
+
+function json(columns, options, { jsonParser }) {
+    let first = true;
+    return {
+        start: () => '[',
+        page: (rows) => {
+            if (rows.length === 0) {
+                return null;
+            }
+            const output = ((first) ? '\n' : ',\n') + rows.map(row => jsonParser.stringify(toObject(columns, row))).join(',\n');
+            first = false;
+            return output;
+        },
+        end: () => (first) ? ']' : '\n]\n'
+    };
+}
+
+const formats = new Map([
+    ['csv', { binary: false, create: csv }],
+    ['tsv', { binary: false, create: tsv }],
+    ['ndjson', { binary: false, create: ndjson }],
+    ['json', { binary: false, create: json }],
+    ['arrow', arrowFormat]
+]);
+
+/**
+ * @description register a custom output format, usable as format option of client & statements
+ * @param {String} name - name of the format
+ * @param {Object} definition - { binary: whether output is binary (Buffers) rather than strings, create(columns, options, context) => { start(), page(rows), end() } }
+ */
+function registerFormat(name, definition) {
+    if (name === 'object') {
+        throw new Error('format name object is reserved');
+    } else if (!definition || typeof definition.create !== 'function') {
+        throw new Error(`format ${name} must be an object with a create function`);
+    }
+    formats.set(name, { binary: Boolean(definition.binary), create: definition.create });
+}
+
+/**
+ * @description resolve a format option to its definition
+ * @param {String|Object} format - name of a registered format or a format definition
+ * @returns {Object|null} format definition, or null for object mode
+ */
+function getFormat(format) {
+    if (format === 'object') {
+        return null;
+    } else if (format instanceof Object && typeof format.create === 'function') {
+        return format;
+    } else if (formats.has(format)) {
+        return formats.get(format);
+    }
+    throw new Error(`unknown format: ${format}, expected one of object, ${Array.from(formats.keys()).join(', ')} or a format definition`);
+}
+
+module.exports = { registerFormat, getFormat, toObject };
@@ -11,7 +11,158 @@ const Headers = {
     SET_SESSION:'X-Presto-Set-Session',
     CLEAR_SESSION:'X-Presto-Clear-Session',
     SESSION:'X-Presto-Session',
+    SET_CATALOG:'X-Presto-Set-Catalog',
+    SET_SCHEMA:'X-Presto-Set-Schema',
+    SET_PATH:'X-Presto-Set-Path',
+    PATH:'X-Presto-Path',
+    SET_ROLE:'X-Presto-Set-Role',
+    ROLE:'X-Presto-Role',
+    PREPARED_STATEMENT:'X-Presto-Prepared-Statement',
+    ADDED_PREPARE:'X-Presto-Added-Prepare',
+    DEALLOCATED_PREPARE:'X-Presto-Deallocated-Prepare',
+    CLIENT_TAGS:'X-Presto-Client-Tags',
+    CLIENT_INFO:'X-Presto-Client-Info',
+    TRACE_TOKEN:'X-Presto-Trace-Token',
+    LANGUAGE:'X-Presto-Language',
+    EXTRA_CREDENTIAL:'X-Presto-Extra-Credential',
+    RESOURCE_ESTIMATE:'X-Presto-Resource-Estimate',
     USER_AGENT:'User-Agent',
     AUTHORIZATION:'Authorization'
 };
-module.exports = { Headers };
+
+const PROTOCOLS = ['presto', 'trino', 'auto'];
+const PRESTO_PREFIX = /^x-presto-/i;
+const TRINO_PREFIX = /^x-trino-/i;
+const TRINO_RENAMED_VERSION = 351; // first release of presto sql as trino, using X-Trino-* headers
+
+/**
+ * @description translate request headers (named as per Headers) to the header names of the given protocol
+ * @param {Object} headers - request headers
+ * @param {String} protocol - 'presto' or 'trino'
+ * @returns {Object} headers to send
+ */
+function toProtocol(headers, protocol) {
+    if (protocol !== 'trino') {
+        return headers;
+    }
+    const output = {};
+    for (const name of Object.keys(headers)) {
+        output[name.replace(PRESTO_PREFIX, 'X-Trino-')] = headers[name];
+    }
+    return output;
+}
+
+/**
+ * @description make the response headers of the given protocol readable with the names of Headers: x-trino-* headers are also set as x-presto-*
+ * @param {Object} headers - response headers (lower case names, as per node)
+ * @param {String} protocol - 'presto' or 'trino'
+ * @returns {Object} response headers
+ */
+function fromProtocol(headers, protocol) {
+    if (protocol !== 'trino' || !headers) {
+        return headers;
+    }
+    const output = Object.assign({}, headers);
+    for (const name of Object.keys(headers)) {
+        if (TRINO_PREFIX.test(name)) {
+            output[name.replace(TRINO_PREFIX, 'x-presto-')] = headers[name];
+        }
+    }
+    return output;
+}
+
+/**
+ * @description detect the protocol of a server from its /v1/info response: trino reports versions as a release number >= 351 (e.g. '438'), presto as 0.x (e.g. '0.283')
+ * @param {Object} info - body of the /v1/info response
+ * @param {Object} headers - headers of the response, x-trino-* headers identify trino
+ * @returns {String} 'presto' or 'trino'
+ */
+function detectProtocol(info, headers = {}) {
+    if (Object.keys(headers || {}).some(name => TRINO_PREFIX.test(name))) {
+        return 'trino';
+    }
+    const version = String((info && info.nodeVersion && info.nodeVersion.version) || '');
+    const release = /^(\d+)(?:$|[^.\d])/.exec(version);
+    return (release && Number(release[1]) >= TRINO_RENAMED_VERSION) ? 'trino' : 'presto';
+}
+
+// options of clients & statements sent as headers with statements, see clientHeaders
+const CLIENT_HEADER_OPTIONS = ['clientTags', 'clientInfo', 'traceToken', 'language', 'extraCredentials', 'resourceEstimates'];
+const RESOURCE_ESTIMATES = { executionTime: 'EXECUTION_TIME', cpuTime: 'CPU_TIME', peakMemory: 'PEAK_MEMORY' };
+const DURATION = /^\d+(\.\d+)?(ns|us|ms|s|m|h|d)$/;
+const DATA_SIZE = /^\d+(\.\d+)?(B|kB|MB|GB|TB|PB)$/;
+
+function checkHeaderValue(name, value) {
+    if (typeof value !== 'string' || /[^\x20-\x7e\t]/.test(value)) {
+        throw new Error(`${name} must be a string of printable ascii characters`);
+    }
+    return value;
+}
+
+/**
+ * @description validate & encode the client tags, client info, trace token, language, extra credentials and resource estimates of a statement as headers
+ * @param {Object} options - clientTags: array of tags (without commas), clientInfo: string or object (sent as JSON), traceToken: string,
+ * language: BCP 47 language tag e.g. 'en-US', extraCredentials: { name: value }, resourceEstimates: { executionTime, cpuTime: ms or duration e.g. '10m', peakMemory: bytes or data size e.g. '2GB' }
+ * @returns {Object} headers (named as per Headers), only for the options set
+ */
+function clientHeaders(options) {
+    const headers = {};
+    const { clientTags, clientInfo, traceToken, language, extraCredentials, resourceEstimates } = options;
+    if (clientTags !== undefined && clientTags !== null) {
+        if (!Array.isArray(clientTags) || clientTags.some(tag => typeof tag !== 'string' || tag.length === 0 || tag.includes(','))) {
+            throw new Error('clientTags must be an array of non-empty strings without commas');
+        }
+        if (clientTags.length > 0) {
+            headers[Headers.CLIENT_TAGS] = checkHeaderValue('clientTags', clientTags.join(','));
+        }
+    }
+    if (clientInfo !== undefined && clientInfo !== null) {
+        headers[Headers.CLIENT_INFO] = checkHeaderValue('clientInfo', (typeof clientInfo === 'string') ? clientInfo : JSON.stringify(clientInfo));
+    }
+    if (traceToken !== undefined && traceToken !== null) {
+        headers[Headers.TRACE_TOKEN] = checkHeaderValue('traceToken', traceToken);
+    }
+    if (language !== undefined && language !== null) {
+        try {
+            headers[Headers.LANGUAGE] = Intl.getCanonicalLocales(language)[0];
+        } catch (error) {
+            throw new Error(`language must be a BCP 47 language tag e.g. en-US, got ${language}`);
+        }
+    }
+    if (extraCredentials !== undefined && extraCredentials !== null) {
+        if (!(extraCredentials instanceof Object) || Array.isArray(extraCredentials)) {
+            throw new Error('extraCredentials must be an object of name: value');
+        }
+        const names = Object.keys(extraCredentials);
+        for (const name of names) {
+            if (!/^[^\s=,]+$/.test(name) || typeof extraCredentials[name] !== 'string') {
+                throw new Error(`invalid extra credential ${name}, names must not contain spaces, = or commas and values must be strings`);
+            }
+        }
+        if (names.length > 0) {
+            headers[Headers.EXTRA_CREDENTIAL] = names.map(name => `${encodeURIComponent(name)}=${encodeURIComponent(extraCredentials[name])}`).join(',');
+        }
+    }
+    if (resourceEstimates !== undefined && resourceEstimates !== null) {
+        const estimates = [];
+        for (const key of Object.keys(resourceEstimates)) {
+            const value = resourceEstimates[key];
+            const isMemory = key === 'peakMemory';
+            if (!RESOURCE_ESTIMATES.hasOwnProperty(key)) {
+                throw new Error(`unknown resource estimate ${key}, expected one of ${Object.keys(RESOURCE_ESTIMATES).join(', ')}`);
+            } else if (typeof value === 'number' && value >= 0 && Number.isFinite(value)) {
+                estimates.push(`${RESOURCE_ESTIMATES[key]}=${Math.round(value)}${(isMemory) ? 'B' : 'ms'}`);
+            } else if (typeof value === 'string' && ((isMemory) ? DATA_SIZE : DURATION).test(value)) {
+                estimates.push(`${RESOURCE_ESTIMATES[key]}=${value}`);
+            } else {
+                throw new Error(`invalid resource estimate ${key}: ${value}, expected ${(isMemory) ? 'bytes or a data size e.g. 2GB' : 'ms or a duration e.g. 10m'}`);
+            }
+        }
+        if (estimates.length > 0) {
+            headers[Headers.RESOURCE_ESTIMATE] = estimates.join(',');
+        }
+    }
+    return headers;
+}
+
+module.exports = { Headers, PROTOCOLS, toProtocol, fromProtocol, detectProtocol, CLIENT_HEADER_OPTIONS, clientHeaders };
@@ -2,7 +2,24 @@ const http = require('http');
 const https = require('https');
 const { Readable } = require('stream');
 //const { URL } = require('url');
-const { Headers } = require('./headers');
+const { Headers , PROTOCOLS , toProtocol , fromProtocol , detectProtocol , CLIENT_HEADER_OPTIONS , clientHeaders } = require('./headers');
+const { createDecoders , createDecoder } = require('./decoders');
+const { toLiteral } = require('./literals');
+const { normalizeRetryPolicy , isRetriable , retryDelay } = require('./retry');
+const { Coordinators , canFailover } = require('./coordinators');
+const { getFormat , registerFormat } = require('./formats');
+const { Session , PreparedStatement , parseProperties , formatProperties , usingClause } = require('./session');
+const { computeProgress } = require('./progress');
+const auth = require('./auth');
+const { exportStatement } = require('./export');
+const { QueryInfo , StageInfo , TaskInfo , FailureInfo , matchesFilter , checkFilter } = require('./queries');
+const { Metadata } = require('./metadata');
+const { insertRows } = require('./insert');
+const { Limiter } = require('./limiter');
+const { ResultCache , cacheKey , replayResponses } = require('./cache');
+const { Observer , CHANNELS: DIAGNOSTICS_CHANNELS } = require('./diagnostics');
+const { CATEGORIES: ERROR_CATEGORIES , prestoError , QueryError , UserError , QuerySyntaxError , InsufficientResourcesError , ExternalError , InternalError , QueryTimeoutError ,
+    QueueTimeoutError , QueryCancelledError , AbortError , ResultExpiredError , MaxRowsExceededError , TransportError , queryError , transportError , responseError } = require('./errors');
 const VERSION = require('../package.json').version;
 // symbols below used to hide properties considered private
 const s_objectMode = Symbol('Object Mode');
@@ -19,56 +36,86 @@ const s_session = Symbol("Session Data");
 const s_ssl  = Symbol("SSL info");
 const s_isRunning = Symbol("Run in progress");
 const s_handleError = Symbol("function to handle statement errors");
+const s_decode = Symbol("Value decoder options");
+const s_decoders = Symbol("Value decoders per column");
+const s_agent = Symbol("HTTP agent shared by all requests of a client");
+const s_ownAgent = Symbol("Whether the agent was created by the client");
+const s_closed = Symbol("Client closed");
+const s_coordinators = Symbol("Coordinator endpoints");
+const s_endpoint = Symbol("Coordinator the statement runs on");
+const s_send = Symbol("Send a request to a given coordinator");
+const s_healthTimer = Symbol("Health check timer");
+const s_format = Symbol("Output format definition");
+const s_formatOptions = Symbol("Output format options");
+const s_serializer = Symbol("Output serializer");
+const s_progress = Symbol("Progress event throttling");
+const s_maxWait = Symbol("Long polling wait");
+const s_deadline = Symbol("Deadline & abort signal cleanup");
+const s_protocol = Symbol("Protocol option");
+const s_detected = Symbol("Protocol in use");
+const s_detect = Symbol("Detect the protocol of the server");
+const s_detecting = Symbol("Callbacks waiting for protocol detection");
+const s_auth = Symbol("Authentication provider");
+const s_fetch = Symbol("GET an absolute url");
+const s_clientOptions = Symbol("Default client tags, client info etc. of statements");
+const s_partialCancelUri = Symbol("URI to cancel the output stage of the query");
+const s_sql = Symbol("SQL of the query, to render the location of errors");
+const s_metadata = Symbol("Metadata introspection & cache");
+const s_limiter = Symbol("Limit of the number of running queries");
+const s_release = Symbol("Release the query slot of the statement");
+const s_replay = Symbol("Responses replayed from the result cache");
+const s_recorder = Symbol("Recorder of the result for the result cache");
+const s_resultCache = Symbol("Result cache");
+const s_observer = Symbol("Logger & tracer of the client");
+const s_trace = Symbol("Span & timings of the statement");
+const s_rows = Symbol("Rows pushed by the statement (and before its checkpoint, if resumed)");
+const s_skip = Symbol("Rows of the next page delivered before the checkpoint the statement was resumed from");
+const s_lastPage = Symbol("Uri & output of the last response, if it had rows");
+const s_prefetched = Symbol("First response of a resumed statement");
 
 const QUERY_STATE_CHECK_INTERVAL = 3000; // in ms
-class prestoError extends Error {
-    constructor(message,props) {
-        super(message);
-        this.name = 'prestoError';
-        if(props instanceof Object && props.hasOwnProperty('data')) {
-            this.data = props.data;
-        }
-        if(props instanceof Object && props.hasOwnProperty('response_code')) {
-            this.response_code = props.response_code;
-            this.name += `: code ${props.response_code}`;
-        }
-        if(props instanceof Object && props.hasOwnProperty('response_type')) {
-            this.response_type = props.response_type;
-        }
-    }
-
-}
-
-function convertToCSV(input,jsonParser){
-    switch (typeof input){
-        case 'number':
-            return input;
-        case 'object':
-            if(input === null){
-                return `""`;
-            } else {
-                return '"' + jsonParser.stringify(input).replace(/"/g,'""') + '"';
-            }
-        default:
-            return '"' + String(input).replace(/"/g,'""') + '"';
-    }
-}
+const PROGRESS_INTERVAL = 1000; // in ms
+const MAX_WAIT = 1000; // in ms, how long the coordinator may hold a poll until the state of the query changes
+const POOL_DEFAULTS = Object.freeze({ maxSockets: 16, maxFreeSockets: 4, idleTimeout: 30000 });
+const HEALTH_CHECK_DEFAULTS = Object.freeze({ interval: 30000, timeout: 5000, path: '/v1/info' });
+const CHECKPOINT_VERSION = 1; // of the format of statement checkpoints
+let parameterizedStatements = 0; // counter to name prepared statements used to bind parameters
 
 const sslSettings = ["ca", "cert", "ciphers", "clientCertEngine", "crl", "dhparam", "ecdhCurve", "honorCipherOrder", "key", "passphrase", "pfx", "rejectUnauthorized", "secureOptions", "secureProtocol", "servername", "sessionIdContext"];
 /**
  * @description helper function make a generic http / https request to presto
  * Ideally, this would be async but async code seems to conflict with stream.Readable's requirement to emit errors (causing this.emit to reject the promise as side effect)
  * in any case this function is not exposed so external api can still be promisified
+ * @param {Object} opts - http.request options
+ * @param {String} contentBody - request body, if any
+ * @param {Object} settings - agent: http(s) agent to use, ssl: ssl options or false, jsonParser, retry: normalized retry policy, onRetry: function called with retry info before each retry,
+ * observe: function called with { method, uri, attempt } as each attempt starts, returning a function called with { status, bytes, error } once it is done
+ * @param {Function} callback - function(error, response)
+ * @param {Number} attempt - internal, the current attempt
  */
-function makeRequest(opts,contentBody,sslOptions,jsonParser,callback) {
-    opts.agent = (sslOptions) ? new https.Agent(opts) : new http.Agent(opts);
+function makeRequest(opts,contentBody,settings,callback,attempt = 1) {
+    const { ssl: sslOptions, jsonParser, retry } = settings;
+    opts.agent = settings.agent;
     if(sslOptions) {
         for (const key of Object.keys(sslOptions)) {
             if(sslSettings.includes(key)){
-                opts[key] = sslSettings[key];
+                opts[key] = sslOptions[key];
             }
         }
     }
+    const retryOrFail = (failure,error)=>{
+        if(!isRetriable(retry,attempt,opts.method,failure)) {
+            return callback(error);
+        }
+        const delay = retryDelay(retry,attempt);
+        if(settings.onRetry) {
+            settings.onRetry({ attempt, delay, method: opts.method || 'GET', path: opts.path, error: failure.error || null, response_code: failure.response_code || null });
+        }
+        setTimeout(()=>{
+            return makeRequest(opts,contentBody,settings,callback,attempt + 1);
+        }, delay);
+    };
+    const observed = (settings.observe) ? settings.observe({ method: opts.method || 'GET', uri: `${(sslOptions) ? 'https' : 'http'}://${opts.host}:${opts.port}${opts.path}`, attempt }) : null;
     new Promise((resolve,reject)=>{
 
         const req = (sslOptions) ? https.request(opts) : http.request(opts);
@@ -79,54 +126,84 @@ function makeRequest(opts,contentBody,sslOptions,jsonParser,callback) {
             const response_data = [];
             res.on('data', (chunk)=>{
                 response_data.push(chunk);
+            }).on('aborted', ()=>{ // connection lost while receiving the body
+                const error = new Error('response aborted');
+                error.code = 'ECONNRESET';
+                return reject(error);
             }).on('end', ()=>{
                 return resolve({ response_code,
                     data:response_data.join('') ,
                     response_type: res.headers['content-type'] ,
-                    session: res.headers[Headers.SET_SESSION] ,
-                    clear_session:res.headers[Headers.CLEAR_SESSION]
+                    headers: res.headers
                 });
             });
         }).on('error', function(e){
             return reject(e);
         });
+        if(retry.timeout > 0) {
+            req.setTimeout(retry.timeout,()=>{
+                const error = new Error(`request timed out after ${retry.timeout} ms`);
+                error.code = 'ETIMEDOUT';
+                req.destroy(error);
+            });
+        }
         if (contentBody) {req.write(contentBody);}
         req.end();
     }).then((response)=>{
-        if (response.code === 503 ) { // https://github.com/prestodb/presto/wiki/HTTP-Protocol "If the response is an HTTP 503, sleep 50-100ms and try again"
-            setTimeout(()=>{
-                return makeRequest(opts,contentBody,useSSL,jsonParser,callback);
-            }, Math.floor(Math.random() * (51)) + 50); //randomly sleep between 50 and 100 ms so concurrent requests are spread out
-        } else if(response.response_code < 300) {
+        if(observed) {
+            observed({ status: response.response_code, bytes: Buffer.byteLength(response.data) });
+        }
+        if(response.response_code < 300) {
             if(response.response_type !== 'application/json' || response.data.length < 2) { //some apis such as DELETE do not have a body
-                return callback(null,{ response_code : response.response_code , data: {}});
+                return callback(null,{ response_code : response.response_code , data: {}, headers: response.headers });
             }
             try {
                 const data = jsonParser.parse(response.data);
-                const output = {response_code:response.response_code, data};
-                if(response.data.updateType === true) {
-                //SET SESSION or RESET SESSION https://github.com/prestodb/presto/wiki/HTTP-Protocol
-                    if(response.session) {
-                        output.session = response.session;
-                    } else {
-                        output.clear_session = true;
-                    }
-                }
-                return callback(null,output);
+                // headers are passed on so session state (X-Presto-Set-Session etc.) can be tracked by the caller
+                return callback(null,{ response_code:response.response_code, data, headers: response.headers });
             } catch (x) {
             /** presto with response type application/json should always return JSON if not treat as failure https://github.com/prestodb/presto/wiki/HTTP-Protocol*/
-                return callback(new prestoError('request failed: unintelligible response.',response));
+                return callback(new TransportError('request failed: unintelligible response.',response));
             }
         } else {
-            return callback(new prestoError('invalid response code',response));
+            // e.g. 503 from presto, or 502/504 from a load balancer
+            return retryOrFail({ response_code: response.response_code },responseError(response));
         }
     },(error)=>{
-        return callback(error);
+        if(observed) {
+            observed({ error });
+        }
+        return retryOrFail({ error },transportError(error));
     });
 }
+/**
+ * @description the options of a statement (output format, decoding, polling, deadline...) from the options of execute & the defaults of the client
+ * @param {Client} client - the client of the statement
+ * @param {Object} opts - options of execute
+ * @param {Number} started - time the statement was started at, its timeout counts from it
+ */
+function statementOptions(client,opts,started) {
+    let format = client.format;
+    if (opts.format) {
+        format = opts.format;
+    } else if (opts.hasOwnProperty('objectMode')) {
+        format = (opts.objectMode) ? 'object' : 'csv';
+    }
+    const streamOpts = {};
+    streamOpts.format = getFormat(format);
+    streamOpts.formatOptions = opts.formatOptions || client.formatOptions;
+    if(opts.highWaterMark) { streamOpts.highWaterMark = opts.highWaterMark; }
+    streamOpts.decode = opts.hasOwnProperty('decode') ? opts.decode : client.decode;
+    streamOpts.progressInterval = opts.hasOwnProperty('progressInterval') ? opts.progressInterval : client.progressInterval;
+    streamOpts.maxWait = opts.hasOwnProperty('maxWait') ? opts.maxWait : client.maxWait;
+    if(opts.timeout > 0) { streamOpts.deadline = started + opts.timeout; }
+    if(opts.signal) { streamOpts.signal = opts.signal; }
+    streamOpts.sql = opts.query || null;
+    return streamOpts;
+}
 /**
  * @description a presto client.
- * @param {Object} args - host,port,user,password, catalog, schema, source, pollInterval, jsonParser , objectMode , ssl
+ * @param {Object} args - host,port,user,password, catalog, schema, source, pollInterval, jsonParser , format , ssl
  */
 class Client {
     /**
@@ -134,15 +211,36 @@ class Client {
      * @param {Object} args (optional)
      * host: presto coordinator address, default: localhost
      * port: presto coordinator port, default: 8080
+     * coordinators: list of coordinators ('host:port' or { host, port }) to use instead of host & port. new statements fail over between them.
+     * strategy: how a coordinator is chosen for new requests, 'failover' (first healthy coordinator in order) or 'round-robin'. default: failover
+     * healthCheck: settings of coordinator health checks: interval (ms, 0 to disable. default: 30000 if multiple coordinators, otherwise 0), timeout (ms, default: 5000), path ('/v1/info' or '/v1/cluster', default: '/v1/info')
      * ssl: if an object is provided, activate SSL with any extra settings as defined in the object. default: no ssl
      * user: query user, default: current user (process.env.USER),
-     * password: if provided, authenticate with Basic Auth.
+     * password: if provided (and auth is not), authenticate with Basic Auth.
+     * auth: authentication provider (see auth.basic, auth.bearer, auth.token, auth.external), a bearer token string, or a function returning a token (same as auth.token(fn))
      * catalog: default presto catalog. default: hive.
      * schema: default schema. default: default.
      * source: query source, default nodejs-client.
-     * pollInterval: status polling interval while waiting for query to finish. default: 3000 ms.
+     * pollInterval: status polling interval while waiting for query to finish, if long polling is disabled. default: 3000 ms.
+     * maxWait: long polling, how long the coordinator may hold a request until the state of the query changes (X-Presto-Max-Wait). 0 to disable and poll every pollInterval instead. default: 1000 ms.
+     * progressInterval: minimum interval between progress events of statements. default: 1000 ms.
      * jsonParser: custom parser for JSON (in case bigint support needed ). default: JSON.
-     * objectMode: default mode for statements, default: false. (e.g. statements will by default return a CSV readstream)
+     * format: default output format for statements: 'object', 'csv', 'tsv', 'ndjson', 'json', 'arrow', a registered format name or a format definition. default: 'csv'
+     * formatOptions: default options of the output format (e.g. delimiter, quote, quoting, nullValue, header, crlf for csv)
+     * objectMode: deprecated, same as format 'object' if true.
+     * decode: default value decoding for object mode statements, true or an object of decoder settings (bigint, decimal, temporal, map, types). default: false (values as parsed from JSON).
+     * retry: retry policy for transient failures, false to disable or an object of settings (maxAttempts, minDelay, maxDelay, factor, jitter, timeout, statusCodes, errorCodes). default: up to 5 attempts.
+     * agent: http.Agent (or https.Agent if ssl) to use for all requests. default: a keep-alive agent owned by the client, configured by pool.
+     * pool: settings of the keep-alive agent owned by the client: maxSockets (default: 16), maxFreeSockets (default: 4), idleTimeout (ms, default: 30000).
+     * clientTags, clientInfo, traceToken, language, extraCredentials, resourceEstimates: defaults of the statements of the client, see execute
+     * protocol: 'presto' (X-Presto-* headers), 'trino' (X-Trino-* headers) or 'auto' to detect the protocol from the server (/v1/info) before the first request. default: presto
+     * metadataCache: settings of the cache of catalogs, schemas, tables & columns: ttl (ms, default: 0, no cache)
+     * maxConcurrentQueries: number of statements of the client which may run at the same time, further statements wait for a slot in a priority queue. default: 0 (no limit)
+     * queueTimeout: ms a statement may wait for a slot, after which execute rejects with a QueueTimeoutError. default: 0 (no limit)
+     * resultCache: settings of the cache of query results, replayed by statements of the same query: ttl (ms, default: 300000), dir (directory to keep results in, default: in memory),
+     * maxBytes (default: 64 MB), maxEntries (default: 1000), maxEntryBytes (larger results are not cached, default: 8 MB). default: no cache
+     * logger: console-like logger (debug, info, warn, error methods, called with a message & an object of fields) of requests, retries, failovers & statements. default: none
+     * tracer: tracing adapter, startSpan(name, { parent, attributes }) returning a span { setAttribute(key, value), end(error) }. one span per statement, a child span per HTTP request. default: none
      */
     constructor(args = {}){
         this[s_options] = {headers:{}};
@@ -159,32 +257,156 @@ class Client {
         this.catalog = args.catalog || 'hive';
         this.schema = args.schema || 'default';
         this.pollInterval = args.pollInterval || QUERY_STATE_CHECK_INTERVAL;
+        this.progressInterval = (args.hasOwnProperty('progressInterval')) ? args.progressInterval : PROGRESS_INTERVAL;
+        this.maxWait = (args.hasOwnProperty('maxWait')) ? args.maxWait : MAX_WAIT;
         this.jsonParser = args.jsonParser || JSON;
-        this.objectMode = (args.hasOwnProperty('objectMode') && args.objectMode) ? true : false;
+        this.format = args.format || ((args.hasOwnProperty('objectMode') && args.objectMode) ? 'object' : 'csv');
+        getFormat(this.format); // throw early if invalid
+        this.formatOptions = args.formatOptions || {};
+        this.decode = args.decode || false;
+        this.retry = normalizeRetryPolicy(args.retry);
+        this[s_protocol] = args.protocol || 'presto';
+        if (!PROTOCOLS.includes(this[s_protocol])) {
+            throw new Error(`invalid protocol: ${this[s_protocol]}, expected one of ${PROTOCOLS.join(', ')}`);
+        }
+        this[s_detected] = (this[s_protocol] === 'auto') ? null : this[s_protocol];
+        this[s_detecting] = null;
+        this[s_clientOptions] = {};
+        for (const key of CLIENT_HEADER_OPTIONS.filter(option => args[option] !== undefined)) {
+            this[s_clientOptions][key] = args[key];
+        }
+        clientHeaders(this[s_clientOptions]); // throw early if invalid
+        this[s_metadata] = new Metadata(this,args.metadataCache);
+        this[s_limiter] = (args.maxConcurrentQueries > 0) ? new Limiter({ maxConcurrentQueries: args.maxConcurrentQueries, queueTimeout: args.queueTimeout }) : null;
+        this[s_resultCache] = (args.resultCache) ? new ResultCache((args.resultCache instanceof Object) ? args.resultCache : {},this.jsonParser) : null;
+        // one agent for all requests, so connections (and TLS sessions) are reused across nextUri pages, polls and statements
+        if (args.agent) {
+            this[s_agent] = args.agent;
+            this[s_ownAgent] = false;
+        } else {
+            const pool = Object.assign({},POOL_DEFAULTS,args.pool);
+            const agentOpts = Object.assign({},(this[s_ssl]) ? this[s_ssl] : {},{ keepAlive: true, maxSockets: pool.maxSockets, maxFreeSockets: pool.maxFreeSockets, timeout: pool.idleTimeout });
+            this[s_agent] = (this[s_ssl]) ? new https.Agent(agentOpts) : new http.Agent(agentOpts);
+            this[s_ownAgent] = true;
+        }
+        this[s_closed] = false;
+        this[s_coordinators] = new Coordinators(args.coordinators || [{ host: this[s_options].host, port: this[s_options].port }],{ strategy: args.strategy, defaultPort: this[s_options].port });
+        const healthCheck = Object.assign({},HEALTH_CHECK_DEFAULTS,{ interval: (this[s_coordinators].endpoints.length > 1) ? HEALTH_CHECK_DEFAULTS.interval : 0 },args.healthCheck);
+        this.healthCheck = Object.freeze(healthCheck);
+        this[s_healthTimer] = null;
+        if (healthCheck.interval > 0) {
+            this[s_healthTimer] = setInterval(()=>{ this.checkHealth(); },healthCheck.interval);
+            this[s_healthTimer].unref(); // health checks alone should not keep the process running
+        }
         this[s_options].headers[Headers.USER_AGENT] = 'presto-stream-client-' + VERSION;
         this[s_options].headers[Headers.SOURCE] = args.source || 'nodejs-client';
         this[s_options].headers[Headers.USER] = args.user || process.env.USER;
-        // Apply an Authorization header if the user has specified a password.
-        if (args.password){
-            this[s_options].headers[Headers.AUTHORIZATION] = 'Basic ' + Buffer.from(this[s_options].headers[Headers.USER] + ":" + args.password).toString("base64");
-        }
+        // Authorization header of each request, from the auth provider (or Basic Auth if the user has specified a password)
+        this[s_auth] = auth.createAuthProvider(args.auth,this[s_options].headers[Headers.USER],args.password);
+        this[s_observer] = new Observer({ logger: args.logger, tracer: args.tracer });
         // internal call to makeRequest, given options setup by this client
+        // requests with an endpoint go to that coordinator, other requests fail over between coordinators as per strategy
         this[s_request] = (opts,callback)=>{
+            if (this[s_closed]) {
+                return process.nextTick(callback,new Error('client is closed'));
+            }
+            if (!this[s_detected] && !opts.detecting) { // protocol auto, detect it before the first request
+                return this[s_detect]((error)=>{
+                    return (error) ? callback(error) : this[s_request](opts,callback);
+                });
+            }
+            if (opts.endpoint) {
+                return this[s_send](opts,opts.endpoint,callback);
+            }
+            const coordinators = this[s_coordinators];
+            const endpoints = coordinators.select();
+            const attempt = (index)=>{
+                this[s_send](opts,endpoints[index],(error,response)=>{
+                    if (error && canFailover(error,opts.method)) {
+                        coordinators.markDown(endpoints[index],error);
+                        this[s_observer].logger.warn(`coordinator ${endpoints[index].host}:${endpoints[index].port} failed: ${error.message}`,{ coordinator: `${endpoints[index].host}:${endpoints[index].port}`, error });
+                        if (index + 1 < endpoints.length) {
+                            return attempt(index + 1);
+                        }
+                    } else if (!error) {
+                        coordinators.markUp(endpoints[index]);
+                        response.endpoint = endpoints[index];
+                    }
+                    return callback(error,response);
+                });
+            };
+            return attempt(0);
+        };
+        this[s_send] = (opts,endpoint,callback)=>{
             const contentBody = (opts.body) ? opts.body : null;
             const requestOpts = Object.assign({},this[s_options]); //copy options by value
             if(opts.headers) { //headers is child object, copy by value, override if provided
                 requestOpts.headers = Object.assign({},this[s_options].headers,opts.headers);
             }
-            if (opts.session) {
-                // https://github.com/prestodb/presto/wiki/HTTP-Protocol Statements submitted following SET SESSION statements should include any key-value pairs (returned by the servers X-Presto-Set-Session) in the header X-Presto-Session. Multiple pairs can be comma-separated and included in a single header.
-                requestOpts.header[Headers.SESSION] = opts.session;
-            }
             for(const key of Object.keys(opts)){
-                if(key !== 'headers') {
+                if(!['headers','onRetry','endpoint','retry','detecting','trace'].includes(key)) {
                     requestOpts[key] = opts[key];
                 }
             }
-            return makeRequest(requestOpts,contentBody,this[s_ssl],this.jsonParser,callback);
+            requestOpts.host = endpoint.host;
+            requestOpts.port = endpoint.port;
+            // headers are named as per presto internally, translated to & from the protocol of the server
+            const protocol = this[s_detected] || 'presto';
+            const observer = this[s_observer];
+            const onRetry = (info)=>{
+                observer.logger.warn(`${info.method} ${info.path} failed (${info.response_code || (info.error && (info.error.code || info.error.message))}), retrying in ${info.delay} ms`,Object.assign({ queryId: (opts.trace) ? opts.trace.queryId : null },info));
+                if(opts.onRetry) {
+                    opts.onRetry(info);
+                }
+            };
+            const settings = { agent: this[s_agent], ssl: this[s_ssl], jsonParser: this.jsonParser, retry: opts.retry || this.retry, onRetry, observe: request => observer.request(request,opts.trace || null) };
+            const provider = this[s_auth];
+            const send = (refreshed)=>{
+                Promise.resolve(provider ? provider.headers() : {}).then((authHeaders)=>{
+                    const sendOpts = Object.assign({},requestOpts,{ headers: toProtocol(Object.assign({},requestOpts.headers,authHeaders),protocol) });
+                    makeRequest(sendOpts,contentBody,settings,(error,response)=>{
+                        if(error && error.response_code === 401 && provider && provider.refresh && !refreshed) {
+                            // credentials rejected, the provider may refresh them (e.g. new token, external authentication) before the request is sent again
+                            const challenge = { headers: error.headers || {}, data: error.data, authorization: sendOpts.headers[Headers.AUTHORIZATION], request: url => this[s_fetch](url) };
+                            return Promise.resolve(provider.refresh(challenge)).then((retry)=>{
+                                return (retry) ? send(true) : callback(error);
+                            },callback);
+                        }
+                        if(response && response.headers) {
+                            response.headers = fromProtocol(response.headers,protocol);
+                        }
+                        return callback(error,response);
+                    });
+                },callback);
+            };
+            return send(false);
+        };
+        // detect the protocol from /v1/info, concurrent requests wait for the same detection. on failure detection is attempted again with the next request
+        this[s_detect] = (callback)=>{
+            if (this[s_detecting]) {
+                return this[s_detecting].push(callback);
+            }
+            this[s_detecting] = [callback];
+            this[s_request]({ method: 'GET', path: '/v1/info', detecting: true },(error,response)=>{
+                const callbacks = this[s_detecting];
+                this[s_detecting] = null;
+                if (!error) {
+                    this[s_detected] = detectProtocol(response.data,response.headers);
+                }
+                callbacks.forEach(waiting => waiting(error));
+            });
+        };
+        // GET json from an absolute url, outside of the coordinators (e.g. the token server of external authentication)
+        this[s_fetch] = (url)=>{
+            return new Promise((resolve,reject)=>{
+                const target = new URL(url);
+                const secure = target.protocol === 'https:';
+                const requestOpts = { method: 'GET', host: target.hostname, port: target.port || ((secure) ? 443 : 80), path: target.pathname + target.search, headers: { [Headers.USER_AGENT]: this[s_options].headers[Headers.USER_AGENT] } };
+                const settings = { agent: (secure === Boolean(this[s_ssl])) ? this[s_agent] : undefined, ssl: (secure) ? (this[s_ssl] || {}) : false, jsonParser: this.jsonParser, retry: this.retry };
+                makeRequest(requestOpts,null,settings,(error,response)=>{
+                    return (error) ? reject(error) : resolve(response);
+                });
+            });
         };
         // promisified call to makeRequest to simplify code where async is used
         this[s_requestPromise] = (opts)=>{
@@ -204,6 +426,87 @@ class Client {
     get ssl() {
         return this[s_ssl];
     }
+    /**
+     * @description the protocol used with the server, 'presto' or 'trino'. null if the protocol option is 'auto' and it has not yet been detected
+     */
+    get protocol() {
+        return this[s_detected];
+    }
+    /**
+     * @description detect the protocol of the server if the protocol option is 'auto' (done automatically before the first request)
+     * @returns {Promise<String>} the protocol used with the server, 'presto' or 'trino'
+     */
+    detectProtocol() {
+        return new Promise((resolve,reject)=>{
+            if (this[s_detected]) {
+                return resolve(this[s_detected]);
+            }
+            this[s_detect]((error)=>{
+                return (error) ? reject(error) : resolve(this[s_detected]);
+            });
+        });
+    }
+    /**
+     * @description deprecated, whether statements are in object mode by default. (same as format 'object')
+     */
+    get objectMode() {
+        return this.format === 'object';
+    }
+    set objectMode(objectMode) {
+        this.format = (objectMode) ? 'object' : 'csv';
+    }
+    /**
+     * @description the http / https agent used for all requests of this client
+     */
+    get agent() {
+        return this[s_agent];
+    }
+    /**
+     * @description the coordinators of this client and their health. emits 'up' and 'down' events (endpoint) when the health of a coordinator changes.
+     */
+    get coordinators() {
+        return this[s_coordinators];
+    }
+    /**
+     * @description check the health of all coordinators now (runs every healthCheck.interval ms if enabled), marking them up or down
+     * @returns {Promise<Object[]>} the coordinator endpoints with their health: host, port, up, lastError, lastChecked
+     */
+    async checkHealth() {
+        const coordinators = this[s_coordinators];
+        const retry = normalizeRetryPolicy({ maxAttempts: 1, timeout: this.healthCheck.timeout });
+        await Promise.all(coordinators.endpoints.map((endpoint)=>{
+            return new Promise((resolve)=>{
+                this[s_send]({ method: 'GET', path: this.healthCheck.path, retry },endpoint,(error,response)=>{
+                    if (error) {
+                        coordinators.markDown(endpoint,error);
+                    } else if (response.data && response.data.starting) {
+                        coordinators.markDown(endpoint,new Error('coordinator is starting'));
+                    } else {
+                        coordinators.markUp(endpoint);
+                    }
+                    return resolve();
+                });
+            });
+        }));
+        return coordinators.endpoints;
+    }
+    /**
+     * @description close the client: further requests fail, and the connections of the agent are closed (unless the agent was provided by the user).
+     * Statements still running will fail, so they should be completed or cancelled first. Results being written to the result cache are written first.
+     */
+    async close() {
+        this[s_closed] = true;
+        clearInterval(this[s_healthTimer]);
+        if (this[s_limiter]) {
+            this[s_limiter].close();
+        }
+        if (this[s_resultCache]) {
+            await this[s_resultCache].flush();
+        }
+        if (this[s_ownAgent]) {
+            this[s_agent].destroy();
+        }
+    }
     /**
      * @description return a list of active or failed nodes (GET /v1/node or GET /v1/node/failed)
      * @param active {boolean} - whether to retrieve all known nodes or only currently failing nodes. Default: all known.
@@ -238,53 +541,270 @@ class Client {
         await this[s_requestPromise]({ method: 'DELETE', path: '/v1/query/' + query_id });
         return;
     }
+    /**
+     * @description returns the info of the provided query (GET /v1/query/{queryId}) with typed accessors: stages, tasks, failure, memory etc.
+     * @param query_id {string} the ID of the desired query
+     * @returns {Promise<QueryInfo>}
+     */
+    async queryInfo(query_id) {
+        return new QueryInfo(await this.status(query_id));
+    }
+    /**
+     * @description list the queries known to the coordinator (GET /v1/query), filtered client side
+     * @param {Object} filter (optional) - state: state or array of states. user, source: string, RegExp or array of strings.
+     * since: Date (or ms since epoch, or ISO string), queries created at or after. predicate: function(QueryInfo) returning true to keep the query
+     * @returns {Promise<Array<QueryInfo>>} basic info of the queries (without stages)
+     */
+    async queries(filter = {}) {
+        checkFilter(filter);
+        const states = (filter.state !== undefined) ? [].concat(filter.state) : [];
+        const path = '/v1/query' + ((states.length === 1) ? '?state=' + encodeURIComponent(String(states[0]).toUpperCase()) : '');
+        const { data } = await this[s_requestPromise]({ method: 'GET', path });
+        return ((Array.isArray(data)) ? data : []).map(info => new QueryInfo(info)).filter(info => matchesFilter(info,filter));
+    }
+    /**
+     * @description kill the queries matching a filter which are still running (e.g. to clean up runaway queries)
+     * @param {Object} filter - as per queries(), with at least one criterion
+     * @param {Object} opts (optional) - dryRun: if true, only list the queries which would be killed
+     * @returns {Promise<Array<Object>>} [{ queryId, info (QueryInfo), killed (boolean), error (if the query could not be killed, otherwise null) }]
+     */
+    async killWhere(filter,opts = {}) {
+        if (!checkFilter(filter)) {
+            throw new Error('killWhere requires a filter with at least one criterion');
+        }
+        const running = (await this.queries(filter)).filter(info => !info.done);
+        return Promise.all(running.map(async (info)=>{
+            const result = { queryId: info.queryId, info, killed: false, error: null };
+            if (!opts.dryRun) {
+                try {
+                    await this.kill(info.queryId);
+                    result.killed = true;
+                } catch (error) {
+                    result.error = error;
+                }
+            }
+            return result;
+        }));
+    }
+    /**
+     * @description the limiter of the number of running statements (see maxConcurrentQueries), null if not limited.
+     * limiter.stats() returns { running, queued, maxConcurrentQueries, oldestWaitMillis, waits }, events: queued, acquired, released, rejected
+     */
+    get limiter() {
+        return this[s_limiter];
+    }
+    /**
+     * @description the cache of query results (see resultCache), null if results are not cached.
+     * resultCache.stats() returns { hits, misses, entries, bytes, maxBytes, maxEntries }, resultCache.invalidate() drops the cached results. events: hit, miss, store, evict
+     */
+    get resultCache() {
+        return this[s_resultCache];
+    }
+    /**
+     * @description list the catalogs of the cluster
+     * @param {Object} opts (optional) - refresh: if true, bypass the metadata cache
+     * @returns {Promise<Array<String>>} names of the catalogs
+     */
+    catalogs(opts) {
+        return this[s_metadata].catalogs(opts);
+    }
+    /**
+     * @description list the schemas of a catalog
+     * @param {String} catalog - the catalog (default, client catalog)
+     * @param {Object} opts (optional) - refresh: if true, bypass the metadata cache
+     * @returns {Promise<Array<String>>} names of the schemas
+     */
+    schemas(catalog,opts) {
+        return this[s_metadata].schemas(catalog || this.catalog,opts);
+    }
+    /**
+     * @description list the tables & views of a schema (or of all the schemas of a catalog)
+     * @param {String} catalog - the catalog (default, client catalog)
+     * @param {String} schema - the schema, all schemas if not set
+     * @param {Object} opts (optional) - like: LIKE pattern of the table names, e.g. 'page_%'. refresh: if true, bypass the metadata cache
+     * @returns {Promise<Array<Object>>} [{ catalog, schema, name, type ('BASE TABLE' or 'VIEW') }]
+     */
+    tables(catalog,schema,opts) {
+        return this[s_metadata].tables(catalog || this.catalog,schema,opts);
+    }
+    /**
+     * @description list the columns of the tables of a schema (or of all the schemas of a catalog)
+     * @param {String} catalog - the catalog (default, client catalog)
+     * @param {String} schema - the schema, all schemas if not set
+     * @param {Object} opts (optional) - table: name of the table, like: LIKE pattern of the table names. refresh: if true, bypass the metadata cache
+     * @returns {Promise<Array<Object>>} [{ catalog, schema, table, name, ordinal, type, signature (parsed type), nullable, default, comment, partitionKey }],
+     * comment & partitionKey are null if not listed by the server (trino), see describe
+     */
+    columns(catalog,schema,opts) {
+        return this[s_metadata].columns(catalog || this.catalog,schema,opts);
+    }
+    /**
+     * @description describe a table: its columns, with comments & partition keys
+     * @param {String|Object} table - name of the table ('table', 'schema.table' or 'catalog.schema.table', completed with the client catalog & schema) or { catalog, schema, table }
+     * @param {Object} opts (optional) - refresh: if true, bypass the metadata cache
+     * @returns {Promise<Object>} { catalog, schema, table, columns (as per columns()), partitionKeys (names of the partition key columns) }. rejects with a UserError if the table does not exist
+     */
+    describe(table,opts) {
+        return this[s_metadata].describe(table,opts);
+    }
+    /**
+     * @description insert rows into a table with batched INSERT statements. Values are converted to literals of the types of the columns of the table (see describe).
+     * @param {String|Object} table - the table, as per describe
+     * @param {Iterable|AsyncIterable} rows - objects (by column name) or arrays (in the order of the columns), e.g. an object mode Readable. read as batches are written
+     * @param {Object} opts (optional) - any option of execute (except query & format), and:
+     * columns: names of the columns to insert (default, all the columns of the table in order)
+     * batchRows: maximum rows per INSERT statement (default, 1000)
+     * maxStatementBytes: maximum length of an INSERT statement in bytes (default, 1000000)
+     * concurrency: number of INSERT statements run at the same time (default, 1)
+     * @returns {Promise<Object>} { rows: total rows written, batches: [{ index, offset (of the first row), rows, bytes, queryId, elapsedMillis }] }.
+     * rejects with the first error, error.batch is the { index, offset, rows } of the failed batch and error.batches the batches written
+     */
+    async insert(table,rows,opts = {}) {
+        const described = await this.describe(table);
+        return insertRows(this,described,rows,opts);
+    }
+    /**
+     * @description drop cached metadata, e.g. after creating or altering tables
+     * @param {String} catalog (optional) - the catalog whose metadata to drop, all metadata if not set
+     */
+    invalidateMetadata(catalog) {
+        this[s_metadata].cache.invalidate(catalog);
+    }
+    /**
+     * @description create a new session, to carry server driven state (SET SESSION, USE etc.) from one statement to the next.
+     * @param {Object} state (optional) - initial session state: catalog, schema, properties, roles, path. (e.g. as returned by session.toJSON())
+     * @returns {Session} session object, run statements in the session with session.execute
+     */
+    session(state) {
+        return new Session(this,state);
+    }
+    /**
+     * @description prepare a statement in a new session (PREPARE name FROM sql). (use session.prepare to prepare a statement in an existing session)
+     * @param {String} name - name of the prepared statement
+     * @param {String} sql - the statement, with ? as placeholders for parameters
+     * @returns {Promise<PreparedStatement>} the prepared statement, execute it with preparedStatement.execute(params)
+     */
+    prepare(name,sql) {
+        return this.session().prepare(name,sql);
+    }
     /**
      * @description execute a query on the presto cluster.
      * @param {Object} opts - properties:
      * catalog: the catalog to run the statement against (default, client catalog)
      * schema: the schema to run the statement against (default, client schema)
      * query: the query to run on presto. (required)
+     * params: values to bind to ? placeholders in the query. (converted to escaped presto literals)
      * timezone: the timezone to run the query in.
-     * session: the session string provided by Presto to consider this statement a part of a session
-     * objectMode: whether the statement will run in Object Mode or not. If true, will be a stream of objects. If false, will be a stream of CSV strings.
+     * session: the Session this statement is a part of (or a session properties string as returned by session.toString())
+     * format: output format of the statement (default, client format). 'object' for a stream of row objects, or 'csv', 'tsv', 'ndjson', 'json', 'arrow', a registered format name or a format definition.
+     * formatOptions: options of the output format (default, client formatOptions)
+     * objectMode: deprecated, if true same as format 'object', if false same as format 'csv'.
+     * decode: value decoding for object mode (default, client decode). false to disable, true or an object of decoder settings to enable.
      * highWaterMark: the highWaterMark for the statement stream. (exactly as per stream.Readable)
+     * progressInterval: minimum interval between progress events of the statement in ms (default, client progressInterval)
+     * maxWait: long polling wait in ms, 0 to disable (default, client maxWait)
+     * timeout: ms after which the query is cancelled and the statement fails with a QueryTimeoutError (counted from this call). default: no timeout
+     * signal: AbortSignal, when aborted the query is cancelled and the statement fails with an AbortError
+     * clientTags: array of tags e.g. for resource group selection (default, client clientTags)
+     * clientInfo: string or object (sent as JSON) describing the client (default, client clientInfo)
+     * traceToken: token to trace the query with (default, client traceToken)
+     * language: BCP 47 language tag e.g. 'en-US' (default, client language)
+     * extraCredentials: { name: value } of credentials for connectors (default, client extraCredentials)
+     * resourceEstimates: { executionTime, cpuTime: ms or duration e.g. '10m', peakMemory: bytes or data size e.g. '2GB' } (default, client resourceEstimates)
+     * priority: if the client has maxConcurrentQueries, statements of higher priority get a slot first (default, 0)
+     * queueTimeout: ms the statement may wait for a slot (default, client queueTimeout)
+     * cache: if the client has a resultCache, false to neither replay nor cache the result of the statement, 'refresh' to run the query and replace its cached result (default, true)
      * @returns Statement object
      */
     async execute(opts){
-        if (!opts.catalog && !this.catalog) {
+        const started = Date.now();
+        if (opts.signal && opts.signal.aborted) {
+            throw new AbortError('statement aborted before it was submitted',{ cause: opts.signal.reason });
+        }
+        let session;
+        if (opts.session instanceof Session) {
+            session = opts.session;
+        } else { // statement not run in a session, track its session state separately
+            session = new Session(this,{ properties: parseProperties(opts.session) });
+        }
+        if (!opts.catalog && !session.catalog && !this.catalog) {
             throw new Error("catalog not specified");
-        } else if (!opts.schema && !this.schema) {
+        } else if (!opts.schema && !session.schema && !this.schema) {
             throw new Error("schema not specified");
         } else if (!opts.query || !(typeof opts.query === 'string')) {
             throw new Error('query not specified or is invalid');
         }
-        const header = {};
-        header[Headers.CATALOG] = opts.catalog || this.catalog;
-        header[Headers.SCHEMA] = opts.schema || this.schema;
+        const streamOpts = statementOptions(this,opts,started);
+        let query = opts.query;
+        let using = '';
+        const header = session.headers();
+        if (opts.params) {
+            // bind parameters with EXECUTE ... USING, the statement is passed in the prepared statement header so no PREPARE round trip is required
+            const name = `nodejs_client_statement_${++parameterizedStatements}`;
+            using = usingClause(query,opts.params);
+            header[Headers.PREPARED_STATEMENT] = formatProperties(Object.assign({},session.preparedStatements,{ [name]: query }));
+            query = `EXECUTE ${name}${using}`;
+        }
+        const clientOptions = Object.assign({},this[s_clientOptions]);
+        for (const key of CLIENT_HEADER_OPTIONS.filter(option => opts[option] !== undefined)) {
+            clientOptions[key] = opts[key];
+        }
+        Object.assign(header,clientHeaders(clientOptions));
+        header[Headers.CATALOG] = opts.catalog || session.catalog || this.catalog;
+        header[Headers.SCHEMA] = opts.schema || session.schema || this.schema;
         if (opts.timezone) {header[Headers.TIME_ZONE] = opts.timezone;}
-        if (opts.session) {
-            // https://github.com/prestodb/presto/wiki/HTTP-Protocol Statements submitted following SET SESSION statements should include any key-value pairs (returned by the servers X-Presto-Set-Session) in the header X-Presto-Session. Multiple pairs can be comma-separated and included in a single header.
-            opts.header[Headers.SESSION] = opts.session;
+        // one span per statement, with child spans for its requests
+        const trace = this[s_observer].statement({ 'db.system': 'presto', 'db.statement': opts.query, 'db.user': this[s_options].headers[Headers.USER],
+            'presto.catalog': header[Headers.CATALOG], 'presto.schema': header[Headers.SCHEMA] },started);
+        streamOpts.trace = trace;
+
+        // with a result cache, the result of the same query run with the same catalog, schema, session & user is replayed
+        const cache = (opts.cache === false) ? null : this[s_resultCache];
+        if (cache) {
+            const key = cacheKey({ sql: opts.query, params: using, catalog: header[Headers.CATALOG], schema: header[Headers.SCHEMA], user: this[s_options].headers[Headers.USER],
+                timezone: opts.timezone || null, path: session.path, properties: session.properties, roles: session.roles, preparedStatements: session.preparedStatements });
+            const entry = (opts.cache === 'refresh') ? null : await cache.get(key);
+            if (entry) {
+                trace.span.setAttribute('presto.cached',true);
+                streamOpts.replay = entry;
+                return new Statement(streamOpts,this,null,entry.queryId,opts.info || false,this.pollInterval,session,null);
+            }
+            streamOpts.recorder = cache.recorder(key);
         }
 
-        const { response_code , data , session } = await this[s_requestPromise]({ method: 'POST', path: '/v1/statement', headers: header, body: opts.query });
+        // with maxConcurrentQueries, wait for a slot. the statement holds it until the query is done
+        let release = null;
+        const fail = (error)=>{ // the slot is released if the statement could not be submitted
+            if (release) { release(); }
+            trace.end('FAILED',error);
+            return error;
+        };
+        if (this[s_limiter]) {
+            release = await this[s_limiter].acquire({ priority: opts.priority, timeout: opts.queueTimeout, signal: opts.signal }).catch((error)=>{
+                throw fail(error);
+            });
+            trace.timings.queueMillis = Date.now() - started;
+        }
+        const submitted = Date.now();
+        const { response_code , data , headers , endpoint } = await this[s_requestPromise]({ method: 'POST', path: '/v1/statement', headers: header, body: query, trace }).catch((error)=>{
+            throw fail(error);
+        });
+        trace.timings.submitMillis = Date.now() - submitted;
 
-        if(response_code !== 200 || data && data.error) {
-            if (data.error.message) {
-                throw new prestoError(data.error.message,{ data , response_code });
-            } else {
-                throw new prestoError("execution error" + (data && data.length > 0 ? ":" + data : ""),{ response_code });
-            }
+        if(data && data.error) {
+            throw fail(queryError(data.error,{ data , response_code , queryId: data.id , sql: opts.query }));
+        } else if(response_code !== 200) {
+            throw fail(new TransportError("execution error" + (data && data.length > 0 ? ":" + data : ""),{ response_code }));
         } else if (!data.id) {
-            throw new prestoError("query id missing in response for POST /v1/statement", { data });
+            throw fail(new TransportError("query id missing in response for POST /v1/statement", { data }));
         } else if (!data.nextUri){
-            throw new prestoError("nextUri missing in response for POST /v1/statement", { data });
+            throw fail(new TransportError("nextUri missing in response for POST /v1/statement", { data }));
         } else if (!data.infoUri) {
-            throw new prestoError("infoUri missing in response for POST /v1/statement", { data });
+            throw fail(new TransportError("infoUri missing in response for POST /v1/statement", { data }));
         }
-        const streamOpts = {};
-        streamOpts.objectMode = opts.hasOwnProperty('objectMode') ? opts.objectMode : this.objectMode;
-        if(opts.highWaterMark) { streamOpts.highWaterMark = opts.highWaterMark; }
+        session.update(headers);
+        this[s_observer].logger.debug(`statement ${data.id} submitted`,{ queryId: data.id, coordinator: endpoint && `${endpoint.host}:${endpoint.port}` });
+        streamOpts.release = release;
         /*
     var data = {
       "stats": {
@@ -300,45 +820,124 @@ class Client {
       "id": "20140120_032523_00000_32v8g"
     };
      */
-        return new Statement(streamOpts,this,data.nextUri,data.id,opts.info || false,this.pollInterval,session);
+        return new Statement(streamOpts,this,data.nextUri,data.id,opts.info || false,this.pollInterval,session,endpoint);
+    }
+    /**
+     * @description run a query and collect its result in memory.
+     * @param {String} sql - the query to run
+     * @param {Object} opts - any option of execute (except query & format, rows are objects), and:
+     * maxRows: maximum number of rows to collect. If the query returns more rows it is cancelled and the promise rejects with a MaxRowsExceededError. (default, no limit)
+     * @returns {Promise<Object>} { columns, rows, stats, queryId } (and info if opts.info is true)
+     */
+    async query(sql,opts = {}) {
+        const maxRows = (opts.maxRows > 0) ? opts.maxRows : Infinity;
+        const statement = await this.execute(Object.assign({},opts,{ query: sql, format: 'object' }));
+        const success = new Promise((resolve)=>{ statement.once('success',resolve); });
+        const rows = [];
+        for await (const row of statement) { // leaving the loop early destroys the statement, which cancels the query
+            if(rows.length >= maxRows) {
+                throw new MaxRowsExceededError(`query ${statement.query_id} returned more than maxRows (${maxRows}) rows, the query was cancelled`,{ queryId: statement.query_id, sql, data: { queryId: statement.query_id, maxRows } });
+            }
+            rows.push(row);
+        }
+        const result = await success;
+        const output = { columns: statement.columns || [], rows, stats: (opts.info) ? result.stats : result, queryId: statement.query_id };
+        if(opts.info) {
+            output.info = result.info;
+        }
+        return output;
+    }
+    /**
+     * @description run a query and export its result to numbered part files in a directory, with a manifest. (see README, Exporting large results)
+     * @param {String} dir - directory of the files, created if needed
+     * @param {Object} opts - query (the SQL) & any option of execute, and:
+     * format: output format of the files, any format but object (default, client format). formatOptions: options of the format (default, client formatOptions)
+     * maxRowsPerFile: rows per part file (default, no limit). maxBytesPerFile: maximum uncompressed bytes (before gzip) of a part file, pages are split across parts (default, no limit)
+     * gzip: whether to gzip each part file (default, false). prefix: of the part file names (default, 'part'). extension: of the part files (default, the format name)
+     * manifest: name of the manifest file (default, 'manifest.json')
+     * @returns {Promise<Object>} the manifest: { queryId, format, gzip, columns, rows, files: [{ file, rows, bytes, size }], stats } (and info if opts.info is true)
+     */
+    async exportTo(dir,opts = {}) {
+        const format = opts.format || this.format;
+        if (!getFormat(format)) {
+            throw new Error('format object can not be exported, use a serialized format such as csv');
+        }
+        const statement = await this.execute(Object.assign({},opts,{ format: 'object', decode: false }));
+        return exportStatement(statement,dir,Object.assign({},opts,{ format, formatOptions: opts.formatOptions || this.formatOptions, jsonParser: this.jsonParser }));
     }
 }
 
 class Statement extends Readable {
     /**
      * @description constructor for Statement class, used to manage a single execution of a Presto query.
-     * @param {Object} readableOptions - optional parameters highWaterMark, objectMode. (other Readable options are fixed)
+     * @param {Object} readableOptions - optional parameters highWaterMark, format (format definition or null for object mode), formatOptions, decode, progressInterval,
+     * maxWait (long polling wait in ms, 0 to poll every pollInterval), deadline (time in ms since epoch after which the query is cancelled), signal (AbortSignal cancelling the query), sql (the query, to render the location of errors),
+     * release (function releasing the slot of the client limiter the statement holds, called once the query is done), replay (a cached result to replay instead of fetching pages from presto),
+     * recorder (recorder storing the result in the result cache once the statement succeeds), trace (observation of the statement, see diagnostics),
+     * response (the response to initialUri, already requested), skip (rows of that response delivered already) & rows (rows delivered already), to resume a statement from a checkpoint. objectMode is accepted instead of format for compatibility. (other Readable options are fixed)
      * @param {Client} client - related presto client
      * @param {String} initialUri - the first uri to fetch data from (provided by client)
      * @param {String} queryid - the query ID
      * @param {Boolean} fetchInfo - whether to retrieve Info on success event or not
      * @param {Number} pollInterval - milliseconds to poll for state changes
-     * @param {String} session - related session data
+     * @param {Session} session - the session the statement runs in, updated from server responses
+     * @param {Object} endpoint - the coordinator the statement was submitted to, all requests of the statement are sent to it
      */
-    constructor(readableOptions,client,initialUri,queryId,fetchInfo = false,pollInterval = QUERY_STATE_CHECK_INTERVAL,session = null){
+    constructor(readableOptions,client,initialUri,queryId,fetchInfo = false,pollInterval = QUERY_STATE_CHECK_INTERVAL,session = null,endpoint = null){
         const opts = {objectMode:false,autoDestroy:true};
         if(readableOptions.highWaterMark) {
             opts.highWaterMark = readableOptions.highWaterMark;
         }
-        if(readableOptions.hasOwnProperty('objectMode') && readableOptions.objectMode) {
-            opts.objectMode = true;
+        let format;
+        if(readableOptions.hasOwnProperty('format')) {
+            format = readableOptions.format;
         } else {
+            format = (readableOptions.objectMode) ? null : getFormat('csv');
+        }
+        if(format === null) {
+            opts.objectMode = true;
+        } else if (!format.binary) {
             opts.encoding = 'utf8';
         }
         super(opts);
         this[s_objectMode] = opts.objectMode; //cannot use this before super
+        this[s_format] = format;
+        this[s_formatOptions] = readableOptions.formatOptions || {};
+        this[s_serializer] = null;
+        this[s_decode] = readableOptions.decode || false;
+        this[s_decoders] = null;
+        this[s_progress] = { interval: (readableOptions.hasOwnProperty('progressInterval')) ? readableOptions.progressInterval : PROGRESS_INTERVAL, started: Date.now(), emitted: 0, state: null };
         this[s_EOF] = false;
         this[s_SOF] = false;
         this[s_id] = queryId;
         this[s_state] = null;
         this[s_nextUri] = initialUri;
         this[s_session] = session || null;
+        this[s_endpoint] = endpoint;
         this[s_cancelled] = false;
+        this[s_partialCancelUri] = null;
+        this[s_sql] = readableOptions.sql || null;
+        this[s_release] = readableOptions.release || null;
+        this[s_replay] = (readableOptions.replay) ? { responses: replayResponses(readableOptions.replay), info: readableOptions.replay.info } : null;
+        this[s_recorder] = readableOptions.recorder || null;
+        this[s_trace] = readableOptions.trace || client[s_observer].statement({ 'db.system': 'presto' });
+        this[s_trace].setQueryId(queryId);
+        this[s_rows] = readableOptions.rows || 0;
+        this[s_skip] = readableOptions.skip || 0;
+        this[s_lastPage] = null;
+        this[s_prefetched] = readableOptions.response || null;
         this[s_isRunning] = false;
         this.client = client;
         this.columns = null;
         this.fetchInfo = (fetchInfo) ? true : false;
+        this.pollInterval = pollInterval;
+        this[s_maxWait] = (readableOptions.hasOwnProperty('maxWait')) ? readableOptions.maxWait : MAX_WAIT;
+        this[s_deadline] = null;
+        if(readableOptions.deadline || readableOptions.signal) {
+            this._watchDeadline(readableOptions.deadline,readableOptions.signal);
+        }
         this[s_handleError] = (err)=>{
+            this[s_trace].end('FAILED',err);
             //end run if error, and attempt to cancel on Presto as well
             this.emit('error',err);
             this.cancel().catch((error)=>{ // if call to cancel errors, emit that error
@@ -353,6 +952,12 @@ class Statement extends Readable {
     get query_id() {
         return this[s_id];
     }
+    /**
+     * @description the coordinator this statement was submitted to ({ host, port }), to which all its requests are sent
+     */
+    get coordinator() {
+        return (this[s_endpoint]) ? { host: this[s_endpoint].host, port: this[s_endpoint].port } : null;
+    }
     /**
      * @description get the currrent state of the query.
      */
@@ -360,7 +965,20 @@ class Statement extends Readable {
         return this[s_state];
     }
     /**
-     * @description get the session for re-use
+     * @description the timings of the statement so far: elapsedMillis, queueMillis, submitMillis, requests, requestMillis, bytes, pages, rows, firstPageMillis,
+     * backpressurePauses, backpressureMillis (as in the stats of the success event)
+     */
+    get timings() {
+        return this[s_trace].snapshot();
+    }
+    /**
+     * @description whether the result of the statement is replayed from the result cache
+     */
+    get cached() {
+        return this[s_replay] !== null;
+    }
+    /**
+     * @description get the session of this statement, to run further statements in the same session
      */
     get session() {
         return this[s_session];
@@ -371,13 +989,115 @@ class Statement extends Readable {
     async cancel() {
         this[s_cancelled] = true; //flag to stop
         this[s_nextUri] = null;
-        return await this.client.kill(this[s_id]);
+        this._releaseSlot();
+        this[s_trace].end('CANCELED');
+        if(this[s_replay]) { // nothing runs on presto
+            return;
+        }
+        await this.client[s_requestPromise]({ method: 'DELETE', path: '/v1/query/' + this[s_id], endpoint: this[s_endpoint], trace: this[s_trace] });
+        return;
+    }
+    /**
+     * @description cancel the output stage of the query (partialCancelUri), e.g. once a consumer has read as many rows as it needs (LIMIT style).
+     * The query stops producing output: rows already produced are still returned, then the statement ends normally.
+     * @returns {Promise<Boolean>} false if the query has no stage to cancel (e.g. it has finished)
+     */
+    async cancelStage() {
+        const uri = this[s_partialCancelUri];
+        if (!uri || !this.client) {
+            return false;
+        }
+        this[s_partialCancelUri] = null;
+        // the uri may name an address of the coordinator internal to the cluster, the request goes to the coordinator of the statement
+        const { pathname } = new URL(uri);
+        await this.client[s_requestPromise]({ method: 'DELETE', path: pathname, endpoint: this[s_endpoint] });
+        return true;
+    }
+    /**
+     * @description a serializable checkpoint of the position of the statement in its result, to resume it with Statement.resume (e.g. in another process).
+     * The position is after the rows read from the statement, rows it has buffered are delivered again by the resumed statement.
+     * Throws if more than the last page received is unread, as presto can only return the last page again.
+     * @returns {Object} { version, queryId, nextUri (null once the statement has ended), skip (rows of that page delivered already), columns, coordinator, session, rows (delivered) }
+     */
+    checkpoint() {
+        if(this[s_replay]) {
+            throw new Error(`statement ${this[s_id]} is replayed from the result cache, it can not be resumed`);
+        }
+        const buffered = this.readableLength;
+        const last = this[s_lastPage];
+        let nextUri = (this[s_EOF]) ? null : this[s_nextUri];
+        let skip = this[s_skip];
+        let rows = this[s_rows];
+        if(this[s_cancelled]) { // the query is cancelled, there is nothing to resume
+            nextUri = null;
+        } else if(buffered > 0) { // the resumed statement requests the last page again and skips its rows which were read
+            if(!last || buffered > last.size || (!this[s_objectMode] && buffered !== last.size)) {
+                throw new Error(`statement ${this[s_id]} can not be checkpointed while more than its last page is unread`);
+            }
+            const unread = (this[s_objectMode]) ? buffered : last.rows;
+            nextUri = last.uri;
+            skip = last.skip + last.rows - unread;
+            rows -= unread;
+        }
+        return { version: CHECKPOINT_VERSION, queryId: this[s_id], nextUri, skip, columns: this.columns, coordinator: this.coordinator,
+            session: (this[s_session]) ? this[s_session].toJSON() : null, rows };
+    }
+    /**
+     * @description resume a statement from a checkpoint (see checkpoint), as long as the coordinator still holds the result of the query.
+     * In text formats, the output of the resumed statement starts anew (e.g. with a CSV header) with the rows after the checkpoint.
+     * @param {Client} client - the client to resume the statement with
+     * @param {Object} token - the checkpoint
+     * @param {Object} opts - options of execute applying to the output & the statement: format, formatOptions, decode, highWaterMark, progressInterval, maxWait,
+     * timeout, signal, info, priority, queueTimeout
+     * @returns {Promise<Statement>} the statement, rejects with a ResultExpiredError if the coordinator no longer holds the result,
+     * and if the coordinator of the checkpoint is not one of the client (its host or coordinators)
+     */
+    static async resume(client,token,opts = {}) {
+        const started = Date.now();
+        if(!token || token.version !== CHECKPOINT_VERSION || !token.queryId) {
+            throw new TypeError('invalid checkpoint');
+        } else if(!token.nextUri) {
+            throw new Error(`statement ${token.queryId} had ended at its checkpoint, there is nothing to resume`);
+        }
+        // the requests carry the credentials of the client, they only go to a coordinator of the client whatever the origin of the token
+        const coordinator = token.coordinator;
+        const endpoint = (coordinator) ? client[s_coordinators].endpoints.find(known => known.host === coordinator.host && Number(known.port) === Number(coordinator.port)) : null;
+        if(coordinator && !endpoint) {
+            throw new Error(`coordinator ${coordinator.host}:${coordinator.port} of the checkpoint of statement ${token.queryId} is not a coordinator of the client`);
+        }
+        const streamOpts = statementOptions(client,opts,started);
+        const trace = client[s_observer].statement({ 'db.system': 'presto', 'db.user': client[s_options].headers[Headers.USER], 'presto.resumed': true },started);
+        trace.setQueryId(token.queryId);
+        streamOpts.trace = trace;
+        let release = null;
+        const fail = (error)=>{
+            if (release) { release(); }
+            trace.end('FAILED',error);
+            return error;
+        };
+        if (client[s_limiter]) {
+            release = await client[s_limiter].acquire({ priority: opts.priority, timeout: opts.queueTimeout, signal: opts.signal }).catch((error)=>{
+                throw fail(error);
+            });
+            trace.timings.queueMillis = Date.now() - started;
+        }
+        // the page of the checkpoint is requested straight away, so an expired result fails resume rather than the stream
+        const response = await client[s_requestPromise]({ path: token.nextUri, endpoint, trace }).catch((error)=>{
+            if (error.response_code === 404 || error.response_code === 410) {
+                throw fail(new ResultExpiredError(`the result of query ${token.queryId} is no longer available on the coordinator, the statement can not be resumed`,
+                    { queryId: token.queryId, response_code: error.response_code, data: error.data, cause: error }));
+            }
+            throw fail(error);
+        });
+        Object.assign(streamOpts,{ response, skip: token.skip || 0, rows: token.rows || 0, release });
+        return new Statement(streamOpts,client,token.nextUri,token.queryId,opts.info || false,client.pollInterval,new Session(client,token.session || {}),endpoint || response.endpoint);
     }
     /**
      * @description Internal, required as a Readable implementation
      */
     _read() {
         if (!this[s_isRunning]) {
+            this[s_trace].resume();
             this._run();
         }
     }
@@ -385,11 +1105,18 @@ class Statement extends Readable {
      * @description Internal, required as a Readable implementation
      */
     _destroy(error,callback) {
+        if(this[s_deadline]) {
+            this[s_deadline]();
+        }
+        this._releaseSlot();
         if(!['FINISHED', 'CANCELED', 'FAILED'].includes(this[s_state])) {
             //cancel query if it is still running on server
+            if(error) {
+                this[s_trace].end('FAILED',error);
+            }
             this.cancel().then(()=>{
                 this.client = null;
-                return callback(null);
+                return callback(error);
             },(err)=>{
                 this.client = null;
                 return callback(err);
@@ -397,6 +1124,99 @@ class Statement extends Readable {
         } else {
             this[s_nextUri] = null;
             this.client = null;
+            return callback(error);
+        }
+    }
+    /**
+     * @description iterate over the pages of rows returned by presto, e.g. for await (const page of statement.pages()).
+     * Pages are arrays of row objects in object mode, otherwise arrays of raw values in column order. (the statement stream is consumed)
+     * Breaking out of the loop early cancels the query.
+     */
+    async *pages() {
+        const pages = [];
+        const onPage = (page)=>{ pages.push(page); };
+        this.on('page',onPage);
+        try {
+            // reading the stream drives the requests to presto (with backpressure), pages are yielded as they are received
+            for await (const chunk of this) {
+                while(pages.length > 0) {
+                    yield pages.shift();
+                }
+            }
+            while(pages.length > 0) {
+                yield pages.shift();
+            }
+        } finally {
+            this.removeListener('page',onPage);
+        }
+    }
+
+    /**
+     * @description Internal. push serialized output, skipping empty output
+     * @returns {Boolean} whether more data may be pushed
+     */
+    _pushOutput(output) {
+        if(output === null || output === undefined || output.length === 0) {
+            return true;
+        }
+        return this.push(output);
+    }
+
+    /**
+     * @description Internal. release the slot of the client limiter held by the statement, if any
+     */
+    _releaseSlot() {
+        if(this[s_release]) {
+            this[s_release]();
+            this[s_release] = null;
+        }
+    }
+
+    /**
+     * @description Internal. cancel the query & fail the statement once the deadline is reached or the signal is aborted
+     */
+    _watchDeadline(deadline,signal) {
+        const stop = (error)=>{
+            if(!this[s_EOF] && !this.destroyed) {
+                this.destroy(error);
+            }
+        };
+        const onAbort = ()=>{ stop(new AbortError(`query ${this[s_id]} was aborted`,{ cause: signal.reason, queryId: this[s_id], sql: this[s_sql], data: { queryId: this[s_id] } })); };
+        let timer = null;
+        if(deadline) {
+            timer = setTimeout(()=>{
+                stop(new QueryTimeoutError(`query ${this[s_id]} exceeded its timeout and was cancelled`,{ queryId: this[s_id], sql: this[s_sql], data: { queryId: this[s_id] } }));
+            },Math.max(0,deadline - Date.now()));
+            timer.unref();
+        }
+        if(signal) {
+            signal.addEventListener('abort',onAbort,{ once: true });
+        }
+        this[s_deadline] = ()=>{
+            clearTimeout(timer);
+            if(signal) {
+                signal.removeEventListener('abort',onAbort);
+            }
+            this[s_deadline] = null;
+        };
+        this.once('end',this[s_deadline]);
+        if(signal && signal.aborted) {
+            process.nextTick(onAbort);
+        }
+    }
+    /**
+     * @description Internal. emit a progress event from the stats of a response, at most once per progressInterval unless the state changed
+     */
+    _emitProgress(stats){
+        const progress = this[s_progress];
+        const now = Date.now();
+        if(this.listenerCount('progress') === 0 || !stats) {
+            return;
+        }
+        if(stats.state !== progress.state || now - progress.emitted >= progress.interval) {
+            progress.state = stats.state;
+            progress.emitted = now;
+            this.emit('progress',Object.assign({ queryId: this[s_id] },computeProgress(stats,now - progress.started)));
         }
     }
 
@@ -415,29 +1235,30 @@ class Statement extends Readable {
      */
     _run() {
         this[s_isRunning] = true;
-        const requestOpts = { path: this[s_nextUri] };
-        if(this[s_session]) {
-            requestOpts.session = this[s_session];
+        // nextUri requests are idempotent, if retried presto returns the same page again
+        const requestOpts = { path: this[s_nextUri], endpoint: this[s_endpoint], trace: this[s_trace], onRetry: (info)=>{ this.emit('retry',info); } };
+        if(this[s_maxWait] > 0) { // long polling, the coordinator answers as soon as the state changes (or data is available)
+            requestOpts.headers = { [Headers.MAX_WAIT]: `${this[s_maxWait]}ms` };
         }
         if(this._statementCancelled()){
             this[s_isRunning] = false;
             return; //check before request to presto to avoid an unnecessary call to presto server
         }
-        this.client[s_request](requestOpts,(err,response)=>{
-            if(err) {
+        const onResponse = (err,response)=>{
+            if(err && err.response_code === 410) { // the query is gone from the coordinator, e.g. killed or abandoned
+                return this[s_handleError](new QueryCancelledError(`query ${this[s_id]} is no longer available on the coordinator`,{ queryId: this[s_id], sql: this[s_sql], response_code: 410, data: err.data }));
+            } else if(err) {
                 return this[s_handleError](err);
             } else if (!response || typeof response !== 'object') {
-                return this[s_handleError](new prestoError('strange response from Presto',response));
+                return this[s_handleError](new TransportError('strange response from Presto',{ data: response }));
             }
-            const { response_code , data , session , clear_session} = response;
+            const { response_code , data , headers } = response;
             if(this._statementCancelled()){
                 this[s_isRunning] = false;
                 return; //check again after request since request runs async and a call to cancel may have occured in the interim
             }
-            if(session){
-                this[s_session] = session;
-            } else if (clear_session) {
-                this[s_session] = null;
+            if(this[s_session]){ // SET SESSION, USE etc. are reported in the response headers
+                this[s_session].update(headers);
             }
             /*
             * 1st time
@@ -478,13 +1299,20 @@ class Statement extends Readable {
                     }
             */
             if(data.error) {
-                if (data.error.message) {
-                    return this[s_handleError](new prestoError(data.error.message,{ response_code , data }));
-                } else {
-                    return this[s_handleError](new prestoError('attempt to retrieve next dataUri failed',{ response_code, data }));
-                }
+                return this[s_handleError](queryError(data.error,{ response_code , data , queryId: this[s_id] , sql: this[s_sql] }));
+            }
+            const skipped = this[s_skip];
+            if(skipped > 0 && data.data) { // resumed from a checkpoint within this page, its first rows were delivered before
+                data.data = (data.data.length > skipped) ? data.data.slice(skipped) : undefined;
+                this[s_skip] = 0;
+            }
+            this[s_lastPage] = null;
+            if(this[s_recorder]) {
+                this[s_recorder].record(data);
             }
 
+            this[s_partialCancelUri] = data.partialCancelUri || null;
+            this._emitProgress(data.stats);
             if(this.listenerCount('state') > 0 && !this[s_SOF]) { //only emit state event if something is listening & file has not started downloading
                 this.emit('state',data.stats.state,data.stats);
             }
@@ -494,6 +1322,9 @@ class Statement extends Readable {
                 if(this[s_state] === 'FINISHED') {
                     this[s_SOF] = true;
                 }
+                if(['FINISHED', 'CANCELED', 'FAILED'].includes(this[s_state])) {
+                    this._releaseSlot();
+                }
             }
             /* presto-main/src/main/java/com/facebook/presto/execution/QueryState.java
             * QUEUED, PLANNING, STARTING, RUNNING, FINISHED, CANCELED, FAILED
@@ -502,7 +1333,10 @@ class Statement extends Readable {
                 || data.stats.state === 'STARTING' || data.stats.state === 'RUNNING')
             && !data.data) {
                 this[s_nextUri] = data.nextUri;
-                //currently waiting for the query to finish. wait pollInterval frequency and run again.
+                //currently waiting for the query to finish. with long polling ask again straight away, otherwise wait pollInterval and run again.
+                if(this[s_maxWait] > 0 || this[s_replay]) {
+                    return setImmediate(()=>{ this._run(); });
+                }
                 return setTimeout(()=>{ this._run(); },this.pollInterval);
             }
             let canPush = true; //keep track whether downstream can receive data
@@ -527,8 +1361,10 @@ class Statement extends Readable {
                             }
                         }
                     }
-                } else { //not object mode, push out CSV header
-                    canPush = this.push(this.columns.map(i=>convertToCSV(i.name,this.client.jsonParser)).join(',') + '\n');
+                    this[s_decoders] = createDecoders(this.columns,this[s_decode]);
+                } else { //not object mode, push out the start of the output (e.g. CSV header)
+                    this[s_serializer] = this[s_format].create(this.columns,this[s_formatOptions],{ jsonParser: this.client.jsonParser });
+                    canPush = this._pushOutput(this[s_serializer].start());
                 }
             }
             if (data.data) {
@@ -536,48 +1372,98 @@ class Statement extends Readable {
                     //push data received in this request row by row as objects
                     //since data is received in bulk it has to be buffered in memory one way or another, so push it all
                     // however keep track whether canPush more, to either stop before next request or keep going immediately
-                    for (let i = 0; i < data.data.length; i++) {
-                        const output = {};
-                        for(let y = 0; y < this.columns.length; y++) {
-                            output[this.columns[y].name] = data.data[i][y];
+                    const decoders = this[s_decoders];
+                    const rows = [];
+                    try {
+                        for (let i = 0; i < data.data.length; i++) {
+                            const output = {};
+                            for(let y = 0; y < this.columns.length; y++) {
+                                output[this.columns[y].name] = (decoders) ? decoders[y](data.data[i][y]) : data.data[i][y];
+                            }
+                            rows.push(output);
                         }
-                        canPush = this.push(output);
+                    } catch (error) {
+                        return this[s_handleError](new InternalError('unable to decode value: ' + error.message,{ queryId: this[s_id], sql: this[s_sql], data, cause: error }));
+                    }
+                    this[s_trace].page(rows.length);
+                    this.emit('page',rows);
+                    for (const row of rows) {
+                        canPush = this.push(row);
                     }
-                } else { //when data is being sent in string mode, send the entire response data as a string in one push
-                    canPush = this.push(data.data.map(i => i.map(y => convertToCSV(y,this.client.jsonParser)).join(',')).join('\n') + '\n');
+                    this[s_rows] += rows.length;
+                    this[s_lastPage] = { uri: requestOpts.path, skip: skipped, rows: rows.length, size: rows.length };
+                } else { //when data is being sent in string mode, send the entire response data serialized in one push
+                    this[s_trace].page(data.data.length);
+                    this.emit('page',data.data);
+                    const output = this[s_serializer].page(data.data);
+                    canPush = this._pushOutput(output);
+                    this[s_rows] += data.data.length;
+                    this[s_lastPage] = { uri: requestOpts.path, skip: skipped, rows: data.data.length, size: (output) ? output.length : 0 };
                 }
             }
             if(data.nextUri) {
                 this[s_nextUri] = data.nextUri;
                 if(canPush) { //if not too much pressure on writeStream, get the next value without waiting.
                     return this._run();
-                } else {
+                } else { // paused until the consumer reads, see _read
+                    this[s_trace].pause();
                     this[s_isRunning] = false;
                     return;
                 }
             } else {
                 //if no nextUri, reached end of datastream.
-                // if not already done (from cancellation) push null to signal EOF.
+                // if not already done (from cancellation) push the end of the output & null to signal EOF.
                 if(!this[s_EOF]) {
+                    if(!this[s_objectMode]) {
+                        if(!this[s_serializer]) { // no columns were returned
+                            this[s_serializer] = this[s_format].create([],this[s_formatOptions],{ jsonParser: this.client.jsonParser });
+                            this._pushOutput(this[s_serializer].start());
+                        }
+                        this._pushOutput(this[s_serializer].end());
+                    }
                     this[s_EOF] = true;
                     this.push(null);
                 }
-                if(this.fetchInfo && data.infoUri) {
+                // success payload: the final stats with the timings of the statement, and the info (if fetched)
+                const succeed = (info,cacheable = true)=>{
+                    const stats = Object.assign({},data.stats,{ timings: this[s_trace].end('FINISHED') });
+                    const result = (info === undefined) ? stats : { stats , info };
+                    const recorder = this[s_recorder];
+                    if(recorder) {
+                        // best effort, failures are emitted by the cache. lookups of the key wait for the write, so a statement run on success replays the result
+                        this[s_recorder] = null;
+                        recorder.finish(data.stats,(cacheable) ? info : undefined);
+                    }
+                    this.emit('success',result);
+                };
+                if(this.fetchInfo && this[s_replay]) {
+                    succeed(this[s_replay].info);
+                } else if(this.fetchInfo && data.infoUri) {
                     //const {hostname:ihost , iport, pathname:ipath} = new URL(data.infoUri);
                     //const { data : info } = await this.client.request({host:ihost , port:iport , path:ipath });
-                    this.client[s_request]({ path : data.infoUri}).then(({ data : info })=>{
-                        this.emit('success',{ stats: data.stats , info });
+                    this.client[s_requestPromise]({ path : data.infoUri, endpoint: this[s_endpoint], trace: this[s_trace] }).then(({ data : info })=>{
+                        succeed(info);
                     },(error)=>{
-                        this.emit('success',{stats: data.stats ,info:{error:error}});
+                        succeed({error:error},false);
                     });
                 } else {
-                    this.emit('success',data.stats);
+                    succeed();
                 }
                 this[s_isRunning] = false;
                 return;
             }
-        });
+        };
+        if(this[s_prefetched]) { // resumed statement, its first response was requested by resume
+            const response = this[s_prefetched];
+            this[s_prefetched] = null;
+            return process.nextTick(onResponse,null,response);
+        } else if(this[s_replay]) { // cached result, the responses are replayed instead of requested from presto
+            return process.nextTick(onResponse,null,{ response_code: 200, data: this[s_replay].responses.shift(), headers: {} });
+        }
+        this.client[s_request](requestOpts,onResponse);
     }
 }
 
-module.exports = { Client , Statement , VERSION };
+module.exports = { Client , Statement , Session , PreparedStatement , prestoError , QueryError , UserError , QuerySyntaxError , InsufficientResourcesError , ExternalError , InternalError ,
+    QueryTimeoutError , QueueTimeoutError , QueryCancelledError , AbortError , ResultExpiredError , MaxRowsExceededError , TransportError , ERROR_CATEGORIES , DIAGNOSTICS_CHANNELS , QueryInfo , StageInfo , TaskInfo , FailureInfo , VERSION , createDecoder , toLiteral , registerFormat ,
+    auth: { basic: auth.basic , bearer: auth.bearer , token: auth.token , external: auth.external } };
@@ -0,0 +1,145 @@
+/**
+ * Insert of a stream of rows into a table, with batched INSERT ... VALUES statements of escaped literals of the types of the columns.
+ */
+const { typedLiteral, quoteIdentifier } = require('./literals');
+
+const INSERT_DEFAULTS = Object.freeze({
+    batchRows: 1000,
+    maxStatementBytes: 1000000, // presto rejects queries longer than query.max-length, 1,000,000 by default
+    concurrency: 1
+});
+// options of insert, the other options are passed to the INSERT statements
+const INSERT_OPTIONS = ['columns', 'batchRows', 'maxStatementBytes', 'concurrency'];
+
+/**
+ * @description the literals of a row, '(a, b, ...)'
+ * @param {Object|Array} row - values by column name, or in the order of the columns
+ * @param {Array<Object>} columns - the columns to insert ({ name, signature })
+ * @param {Number} offset - index of the row in the input, for error messages
+ */
+function rowLiteral(row, columns, offset) {
+    if (!(row instanceof Object)) {
+        throw new TypeError(`row ${offset}: rows must be objects or arrays`);
+    } else if (Array.isArray(row) && row.length !== columns.length) {
+        throw new TypeError(`row ${offset}: expected ${columns.length} values, got ${row.length}`);
+    } else if (!Array.isArray(row)) {
+        const unknown = Object.keys(row).filter(key => !columns.some(column => column.name === key));
+        if (unknown.length > 0) {
+            throw new TypeError(`row ${offset}: unknown column ${unknown.join(', ')}`);
+        }
+    }
+    const values = columns.map((column, i) => {
+        try {
+            return typedLiteral((Array.isArray(row)) ? row[i] : row[column.name], column.signature);
+        } catch (error) {
+            throw new TypeError(`row ${offset}: column ${column.name}: ${error.message}`);
+        }
+    });
+    return `(${values.join(', ')})`;
+}
+
+/**
+ * @description insert rows into a table in batches. The input is only read while fewer than concurrency batches are running, so memory stays bounded.
+ * On the first failure no further batch is started: the promise rejects once the running batches are done, with the error of the failed batch
+ * (error.batch: { index, offset, rows } of the failed batch, error.batches: stats of the batches written).
+ * @param {Client} client - the client to run the statements with
+ * @param {Object} table - the table, as returned by client.describe
+ * @param {Iterable|AsyncIterable} rows - rows: objects (by column name) or arrays (in the order of the columns), e.g. an object mode Readable
+ * @param {Object} opts - columns: names of the columns to insert (default: all columns of the table, in order), batchRows: max rows per statement,
+ * maxStatementBytes: max length of a statement in bytes, concurrency: number of statements run at the same time. other options are passed to execute
+ * @returns {Promise<Object>} { rows: total rows written, batches: [{ index, offset, rows, bytes, queryId, elapsedMillis }] }
+ */
+async function insertRows(client, table, rows, opts = {}) {
+    const settings = Object.assign({}, INSERT_DEFAULTS, opts);
+    const queryOpts = {};
+    for (const key of Object.keys(opts).filter(option => !INSERT_OPTIONS.includes(option))) {
+        queryOpts[key] = opts[key];
+    }
+    let columns = table.columns;
+    if (settings.columns) {
+        columns = settings.columns.map((name) => {
+            const column = table.columns.find(item => item.name === name);
+            if (!column) {
+                throw new Error(`column ${name} does not exist in table ${table.table}`);
+            }
+            return column;
+        });
+    }
+    const target = [table.catalog, table.schema, table.table].map(quoteIdentifier).join('.');
+    const prefix = `INSERT INTO ${target} (${columns.map(column => quoteIdentifier(column.name)).join(', ')}) VALUES\n`;
+    const prefixBytes = Buffer.byteLength(prefix);
+    if (!(settings.batchRows > 0) || !(settings.concurrency > 0)) {
+        throw new Error('batchRows and concurrency must be positive');
+    }
+
+    const batches = [];
+    const running = new Set();
+    let failure = null;
+    let index = 0;
+    let offset = 0;
+    let pending = { values: [], bytes: prefixBytes, offset: 0 };
+    const submit = (batch) => {
+        const started = Date.now();
+        const stats = { index: index++, offset: batch.offset, rows: batch.values.length, bytes: batch.bytes };
+        const promise = client.query(prefix + batch.values.join(',\n'), queryOpts).then((result) => {
+            batches.push(Object.assign(stats, { queryId: result.queryId, elapsedMillis: Date.now() - started }));
+        }, (error) => {
+            if (!failure) {
+                error.batch = { index: stats.index, offset: stats.offset, rows: stats.rows };
+                failure = error;
+            }
+        }).finally(() => {
+            running.delete(promise);
+        });
+        running.add(promise);
+    };
+    const flush = async () => {
+        if (pending.values.length > 0) {
+            submit(pending);
+        }
+        pending = { values: [], bytes: prefixBytes, offset };
+        while (running.size >= settings.concurrency && !failure) { // backpressure, the input is not read until a batch is done
+            await Promise.race(running);
+        }
+    };
+    try {
+        for await (const row of rows) {
+            if (failure) {
+                break; // leaving the loop destroys a stream input
+            }
+            const value = rowLiteral(row, columns, offset);
+            const bytes = Buffer.byteLength(value);
+            if (prefixBytes + bytes > settings.maxStatementBytes) {
+                throw new Error(`row ${offset}: the statement to insert it would exceed maxStatementBytes (${settings.maxStatementBytes})`);
+            } else if (pending.values.length > 0 && pending.bytes + 2 + bytes > settings.maxStatementBytes) { // 2: ',\n' separator
+                await flush();
+                if (failure) {
+                    break;
+                }
+            }
+            pending.bytes += bytes + ((pending.values.length > 0) ? 2 : 0);
+            pending.values.push(value);
+            offset++;
+            if (pending.values.length >= settings.batchRows) {
+                await flush();
+            }
+        }
+        if (!failure) {
+            await flush();
+        }
+    } catch (error) { // invalid input, or error of the input stream
+        if (!failure) {
+            error.batch = { index, offset: pending.offset, rows: pending.values.length }; // the batch the row would have been part of
+            failure = error;
+        }
+    }
+    await Promise.all(running);
+    batches.sort((a, b) => a.index - b.index);
+    if (failure) {
+        failure.batches = batches;
+        throw failure;
+    }
+    return { rows: batches.reduce((total, batch) => total + batch.rows, 0), batches };
+}
+
+module.exports = { insertRows };
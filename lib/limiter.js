@@ -0,0 +1,138 @@
+/**
+ * Client side limit of the number of queries running at the same time. Submissions over the limit wait in a priority queue.
+ */
+const EventEmitter = require('events');
+const { QueueTimeoutError, AbortError } = require('./errors');
+
+const LIMITER_DEFAULTS = Object.freeze({
+    maxConcurrentQueries: 0, // 0 = no limit
+    queueTimeout: 0 // ms, 0 = wait as long as needed
+});
+
+/**
+ * @description limits the number of running queries. Events (for metrics):
+ * queued ({ priority, queued }), acquired ({ priority, waitMillis, running, queued }), released ({ heldMillis, running, queued }),
+ * rejected ({ priority, waitMillis, reason: 'timeout', 'aborted' or 'closed', queued })
+ */
+class Limiter extends EventEmitter {
+    /**
+     * @param {Object} opts - maxConcurrentQueries: number of queries which may run at the same time (0: no limit), queueTimeout: default ms a query may wait for a slot (0: no limit)
+     */
+    constructor(opts = {}) {
+        super();
+        const settings = Object.assign({}, LIMITER_DEFAULTS, opts);
+        this.maxConcurrentQueries = settings.maxConcurrentQueries;
+        this.queueTimeout = settings.queueTimeout;
+        this.running = 0;
+        this.queue = []; // waiters by priority (highest first), then in order of arrival
+        this.waits = { count: 0, totalMillis: 0, maxMillis: 0 }; // wait of the queries which acquired a slot
+        this.closed = false;
+    }
+    /**
+     * @description number of queries waiting for a slot
+     */
+    get queued() {
+        return this.queue.length;
+    }
+    /**
+     * @description snapshot of the state of the limiter: running, queued, maxConcurrentQueries, oldestWaitMillis (of the queries waiting),
+     * waits ({ count, totalMillis, maxMillis, averageMillis } of the queries which acquired a slot)
+     */
+    stats() {
+        const now = Date.now();
+        return {
+            running: this.running,
+            queued: this.queue.length,
+            maxConcurrentQueries: this.maxConcurrentQueries,
+            oldestWaitMillis: this.queue.reduce((max, waiter) => Math.max(max, now - waiter.since), 0),
+            waits: Object.assign({ averageMillis: (this.waits.count > 0) ? this.waits.totalMillis / this.waits.count : 0 }, this.waits)
+        };
+    }
+    /**
+     * @description wait for a slot
+     * @param {Object} opts - priority: higher runs first (default: 0), timeout: ms to wait at most (default: queueTimeout of the limiter), signal: AbortSignal to stop waiting
+     * @returns {Promise<Function>} function to call to release the slot (may be called more than once)
+     */
+    acquire(opts = {}) {
+        const priority = opts.priority || 0;
+        if (this.closed) {
+            return Promise.reject(new Error('client is closed'));
+        } else if (this.queue.length === 0 && this.hasSlot()) {
+            return Promise.resolve(this.grant(priority, Date.now()));
+        }
+        return new Promise((resolve, reject) => {
+            const waiter = { priority, since: Date.now(), resolve, reject, timer: null, signal: opts.signal || null, onAbort: null };
+            const timeout = (opts.timeout !== undefined) ? opts.timeout : this.queueTimeout;
+            if (timeout > 0) {
+                waiter.timer = setTimeout(() => {
+                    this.reject(waiter, 'timeout', new QueueTimeoutError(`statement waited more than ${timeout} ms for one of ${this.maxConcurrentQueries} query slots`));
+                }, timeout);
+            }
+            if (waiter.signal) {
+                waiter.onAbort = () => {
+                    this.reject(waiter, 'aborted', new AbortError('statement aborted before it was submitted', { cause: waiter.signal.reason }));
+                };
+                waiter.signal.addEventListener('abort', waiter.onAbort, { once: true });
+            }
+            // after the last waiter of the same or a higher priority
+            const index = this.queue.findIndex(item => item.priority < priority);
+            this.queue.splice((index === -1) ? this.queue.length : index, 0, waiter);
+            this.emit('queued', { priority, queued: this.queue.length });
+        });
+    }
+    /**
+     * @description reject the queries waiting for a slot, and further acquisitions
+     */
+    close() {
+        this.closed = true;
+        for (const waiter of this.queue.slice()) {
+            this.reject(waiter, 'closed', new Error('client is closed'));
+        }
+    }
+    hasSlot() {
+        return !(this.maxConcurrentQueries > 0) || this.running < this.maxConcurrentQueries;
+    }
+    grant(priority, since) {
+        const now = Date.now();
+        const waitMillis = now - since;
+        this.running++;
+        this.waits.count++;
+        this.waits.totalMillis += waitMillis;
+        this.waits.maxMillis = Math.max(this.waits.maxMillis, waitMillis);
+        this.emit('acquired', { priority, waitMillis, running: this.running, queued: this.queue.length });
+        let released = false;
+        return () => {
+            if (!released) {
+                released = true;
+                this.running--;
+                this.emit('released', { heldMillis: Date.now() - now, running: this.running, queued: this.queue.length });
+                this.next();
+            }
+        };
+    }
+    next() {
+        while (this.queue.length > 0 && this.hasSlot()) {
+            const waiter = this.queue.shift();
+            this.settle(waiter);
+            waiter.resolve(this.grant(waiter.priority, waiter.since));
+        }
+    }
+    settle(waiter) {
+        clearTimeout(waiter.timer);
+        if (waiter.signal) {
+            waiter.signal.removeEventListener('abort', waiter.onAbort);
+        }
+    }
+    reject(waiter, reason, error) {
+        const index = this.queue.indexOf(waiter);
+        if (index === -1) {
+            return;
+        }
+        this.queue.splice(index, 1);
+        this.settle(waiter);
+        this.emit('rejected', { priority: waiter.priority, waitMillis: Date.now() - waiter.since, reason, queued: this.queue.length });
+        waiter.reject(error);
+    }
+}
+
+module.exports = { Limiter };
@@ -0,0 +1,329 @@
+/**
+ * @description quote a string as a presto varchar literal
+ */
+function quoteString(value) {
+    return "'" + String(value).replace(/'/g, "''") + "'";
+}
+
+function pad(value, length = 2) {
+    return String(value).padStart(length, '0');
+}
+
+/**
+ * @description format a Date as a presto timestamp with time zone literal (UTC)
+ */
+function timestampLiteral(date) {
+    if (Number.isNaN(date.getTime())) {
+        throw new TypeError('invalid Date can not be used as a parameter');
+    }
+    return `TIMESTAMP '${pad(date.getUTCFullYear(), 4)}-${pad(date.getUTCMonth() + 1)}-${pad(date.getUTCDate())} ` +
+        `${pad(date.getUTCHours())}:${pad(date.getUTCMinutes())}:${pad(date.getUTCSeconds())}.${pad(date.getUTCMilliseconds(), 3)} UTC'`;
+}
+
+/**
+ * @description convert a JS value into an escaped, typed presto SQL literal
+ * null/undefined => NULL, string => varchar, integer number => integer/bigint, other number => double,
+ * BigInt => bigint, boolean => boolean, Date => timestamp with time zone, Buffer => varbinary, Array => array
+ * @param {*} value - value to convert
+ * @returns {String} SQL literal
+ */
+function toLiteral(value) {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    switch (typeof value) {
+        case 'string':
+            return quoteString(value);
+        case 'boolean':
+            return (value) ? 'TRUE' : 'FALSE';
+        case 'bigint':
+            return `BIGINT '${value.toString()}'`;
+        case 'number':
+            if (Number.isNaN(value)) {
+                return 'nan()';
+            } else if (!Number.isFinite(value)) {
+                return (value > 0) ? 'infinity()' : '-infinity()';
+            } else if (Number.isSafeInteger(value)) {
+                return String(value);
+            }
+            return `DOUBLE '${value}'`;
+    }
+    if (value instanceof Date) {
+        return timestampLiteral(value);
+    } else if (Buffer.isBuffer(value)) {
+        return `X'${value.toString('hex')}'`;
+    } else if (Array.isArray(value)) {
+        return `ARRAY[${value.map(toLiteral).join(', ')}]`;
+    }
+    throw new TypeError(`unable to convert value of type ${(value.constructor) ? value.constructor.name : typeof value} to a presto literal`);
+}
+
+const INTEGER_RANGES = { tinyint: 8n, smallint: 16n, integer: 32n, bigint: 64n };
+
+/**
+ * @description format a parsed type signature back to a presto type, e.g. for a CAST
+ */
+function formatType(signature) {
+    if (signature.fields) {
+        return `row(${signature.fields.map(field => `${quoteIdentifier(field.name)} ${formatType(field.type)}`).join(', ')})`;
+    }
+    const args = (signature.types.length > 0) ? signature.types.map(formatType) : signature.arguments;
+    if (args.length === 0) {
+        return signature.rawType;
+    }
+    // e.g. 'timestamp(3) with time zone', the arguments go after the first word
+    const [name, ...suffix] = signature.rawType.split(' ');
+    return `${name}(${args.join(', ')})${(suffix.length > 0) ? ' ' + suffix.join(' ') : ''}`;
+}
+
+function integerLiteral(value, rawType) {
+    let integer;
+    try {
+        integer = BigInt((typeof value === 'string') ? value.trim() : value);
+    } catch (error) {
+        throw new TypeError(`${value} is not a valid ${rawType}`);
+    }
+    const bits = INTEGER_RANGES[rawType];
+    if (integer < -(2n ** (bits - 1n)) || integer >= 2n ** (bits - 1n)) {
+        throw new TypeError(`${value} is out of the range of ${rawType}`);
+    }
+    return (rawType === 'integer') ? integer.toString() : `${rawType.toUpperCase()} '${integer.toString()}'`;
+}
+
+function floatLiteral(value, rawType) {
+    const number = Number(value);
+    if (Number.isNaN(number)) {
+        if (typeof value === 'number' || value === 'NaN') {
+            return `CAST(nan() AS ${rawType})`;
+        }
+        throw new TypeError(`${value} is not a valid ${rawType}`);
+    } else if (!Number.isFinite(number)) {
+        return `CAST(${(number > 0) ? '' : '-'}infinity() AS ${rawType})`;
+    }
+    return `${rawType.toUpperCase()} '${number}'`;
+}
+
+function dateString(value, rawType) {
+    if (!(value instanceof Date)) {
+        return String(value);
+    } else if (Number.isNaN(value.getTime())) {
+        throw new TypeError(`invalid Date can not be used as a ${rawType}`);
+    }
+    const date = `${pad(value.getUTCFullYear(), 4)}-${pad(value.getUTCMonth() + 1)}-${pad(value.getUTCDate())}`;
+    if (rawType === 'date') {
+        return date;
+    }
+    const time = `${date} ${pad(value.getUTCHours())}:${pad(value.getUTCMinutes())}:${pad(value.getUTCSeconds())}.${pad(value.getUTCMilliseconds(), 3)}`;
+    return (rawType === 'timestamp with time zone') ? `${time} UTC` : time;
+}
+
+/**
+ * @description convert a JS value into an escaped presto literal of a given type, e.g. to insert it in a column of that type
+ * integers: number, BigInt or string. real, double: number or string. decimal: number or string (strings keep their precision).
+ * date, timestamp: Date (UTC) or string. json: any value (serialized to JSON unless a string). varbinary: Buffer. array: Array.
+ * map: Map or object. row: object (by field name) or array (by position). other types: strings & values of toLiteral, cast to the type
+ * @param {*} value - value to convert
+ * @param {Object} signature - the type, as parsed by decoders.parseType
+ * @returns {String} SQL literal
+ */
+function typedLiteral(value, signature) {
+    if (value === null || value === undefined) {
+        return 'NULL';
+    }
+    const rawType = signature.rawType;
+    switch (rawType) {
+        case 'boolean':
+            if (typeof value !== 'boolean') {
+                throw new TypeError(`${value} is not a boolean`);
+            }
+            return (value) ? 'TRUE' : 'FALSE';
+        case 'tinyint':
+        case 'smallint':
+        case 'integer':
+        case 'bigint':
+            return integerLiteral(value, rawType);
+        case 'real':
+        case 'double':
+            return floatLiteral(value, rawType);
+        case 'decimal':
+            if (!/^\s*[+-]?(\d+\.?\d*|\.\d+)(e[+-]?\d+)?\s*$/i.test(String(value))) {
+                throw new TypeError(`${value} is not a valid decimal`);
+            }
+            return `CAST(${quoteString(String(value).trim())} AS ${formatType(signature)})`;
+        case 'varchar':
+        case 'char':
+            return (signature.arguments.length > 0) ? `CAST(${quoteString(value)} AS ${formatType(signature)})` : quoteString(value);
+        case 'varbinary':
+            if (!Buffer.isBuffer(value)) {
+                throw new TypeError('varbinary values must be Buffers');
+            }
+            return `X'${value.toString('hex')}'`;
+        case 'date':
+            return `DATE ${quoteString(dateString(value, rawType))}`;
+        case 'timestamp':
+        case 'timestamp with time zone':
+            return `CAST(${quoteString(dateString(value, rawType))} AS ${formatType(signature)})`;
+        case 'json':
+            return `JSON ${quoteString((typeof value === 'string') ? value : JSON.stringify(value))}`;
+        case 'array':
+            if (!Array.isArray(value)) {
+                throw new TypeError('array values must be Arrays');
+            }
+            return `ARRAY[${value.map(item => typedLiteral(item, signature.types[0])).join(', ')}]`;
+        case 'map': {
+            const entries = (value instanceof Map) ? Array.from(value.entries()) : Object.entries(value);
+            return `MAP(ARRAY[${entries.map(entry => typedLiteral(entry[0], signature.types[0])).join(', ')}], ` +
+                `ARRAY[${entries.map(entry => typedLiteral(entry[1], signature.types[1])).join(', ')}])`;
+        }
+        case 'row': {
+            const values = signature.fields.map((field, i) => typedLiteral((Array.isArray(value)) ? value[i] : value[field.name], field.type));
+            return `CAST(ROW(${values.join(', ')}) AS ${formatType(signature)})`;
+        }
+    }
+    return `CAST(${(typeof value === 'string') ? quoteString(value) : toLiteral(value)} AS ${formatType(signature)})`;
+}
+
+/**
+ * @description count ? parameter placeholders in a query, ignoring string literals, quoted identifiers and comments
+ * @param {String} sql - the query
+ * @returns {Number} number of placeholders
+ */
+function countPlaceholders(sql) {
+    let count = 0;
+    for (let i = 0; i < sql.length; i++) {
+        const char = sql[i];
+        if (char === "'" || char === '"') {
+            const end = sql.indexOf(char, i + 1);
+            i = (end === -1) ? sql.length : end; // doubled quotes ('') are read as two adjacent literals, which is equivalent
+        } else if (char === '-' && sql[i + 1] === '-') {
+            const end = sql.indexOf('\n', i);
+            i = (end === -1) ? sql.length : end;
+        } else if (char === '/' && sql[i + 1] === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            i = (end === -1) ? sql.length : end + 1;
+        } else if (char === '?') {
+            count++;
+        }
+    }
+    return count;
+}
+
+/**
+ * @description split a script into its statements at semicolons, ignoring semicolons in string literals, quoted identifiers and comments
+ * @param {String} sql - the script
+ * @returns {Array<String>} statements (trimmed, without the semicolon), statements made of whitespace and comments only are left out
+ */
+function splitStatements(sql) {
+    const statements = [];
+    let start = 0;
+    let empty = true; // whether the current statement only has whitespace & comments so far
+    const close = (end) => {
+        if (!empty) {
+            statements.push(sql.slice(start, end).trim());
+        }
+        start = end + 1;
+        empty = true;
+    };
+    for (let i = 0; i < sql.length; i++) {
+        const char = sql[i];
+        if (char === "'" || char === '"') {
+            const end = sql.indexOf(char, i + 1);
+            i = (end === -1) ? sql.length : end;
+            empty = false;
+        } else if (char === '-' && sql[i + 1] === '-') {
+            const end = sql.indexOf('\n', i);
+            i = (end === -1) ? sql.length : end;
+        } else if (char === '/' && sql[i + 1] === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            i = (end === -1) ? sql.length : end + 1;
+        } else if (char === ';') {
+            close(i);
+        } else if (!/\s/.test(char)) {
+            empty = false;
+        }
+    }
+    close(sql.length);
+    return statements;
+}
+
+/**
+ * @description normalize a query for comparison: comments are removed, runs of whitespace outside of string literals and quoted identifiers
+ * are replaced by a single space, surrounding whitespace and a trailing semicolon are removed
+ * @param {String} sql - the query
+ * @returns {String} the normalized query
+ */
+function normalizeSql(sql) {
+    let output = '';
+    let space = false; // whether whitespace or a comment precedes the next token
+    for (let i = 0; i < sql.length; i++) {
+        const char = sql[i];
+        let token = char;
+        if (char === "'" || char === '"') {
+            const end = sql.indexOf(char, i + 1);
+            token = sql.slice(i, (end === -1) ? sql.length : end + 1);
+            i = (end === -1) ? sql.length : end;
+        } else if (char === '-' && sql[i + 1] === '-') {
+            const end = sql.indexOf('\n', i);
+            i = (end === -1) ? sql.length : end;
+            space = true;
+            continue;
+        } else if (char === '/' && sql[i + 1] === '*') {
+            const end = sql.indexOf('*/', i + 2);
+            i = (end === -1) ? sql.length : end + 1;
+            space = true;
+            continue;
+        } else if (/\s/.test(char)) {
+            space = true;
+            continue;
+        }
+        output += (space && output.length > 0) ? ' ' + token : token;
+        space = false;
+    }
+    return output.replace(/ ?;$/, '');
+}
+
+/**
+ * @description quote a name as a presto identifier, e.g. a catalog, schema, table or column name
+ */
+function quoteIdentifier(name) {
+    return '"' + String(name).replace(/"/g, '""') + '"';
+}
+
+/**
+ * @description split a qualified name, e.g. 'hive.web."Page Views"', into its parts. Unquoted parts are lower cased as presto does
+ * @param {String} name - the name
+ * @returns {Array<String>} the parts of the name
+ */
+function parseQualifiedName(name) {
+    const parts = [];
+    let part = '';
+    let quoted = false; // whether the current part was quoted
+    for (let i = 0; i < name.length; i++) {
+        const char = name[i];
+        if (char === '"') {
+            const end = name.indexOf('"', i + 1);
+            if (end === -1) {
+                throw new Error(`invalid name ${name}: unterminated quoted identifier`);
+            }
+            part += name.slice(i + 1, end);
+            quoted = true;
+            i = end;
+            if (name[i + 1] === '"') { // doubled quote inside a quoted identifier
+                part += '"';
+            }
+        } else if (char === '.') {
+            parts.push(part);
+            part = '';
+            quoted = false;
+        } else {
+            part += (quoted) ? char : char.toLowerCase();
+        }
+    }
+    parts.push(part);
+    if (parts.some(item => item.length === 0)) {
+        throw new Error(`invalid name ${name}`);
+    }
+    return parts;
+}
+
+module.exports = { toLiteral, typedLiteral, formatType, quoteString, quoteIdentifier, parseQualifiedName, countPlaceholders, splitStatements, normalizeSql };
@@ -0,0 +1,175 @@
+/**
+ * Introspection of catalogs, schemas, tables & columns through information_schema, with an optional TTL cache.
+ */
+const { parseType } = require('./decoders');
+const { quoteString, quoteIdentifier, parseQualifiedName } = require('./literals');
+const { UserError } = require('./errors');
+
+const METADATA_DEFAULTS = Object.freeze({
+    ttl: 0 // ms, 0 = no cache
+});
+
+/**
+ * @description results of metadata queries by key, each kept for ttl ms. Loads in progress are shared, failed loads are not kept.
+ */
+class MetadataCache {
+    constructor(ttl) {
+        this.ttl = ttl;
+        this.entries = new Map(); // JSON key => { catalog, expires, promise }
+    }
+    /**
+     * @param {String|null} catalog - the catalog the entry belongs to, to invalidate it with the catalog (null for the list of catalogs)
+     * @param {Array} key - the rest of the key of the entry
+     * @param {Function} load - function returning a promise of the value
+     * @param {Boolean} refresh - whether to load the value even if cached
+     */
+    get(catalog, key, load, refresh = false) {
+        if (!(this.ttl > 0)) {
+            return load();
+        }
+        const id = JSON.stringify([catalog].concat(key));
+        const entry = this.entries.get(id);
+        if (entry && !refresh && entry.expires > Date.now()) {
+            return entry.promise;
+        }
+        const promise = load();
+        this.entries.set(id, { catalog, expires: Date.now() + this.ttl, promise });
+        promise.catch(() => {
+            if (this.entries.get(id) && this.entries.get(id).promise === promise) {
+                this.entries.delete(id);
+            }
+        });
+        return promise;
+    }
+    /**
+     * @param {String} catalog (optional) - the catalog to invalidate, all entries if not set
+     */
+    invalidate(catalog) {
+        for (const [id, entry] of this.entries) {
+            if (catalog === undefined || entry.catalog === catalog) {
+                this.entries.delete(id);
+            }
+        }
+    }
+}
+
+/**
+ * @description a column as listed by information_schema.columns
+ */
+function toColumn(row) {
+    // comment & extra_info are only listed by presto, trino has them in DESCRIBE
+    const hasExtra = Object.prototype.hasOwnProperty.call(row, 'extra_info');
+    return {
+        catalog: row.table_catalog,
+        schema: row.table_schema,
+        table: row.table_name,
+        name: row.column_name,
+        ordinal: Number(row.ordinal_position),
+        type: row.data_type,
+        signature: parseType(row.data_type),
+        nullable: (row.is_nullable === undefined || row.is_nullable === null) ? null : row.is_nullable === 'YES',
+        default: (row.column_default === undefined) ? null : row.column_default,
+        comment: row.comment || null,
+        partitionKey: (hasExtra) ? /partition key/i.test(row.extra_info || '') : null
+    };
+}
+
+/**
+ * @description introspection of the metadata of a client
+ */
+class Metadata {
+    /**
+     * @param {Client} client - the client to run the queries with
+     * @param {Object} opts - ttl: ms metadata is cached for (default: 0, no cache)
+     */
+    constructor(client, opts = {}) {
+        const settings = Object.assign({}, METADATA_DEFAULTS, opts);
+        this.client = client;
+        this.cache = new MetadataCache(settings.ttl);
+    }
+    async rows(sql, catalog) {
+        // not from the result cache of the client, metadata is cached (and invalidated) by the metadata cache only
+        const opts = (catalog) ? { catalog, cache: false } : { cache: false };
+        return (await this.client.query(sql, opts)).rows;
+    }
+    catalogs(opts = {}) {
+        return this.cache.get(null, ['catalogs'], async () => {
+            const rows = await this.rows('SELECT catalog_name FROM system.metadata.catalogs ORDER BY catalog_name');
+            return rows.map(row => row.catalog_name);
+        }, opts.refresh);
+    }
+    schemas(catalog, opts = {}) {
+        return this.cache.get(catalog, ['schemas'], async () => {
+            const rows = await this.rows(`SELECT schema_name FROM ${quoteIdentifier(catalog)}.information_schema.schemata ORDER BY schema_name`, catalog);
+            return rows.map(row => row.schema_name);
+        }, opts.refresh);
+    }
+    tables(catalog, schema, opts = {}) {
+        const conditions = [];
+        if (schema) {
+            conditions.push(`table_schema = ${quoteString(schema)}`);
+        }
+        if (opts.like) {
+            conditions.push(`table_name LIKE ${quoteString(opts.like)}`);
+        }
+        return this.cache.get(catalog, ['tables', schema || null, opts.like || null], async () => {
+            const rows = await this.rows(`SELECT table_catalog, table_schema, table_name, table_type FROM ${quoteIdentifier(catalog)}.information_schema.tables` +
+                `${(conditions.length > 0) ? ` WHERE ${conditions.join(' AND ')}` : ''} ORDER BY table_schema, table_name`, catalog);
+            return rows.map(row => ({ catalog: row.table_catalog, schema: row.table_schema, name: row.table_name, type: row.table_type }));
+        }, opts.refresh);
+    }
+    columns(catalog, schema, opts = {}) {
+        const conditions = [];
+        if (schema) {
+            conditions.push(`table_schema = ${quoteString(schema)}`);
+        }
+        if (opts.table) {
+            conditions.push(`table_name = ${quoteString(opts.table)}`);
+        } else if (opts.like) {
+            conditions.push(`table_name LIKE ${quoteString(opts.like)}`);
+        }
+        return this.cache.get(catalog, ['columns', schema || null, opts.table || null, opts.like || null], async () => {
+            const rows = await this.rows(`SELECT * FROM ${quoteIdentifier(catalog)}.information_schema.columns` +
+                `${(conditions.length > 0) ? ` WHERE ${conditions.join(' AND ')}` : ''} ORDER BY table_schema, table_name, ordinal_position`, catalog);
+            return rows.map(toColumn);
+        }, opts.refresh);
+    }
+    /**
+     * @param {String|Object} table - name of the table ('table', 'schema.table' or 'catalog.schema.table', completed with the catalog & schema of the client),
+     * or { catalog, schema, table }
+     */
+    describe(table, opts = {}) {
+        const name = this.resolve(table);
+        return this.cache.get(name.catalog, ['describe', name.schema, name.table], async () => {
+            const listed = await this.columns(name.catalog, name.schema, { table: name.table, refresh: opts.refresh });
+            const columns = listed.map(column => Object.assign({}, column)); // the listed columns may be cached
+            if (columns.length === 0) {
+                const qualified = [name.catalog, name.schema, name.table].map(quoteIdentifier).join('.');
+                throw new UserError(`table ${qualified} does not exist`, { error: { errorName: 'TABLE_NOT_FOUND', errorType: 'USER_ERROR' } });
+            }
+            if (columns.some(column => column.partitionKey === null)) { // not listed by information_schema, from DESCRIBE (Column, Type, Extra, Comment)
+                const rows = await this.rows(`DESCRIBE ${[name.catalog, name.schema, name.table].map(quoteIdentifier).join('.')}`, name.catalog);
+                const described = new Map(rows.map(row => [row.Column, row]));
+                columns.forEach((column) => {
+                    const row = described.get(column.name) || {};
+                    column.partitionKey = /partition key/i.test(row.Extra || '');
+                    column.comment = column.comment || row.Comment || null;
+                });
+            }
+            return Object.assign({}, name, { columns, partitionKeys: columns.filter(column => column.partitionKey).map(column => column.name) });
+        }, opts.refresh);
+    }
+    resolve(table) {
+        if (table instanceof Object) {
+            return { catalog: table.catalog || this.client.catalog, schema: table.schema || this.client.schema, table: table.table };
+        }
+        const parts = parseQualifiedName(String(table));
+        if (parts.length > 3) {
+            throw new Error(`invalid table name ${table}`);
+        }
+        const [tableName, schema, catalog] = parts.reverse();
+        return { catalog: catalog || this.client.catalog, schema: schema || this.client.schema, table: tableName };
+    }
+}
+
+module.exports = { Metadata, MetadataCache };
@@ -0,0 +1,79 @@
+/**
+ * Progress of a query, derived from the stats returned by presto with each response.
+ * https://github.com/prestodb/presto/blob/master/presto-client/src/main/java/com/facebook/presto/client/StatementStats.java
+ */
+
+const DONE_STATES = ['FINISHED', 'FAILED', 'CANCELED'];
+
+function percentOf(completedSplits, totalSplits) {
+    return (totalSplits > 0) ? Math.min(100, 100 * completedSplits / totalSplits) : null;
+}
+
+function splits(stats) {
+    return {
+        totalSplits: stats.totalSplits || 0,
+        queuedSplits: stats.queuedSplits || 0,
+        runningSplits: stats.runningSplits || 0,
+        completedSplits: stats.completedSplits || 0
+    };
+}
+
+/**
+ * @description flatten a stage and its sub-stages depth first
+ */
+function flattenStages(stage, parentId, output) {
+    output.push(Object.assign({ stageId: stage.stageId, parentId, state: stage.state, done: Boolean(stage.done), nodes: stage.nodes || 0 },
+        splits(stage), {
+            percent: percentOf(stage.completedSplits, stage.totalSplits),
+            processedRows: stage.processedRows || 0,
+            processedBytes: stage.processedBytes || 0,
+            cpuTimeMillis: stage.cpuTimeMillis || 0,
+            wallTimeMillis: stage.wallTimeMillis || 0
+        }));
+    for (const subStage of stage.subStages || []) {
+        flattenStages(subStage, stage.stageId, output);
+    }
+    return output;
+}
+
+/**
+ * @description compute the progress of a query from its stats
+ * @param {Object} stats - stats of a response from presto
+ * @param {Number} clientElapsed - ms since the statement was submitted, used if presto does not report elapsedTimeMillis
+ * @returns {Object} progress: state, percent (null while unknown), splits, processed rows & bytes, rates per second,
+ * elapsed, queued & cpu time, peak memory, etaMillis (null while unknown) and stages (root stage & sub-stages, depth first)
+ */
+function computeProgress(stats, clientElapsed = 0) {
+    const done = DONE_STATES.includes(stats.state);
+    const counts = splits(stats);
+    let percent = percentOf(counts.completedSplits, counts.totalSplits);
+    if (stats.state === 'FINISHED') {
+        percent = 100;
+    }
+    const elapsedTimeMillis = (typeof stats.elapsedTimeMillis === 'number') ? stats.elapsedTimeMillis : clientElapsed;
+    const queuedTimeMillis = stats.queuedTimeMillis || 0;
+    const runningMillis = Math.max(0, elapsedTimeMillis - queuedTimeMillis);
+    const processedRows = stats.processedRows || 0;
+    const processedBytes = stats.processedBytes || 0;
+    const perSecond = value => (runningMillis > 0) ? value * 1000 / runningMillis : 0;
+    let etaMillis = null;
+    if (done) {
+        etaMillis = 0;
+    } else if (percent > 0) { // rough estimate, assuming splits are processed at a constant rate
+        etaMillis = Math.round(runningMillis * (100 - percent) / percent);
+    }
+    return Object.assign({ state: stats.state, done, percent }, counts, {
+        processedRows,
+        processedBytes,
+        rowsPerSecond: perSecond(processedRows),
+        bytesPerSecond: perSecond(processedBytes),
+        elapsedTimeMillis,
+        queuedTimeMillis,
+        cpuTimeMillis: stats.cpuTimeMillis || 0,
+        peakMemoryBytes: stats.peakMemoryBytes || 0,
+        etaMillis,
+        stages: (stats.rootStage) ? flattenStages(stats.rootStage, null, []) : []
+    });
+}
+
+module.exports = { computeProgress };
@@ -0,0 +1,398 @@
+/**
+ * Typed accessors over the query info returned by the coordinator (GET /v1/query and GET /v1/query/{queryId}), and filtering of queries.
+ * Durations & data sizes are reported by presto as strings (e.g. '1.50m', '12.3MB'), or as numbers in fields suffixed Millis / InBytes by some versions:
+ * accessors return them as ms & bytes.
+ */
+
+const DONE_STATES = ['FINISHED', 'FAILED', 'CANCELED'];
+
+const DURATION_UNITS = { ns: 1e-6, us: 1e-3, ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+// data sizes of presto are binary, kB = 1024 bytes
+const DATA_SIZE_UNITS = { B: 1, kB: 1024, MB: 1024 ** 2, GB: 1024 ** 3, TB: 1024 ** 4, PB: 1024 ** 5 };
+
+/**
+ * @description parse a presto duration, e.g. '1.50m', to ms
+ * @returns {Number|null} ms, null if not a duration
+ */
+function parseDuration(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    const match = /^\s*([\d.]+)\s*(ns|us|ms|s|m|h|d)\s*$/.exec(value || '');
+    return (match) ? Number(match[1]) * DURATION_UNITS[match[2]] : null;
+}
+
+/**
+ * @description parse a presto data size, e.g. '12.3MB', to bytes
+ * @returns {Number|null} bytes, null if not a data size
+ */
+function parseDataSize(value) {
+    if (typeof value === 'number') {
+        return value;
+    }
+    const match = /^\s*([\d.]+)\s*(B|kB|MB|GB|TB|PB)\s*$/.exec(value || '');
+    return (match) ? Math.round(Number(match[1]) * DATA_SIZE_UNITS[match[2]]) : null;
+}
+
+/**
+ * @description first of the named fields of stats which is a duration, in ms
+ */
+function durationOf(stats, ...names) {
+    for (const name of names) {
+        const value = parseDuration((stats || {})[name]);
+        if (value !== null) {
+            return value;
+        }
+    }
+    return null;
+}
+
+/**
+ * @description first of the named fields of stats which is a data size, in bytes
+ */
+function dataSizeOf(stats, ...names) {
+    for (const name of names) {
+        const value = parseDataSize((stats || {})[name]);
+        if (value !== null) {
+            return value;
+        }
+    }
+    return null;
+}
+
+function toDate(value) {
+    const date = (value) ? new Date(value) : null;
+    return (date && !Number.isNaN(date.getTime())) ? date : null;
+}
+
+/**
+ * @description a failure of a query (failureInfo), with its cause
+ */
+class FailureInfo {
+    constructor(failure, errorCode) {
+        this.raw = failure || {};
+        this.errorCode = errorCode || null; // { code, name, type }
+    }
+    get type() {
+        return this.raw.type || null; // java exception class
+    }
+    get message() {
+        return this.raw.message || null;
+    }
+    get errorName() {
+        return (this.errorCode) ? this.errorCode.name : null;
+    }
+    get errorType() {
+        return (this.errorCode) ? this.errorCode.type : null;
+    }
+    get errorLocation() {
+        return this.raw.errorLocation || null; // { lineNumber, columnNumber }
+    }
+    get stack() {
+        return this.raw.stack || [];
+    }
+    get cause() {
+        return (this.raw.cause) ? new FailureInfo(this.raw.cause, null) : null;
+    }
+}
+
+/**
+ * @description a task of a stage
+ */
+class TaskInfo {
+    constructor(task) {
+        this.raw = task;
+    }
+    get status() {
+        return this.raw.taskStatus || {};
+    }
+    get taskId() {
+        return this.status.taskId || null;
+    }
+    get stageId() {
+        return (this.taskId) ? this.taskId.slice(0, this.taskId.lastIndexOf('.')) : null;
+    }
+    get state() {
+        return this.status.state || null;
+    }
+    get nodeId() {
+        return this.status.nodeId || null;
+    }
+    get self() {
+        return this.status.self || null;
+    }
+    get elapsedMillis() {
+        return durationOf(this.raw.stats, 'elapsedTime');
+    }
+    get cpuMillis() {
+        return durationOf(this.raw.stats, 'totalCpuTime');
+    }
+    get memoryBytes() {
+        return dataSizeOf(this.status, 'memoryReservationInBytes', 'memoryReservation') || dataSizeOf(this.raw.stats, 'userMemoryReservationInBytes', 'userMemoryReservation') || 0;
+    }
+    get processedRows() {
+        return (this.raw.stats || {}).rawInputPositions || 0;
+    }
+    get outputRows() {
+        return (this.raw.stats || {}).outputPositions || 0;
+    }
+}
+
+/**
+ * @description a stage of a query. tasks & stats are read from the latest attempt of the stage if presto reports attempts.
+ */
+class StageInfo {
+    constructor(stage, parentId = null) {
+        this.raw = stage;
+        this.parentId = parentId;
+    }
+    get execution() {
+        return this.raw.latestAttemptExecutionInfo || this.raw;
+    }
+    get stageId() {
+        return this.raw.stageId || null;
+    }
+    get state() {
+        return this.execution.state || this.raw.state || null;
+    }
+    get done() {
+        return DONE_STATES.includes(this.state) || this.state === 'ABORTED';
+    }
+    get self() {
+        return this.raw.self || null;
+    }
+    get stats() {
+        return this.execution.stats || this.raw.stageStats || {};
+    }
+    get tasks() {
+        return (this.execution.tasks || this.raw.tasks || []).map(task => new TaskInfo(task));
+    }
+    get cpuMillis() {
+        return durationOf(this.stats, 'totalCpuTime');
+    }
+    get memoryBytes() {
+        return dataSizeOf(this.stats, 'userMemoryReservationInBytes', 'userMemoryReservation') || 0;
+    }
+    get failure() {
+        return (this.execution.failureCause) ? new FailureInfo(this.execution.failureCause, null) : null;
+    }
+}
+
+/**
+ * @description flatten the stages of a query depth first, from the output stage (presto & older trino) or the stage list (trino)
+ */
+function flattenStages(info) {
+    const output = [];
+    const visit = (stage, parentId) => {
+        output.push(new StageInfo(stage, parentId));
+        for (const subStage of stage.subStages || []) {
+            if (subStage instanceof Object) {
+                visit(subStage, stage.stageId);
+            }
+        }
+    };
+    if (info.outputStage) {
+        visit(info.outputStage, null);
+    } else if (info.stages && Array.isArray(info.stages.stages)) { // { outputStageId, stages: [...] }, sub-stages are ids
+        const byId = new Map(info.stages.stages.map(stage => [stage.stageId, stage]));
+        const visitId = (stageId, parentId) => {
+            const stage = byId.get(stageId);
+            if (stage) {
+                output.push(new StageInfo(stage, parentId));
+                for (const subStageId of stage.subStages || []) {
+                    visitId(subStageId, stageId);
+                }
+            }
+        };
+        visitId(info.stages.outputStageId, null);
+    }
+    return output;
+}
+
+/**
+ * @description a query, as listed by GET /v1/query (basic info) or returned by GET /v1/query/{queryId} (full info, with stages)
+ */
+class QueryInfo {
+    constructor(info) {
+        this.raw = info || {};
+    }
+    get queryId() {
+        return this.raw.queryId || null;
+    }
+    get state() {
+        return this.raw.state || null;
+    }
+    get done() {
+        return DONE_STATES.includes(this.state);
+    }
+    get query() {
+        return this.raw.query || null;
+    }
+    get session() {
+        return this.raw.session || {};
+    }
+    get user() {
+        return this.session.user || null;
+    }
+    get source() {
+        return this.session.source || null;
+    }
+    get catalog() {
+        return this.session.catalog || null;
+    }
+    get schema() {
+        return this.session.schema || null;
+    }
+    get stats() {
+        return this.raw.queryStats || {};
+    }
+    get createTime() {
+        return toDate(this.stats.createTime);
+    }
+    get endTime() {
+        return toDate(this.stats.endTime);
+    }
+    get elapsedMillis() {
+        return durationOf(this.stats, 'elapsedTimeMillis', 'elapsedTime');
+    }
+    get queuedMillis() {
+        return durationOf(this.stats, 'queuedTimeMillis', 'queuedTime');
+    }
+    get cpuMillis() {
+        return durationOf(this.stats, 'cpuTimeMillis', 'totalCpuTime');
+    }
+    /**
+     * @description memory of the query in bytes: user & total reservations, and their peaks
+     */
+    get memory() {
+        const stats = this.stats;
+        return {
+            userBytes: dataSizeOf(stats, 'userMemoryReservationInBytes', 'userMemoryReservation') || 0,
+            totalBytes: dataSizeOf(stats, 'totalMemoryReservationInBytes', 'totalMemoryReservation') || 0,
+            peakUserBytes: dataSizeOf(stats, 'peakUserMemoryReservationInBytes', 'peakUserMemoryReservation', 'peakMemoryBytes') || 0,
+            peakTotalBytes: dataSizeOf(stats, 'peakTotalMemoryReservationInBytes', 'peakTotalMemoryReservation', 'peakMemoryBytes') || 0
+        };
+    }
+    /**
+     * @description stages of the query, depth first from the output stage. (empty for basic info, as listed by client.queries)
+     */
+    get stages() {
+        return flattenStages(this.raw);
+    }
+    /**
+     * @description tasks of all the stages of the query
+     */
+    get tasks() {
+        return this.stages.reduce((tasks, stage) => tasks.concat(stage.tasks), []);
+    }
+    /**
+     * @description failure of the query, null unless it failed
+     */
+    get failure() {
+        if (!this.raw.failureInfo && !this.raw.errorCode) {
+            return null;
+        }
+        return new FailureInfo(this.raw.failureInfo, this.raw.errorCode);
+    }
+    toJSON() {
+        return this.raw;
+    }
+}
+
+/**
+ * @description whether a value matches a criterion: a string (exact), RegExp, or array of strings
+ */
+function matchesValue(criterion, value) {
+    if (criterion instanceof RegExp) {
+        criterion.lastIndex = 0; // a global or sticky RegExp would start from its last match
+        return criterion.test(value || '');
+    } else if (Array.isArray(criterion)) {
+        return criterion.includes(value);
+    }
+    return criterion === value;
+}
+
+/**
+ * @description whether a query matches a filter
+ * @param {QueryInfo} info - the query
+ * @param {Object} filter - state (state or array of states), user & source (string, RegExp or array of strings),
+ * since (Date, ms since epoch or ISO string: created at or after), predicate (function(QueryInfo) returning true to keep the query)
+ */
+function matchesFilter(info, filter = {}) {
+    if (filter.state !== undefined) {
+        const states = [].concat(filter.state).map(state => String(state).toUpperCase());
+        if (!states.includes(info.state)) {
+            return false;
+        }
+    }
+    if (filter.user !== undefined && !matchesValue(filter.user, info.user)) {
+        return false;
+    } else if (filter.source !== undefined && !matchesValue(filter.source, info.source)) {
+        return false;
+    }
+    if (filter.since !== undefined) {
+        const since = sinceTime(filter.since);
+        const created = info.createTime;
+        if (!created || created.getTime() < since) {
+            return false;
+        }
+    }
+    return (typeof filter.predicate === 'function') ? Boolean(filter.predicate(info)) : true;
+}
+
+const FILTER_KEYS = ['state', 'user', 'source', 'since', 'predicate'];
+
+/**
+ * @description the time (ms since epoch) of the since criterion of a filter, NaN if it is not a valid time
+ */
+function sinceTime(since) {
+    return (since instanceof Date || typeof since === 'number' || typeof since === 'string') ? new Date(since).getTime() : NaN;
+}
+
+/**
+ * @description whether a criterion of user or source is valid: a string, RegExp or array of strings
+ */
+function isValueCriterion(criterion) {
+    if (Array.isArray(criterion)) {
+        return criterion.every(value => typeof value === 'string');
+    }
+    return typeof criterion === 'string' || criterion instanceof RegExp;
+}
+
+/**
+ * @description check a filter of queries, throw if it has unknown keys or invalid criteria
+ * @returns {Boolean} whether the filter has any criterion
+ */
+function checkFilter(filter) {
+    if (!(filter instanceof Object)) {
+        throw new Error('query filter must be an object');
+    }
+    const unknown = Object.keys(filter).filter(key => !FILTER_KEYS.includes(key));
+    if (unknown.length > 0) {
+        throw new Error(`unknown query filter ${unknown.join(', ')}, expected any of ${FILTER_KEYS.join(', ')}`);
+    }
+    // an invalid criterion must not match every query, e.g. for killWhere
+    const invalid = (key, expected) => new Error(`invalid query filter ${key} ${String(filter[key])}, expected ${expected}`);
+    for (const key of FILTER_KEYS) {
+        if (filter[key] === null) {
+            throw invalid(key, 'a criterion or undefined');
+        }
+    }
+    if (filter.state !== undefined && !([].concat(filter.state).length > 0 && [].concat(filter.state).every(state => typeof state === 'string'))) {
+        throw invalid('state', 'a state or an array of states');
+    }
+    for (const key of ['user', 'source']) {
+        if (filter[key] !== undefined && !isValueCriterion(filter[key])) {
+            throw invalid(key, 'a string, RegExp or array of strings');
+        }
+    }
+    if (filter.since !== undefined && !Number.isFinite(sinceTime(filter.since))) {
+        throw invalid('since', 'a Date, ms since epoch or ISO string');
+    }
+    if (filter.predicate !== undefined && typeof filter.predicate !== 'function') {
+        throw invalid('predicate', 'a function');
+    }
+    return FILTER_KEYS.some(key => filter[key] !== undefined);
+}
+
+module.exports = { QueryInfo, StageInfo, TaskInfo, FailureInfo, matchesFilter, checkFilter, parseDuration, parseDataSize };
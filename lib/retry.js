@@ -0,0 +1,57 @@
+const RETRY_DEFAULTS = Object.freeze({
+    maxAttempts: 5, // total attempts per request, including the first
+    minDelay: 50, // ms, delay before the first retry (doubled by jitter at most)
+    maxDelay: 5000, // ms, upper limit for the delay between attempts
+    factor: 2, // exponential backoff factor
+    jitter: true, // randomize delays so concurrent requests are spread out
+    timeout: 0, // ms, per attempt timeout of requests. 0 = no timeout
+    statusCodes: [502, 503, 504],
+    errorCodes: ['ECONNRESET', 'ECONNREFUSED', 'ETIMEDOUT', 'EPIPE', 'EAI_AGAIN']
+});
+
+// statement submission (POST) is not idempotent, it is only retried when presto is known not to have received it.
+// https://github.com/prestodb/presto/wiki/HTTP-Protocol "If the response is an HTTP 503, sleep 50-100ms and try again"
+const RESUBMIT_STATUS_CODES = [503];
+const RESUBMIT_ERROR_CODES = ['ECONNREFUSED'];
+
+/**
+ * @description normalize a user supplied retry policy against the defaults
+ * @param {Object|Boolean} retry - false to disable retries, otherwise an object overriding any of the defaults
+ * @returns {Object} frozen retry policy
+ */
+function normalizeRetryPolicy(retry) {
+    if (retry === false) {
+        return Object.freeze(Object.assign({}, RETRY_DEFAULTS, { maxAttempts: 1 }));
+    }
+    return Object.freeze(Object.assign({}, RETRY_DEFAULTS, (retry instanceof Object) ? retry : {}));
+}
+
+/**
+ * @description whether a failed attempt should be retried
+ * @param {Object} policy - normalized retry policy
+ * @param {Number} attempt - the attempt that failed (1 = first)
+ * @param {String} method - http method of the request
+ * @param {Object} failure - { error } for transport errors or { response_code } for unsuccessful responses
+ */
+function isRetriable(policy, attempt, method, { error, response_code }) {
+    if (attempt >= policy.maxAttempts) {
+        return false;
+    }
+    const resubmit = (method || 'GET').toUpperCase() === 'POST';
+    if (error) {
+        return policy.errorCodes.includes(error.code) && (!resubmit || RESUBMIT_ERROR_CODES.includes(error.code));
+    }
+    return policy.statusCodes.includes(response_code) && (!resubmit || RESUBMIT_STATUS_CODES.includes(response_code));
+}
+
+/**
+ * @description delay in ms before the next attempt, exponential backoff with jitter
+ * @param {Object} policy - normalized retry policy
+ * @param {Number} attempt - the attempt that failed (1 = first)
+ */
+function retryDelay(policy, attempt) {
+    const delay = Math.min(policy.maxDelay, policy.minDelay * Math.pow(policy.factor, attempt - 1));
+    return Math.round((policy.jitter) ? Math.min(policy.maxDelay, delay * (1 + Math.random())) : delay);
+}
+
+module.exports = { RETRY_DEFAULTS, normalizeRetryPolicy, isRetriable, retryDelay };
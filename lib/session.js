@@ -0,0 +1,231 @@
+const { Headers } = require('./headers');
+const { toLiteral, countPlaceholders } = require('./literals');
+
+const IDENTIFIER = /^[A-Za-z_][A-Za-z0-9_]*$/;
+
+/**
+ * @description parse a comma separated list of key=value pairs (values URL-encoded) as used by presto session headers
+ * @param {String} text - header value e.g. 'query_max_run_time=10m,optimize_hash_generation=true'
+ * @returns {Object} key value pairs
+ */
+function parseProperties(text) {
+    const output = {};
+    if (!text) {
+        return output;
+    }
+    for (const pair of String(text).split(',')) {
+        const index = pair.indexOf('=');
+        if (index > 0) {
+            // values are encoded as per java URLEncoder, i.e. spaces may be encoded as +
+            output[pair.slice(0, index).trim()] = decodeURIComponent(pair.slice(index + 1).trim().replace(/\+/g, ' '));
+        }
+    }
+    return output;
+}
+
+/**
+ * @description inverse of parseProperties
+ */
+function formatProperties(properties) {
+    return Object.keys(properties).map(key => `${key}=${encodeURIComponent(properties[key])}`).join(',');
+}
+
+/**
+ * @description case insensitive lookup of a response header (node lowercases incoming header names)
+ */
+function getHeader(headers, name) {
+    return (headers) ? headers[name.toLowerCase()] : undefined;
+}
+
+/**
+ * @description wait for a statement to complete, discarding any data
+ */
+function drain(statement) {
+    return new Promise((resolve, reject) => {
+        statement.on('error', reject).on('end', resolve).resume();
+    });
+}
+
+/**
+ * @description check the number of parameters provided for a query and build the USING clause for them
+ * @returns {String} ' USING a, b...' or an empty string if there are no parameters
+ */
+function usingClause(sql, params) {
+    if (!Array.isArray(params)) {
+        throw new Error('params must be an array');
+    }
+    const expected = countPlaceholders(sql);
+    if (expected !== params.length) {
+        throw new Error(`query expects ${expected} parameter(s) but ${params.length} were provided`);
+    }
+    return (params.length > 0) ? ' USING ' + params.map(toLiteral).join(', ') : '';
+}
+
+/**
+ * @description a statement prepared in a session (with PREPARE), created by client.prepare or session.prepare
+ */
+class PreparedStatement {
+    constructor(session, name, sql) {
+        this.session = session;
+        this.name = name;
+        this.sql = sql;
+    }
+    /**
+     * @description execute the prepared statement with the given parameters (EXECUTE name USING ...)
+     * @param {Array} params - values for the ? placeholders of the statement, in order
+     * @param {Object} opts - other options, as per client.execute
+     * @returns {Promise<Statement>} statement object
+     */
+    execute(params = [], opts = {}) {
+        return this.session.execute(Object.assign({}, opts, { query: `EXECUTE ${this.name}${usingClause(this.sql, params)}` }));
+    }
+    /**
+     * @description remove the prepared statement from the session (DEALLOCATE PREPARE)
+     */
+    deallocate() {
+        return this.session.deallocate(this.name);
+    }
+}
+
+/**
+ * @description a presto session: server driven state (session properties, catalog, schema, roles, path) carried from one statement to the next.
+ * Obtain one with client.session(), and run statements with session.execute() so state set by statements such as SET SESSION or USE applies to later statements.
+ */
+class Session {
+    /**
+     * @description constructor for class Session. Use client.session() rather than calling directly.
+     * @param {Client} client - related presto client
+     * @param {Object} state (optional) - initial state, e.g. as returned by session.toJSON()
+     * catalog, schema: default catalog & schema (default: those of the client)
+     * properties: session properties as key value pairs
+     * roles: roles per catalog as key value pairs
+     * path: SQL path
+     * preparedStatements: prepared statements as key value pairs of name and SQL
+     */
+    constructor(client, state = {}) {
+        this.client = client;
+        this.catalog = state.catalog || null;
+        this.schema = state.schema || null;
+        this.path = state.path || null;
+        this.properties = Object.assign({}, state.properties);
+        this.roles = Object.assign({}, state.roles);
+        this.preparedStatements = Object.assign({}, state.preparedStatements);
+    }
+    /**
+     * @description execute a query in this session, options exactly as per client.execute
+     * @returns {Promise<Statement>} statement object
+     */
+    execute(opts) {
+        return this.client.execute(Object.assign({}, opts, { session: this }));
+    }
+    /**
+     * @description prepare a statement in this session (PREPARE name FROM sql)
+     * @param {String} name - name of the prepared statement
+     * @param {String} sql - the statement, with ? as placeholders for parameters
+     * @returns {Promise<PreparedStatement>} the prepared statement, once presto has accepted it
+     */
+    async prepare(name, sql) {
+        if (!IDENTIFIER.test(name)) {
+            throw new Error(`invalid prepared statement name: ${name}`);
+        } else if (!sql || typeof sql !== 'string') {
+            throw new Error('query not specified or is invalid');
+        }
+        await drain(await this.execute({ query: `PREPARE ${name} FROM ${sql}` }));
+        if (!this.preparedStatements.hasOwnProperty(name)) { // normally added by the X-Presto-Added-Prepare response header
+            this.preparedStatements[name] = sql;
+        }
+        return new PreparedStatement(this, name, sql);
+    }
+    /**
+     * @description remove a prepared statement from this session (DEALLOCATE PREPARE name)
+     * @param {String} name - name of the prepared statement
+     */
+    async deallocate(name) {
+        if (!IDENTIFIER.test(name)) {
+            throw new Error(`invalid prepared statement name: ${name}`);
+        }
+        await drain(await this.execute({ query: `DEALLOCATE PREPARE ${name}` }));
+        delete this.preparedStatements[name];
+    }
+    /**
+     * @description set a session property locally (sent with the next statement)
+     */
+    set(name, value) {
+        this.properties[name] = String(value);
+        return this;
+    }
+    /**
+     * @description remove a session property locally
+     */
+    unset(name) {
+        delete this.properties[name];
+        return this;
+    }
+    /**
+     * @description headers to send with a statement submitted in this session
+     * @returns {Object} request headers
+     */
+    headers() {
+        const headers = {};
+        if (this.catalog) { headers[Headers.CATALOG] = this.catalog; }
+        if (this.schema) { headers[Headers.SCHEMA] = this.schema; }
+        if (this.path) { headers[Headers.PATH] = this.path; }
+        if (Object.keys(this.properties).length > 0) {
+            // https://github.com/prestodb/presto/wiki/HTTP-Protocol Statements submitted following SET SESSION statements should include any key-value pairs (returned by the servers X-Presto-Set-Session) in the header X-Presto-Session. Multiple pairs can be comma-separated and included in a single header.
+            headers[Headers.SESSION] = formatProperties(this.properties);
+        }
+        if (Object.keys(this.roles).length > 0) {
+            headers[Headers.ROLE] = formatProperties(this.roles);
+        }
+        if (Object.keys(this.preparedStatements).length > 0) {
+            headers[Headers.PREPARED_STATEMENT] = formatProperties(this.preparedStatements);
+        }
+        return headers;
+    }
+    /**
+     * @description update the session from the headers of a presto response
+     * @param {Object} headers - response headers (as provided by node, i.e. lower case names)
+     */
+    update(headers) {
+        const catalog = getHeader(headers, Headers.SET_CATALOG);
+        const schema = getHeader(headers, Headers.SET_SCHEMA);
+        const path = getHeader(headers, Headers.SET_PATH);
+        if (catalog) { this.catalog = catalog; }
+        if (schema) { this.schema = schema; }
+        if (path) { this.path = path; }
+        Object.assign(this.properties, parseProperties(getHeader(headers, Headers.SET_SESSION)));
+        const cleared = getHeader(headers, Headers.CLEAR_SESSION);
+        if (cleared) {
+            for (const name of cleared.split(',')) {
+                delete this.properties[name.trim()];
+            }
+        }
+        Object.assign(this.roles, parseProperties(getHeader(headers, Headers.SET_ROLE)));
+        Object.assign(this.preparedStatements, parseProperties(getHeader(headers, Headers.ADDED_PREPARE)));
+        const deallocated = getHeader(headers, Headers.DEALLOCATED_PREPARE);
+        if (deallocated) {
+            for (const name of deallocated.split(',')) {
+                delete this.preparedStatements[name.trim()];
+            }
+        }
+        return this;
+    }
+    /**
+     * @description serializable state of the session, can be passed to client.session() to restore it
+     */
+    toJSON() {
+        return {
+            catalog: this.catalog, schema: this.schema, path: this.path,
+            properties: Object.assign({}, this.properties), roles: Object.assign({}, this.roles),
+            preparedStatements: Object.assign({}, this.preparedStatements)
+        };
+    }
+    /**
+     * @description the session properties as a X-Presto-Session header value (compatible with the session string accepted by client.execute)
+     */
+    toString() {
+        return formatProperties(this.properties);
+    }
+}
+
+module.exports = { Session, PreparedStatement, parseProperties, formatProperties, getHeader, usingClause };
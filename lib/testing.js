@@ -0,0 +1,552 @@
+const http = require('http');
+const { URL } = require('url');
+const { EventEmitter } = require('events');
+
+const DEFAULT_SCRIPT = Object.freeze({
+    columns: [],
+    rows: [],
+    pageSize: 100, // rows per nextUri page
+    queuedPolls: 1, // number of responses in state QUEUED before the query starts running
+    runningPolls: 0, // number of responses in state RUNNING (without data) before data is returned
+    delay: 0, // ms to wait before answering each request of this query
+    wait: 0, // ms the query stays in each QUEUED / RUNNING poll, long polls (X-Presto-Max-Wait) are answered after at most this time
+    error: null, // if set, the query fails with this error (string or presto error object)
+    failAfterPages: 0, // number of data pages returned before the query fails with error
+    updateType: null, // e.g. 'SET SESSION'
+    headers: {}, // extra response headers for the query, e.g. { 'X-Presto-Set-Session': 'key=value' }
+    faults: [] // injected transport failures, see MockCoordinator.addQuery
+});
+
+function encode(value) {
+    return encodeURIComponent(value).replace(/%20/g, '+'); // as per java URLEncoder
+}
+
+function parseProperties(text) {
+    const output = {};
+    for (const pair of (text) ? text.split(',') : []) {
+        const index = pair.indexOf('=');
+        output[pair.slice(0, index)] = decodeURIComponent(pair.slice(index + 1).replace(/\+/g, ' '));
+    }
+    return output;
+}
+
+/**
+ * @description default behaviour of statements that change session state, as presto reports them in the response headers
+ */
+function builtinScript(query) {
+    let match;
+    if ((match = /^\s*PREPARE\s+(\w+)\s+FROM\s+([\s\S]*)$/i.exec(query))) {
+        return { updateType: 'PREPARE', headers: { 'X-Presto-Added-Prepare': `${match[1]}=${encode(match[2])}` } };
+    } else if ((match = /^\s*DEALLOCATE\s+PREPARE\s+(\w+)/i.exec(query))) {
+        return { updateType: 'DEALLOCATE', headers: { 'X-Presto-Deallocated-Prepare': match[1] } };
+    } else if ((match = /^\s*SET\s+SESSION\s+([\w.]+)\s*=\s*'?(.*?)'?\s*$/i.exec(query))) {
+        return { updateType: 'SET SESSION', headers: { 'X-Presto-Set-Session': `${match[1]}=${encode(match[2])}` } };
+    } else if ((match = /^\s*RESET\s+SESSION\s+([\w.]+)/i.exec(query))) {
+        return { updateType: 'RESET SESSION', headers: { 'X-Presto-Clear-Session': match[1] } };
+    } else if ((match = /^\s*USE\s+(?:(\w+)\.)?(\w+)\s*$/i.exec(query))) {
+        const headers = { 'X-Presto-Set-Schema': match[2] };
+        if (match[1]) {
+            headers['X-Presto-Set-Catalog'] = match[1];
+        }
+        return { updateType: 'USE', headers };
+    }
+    return {};
+}
+
+/**
+ * @description parse a duration as sent in X-Presto-Max-Wait, e.g. '1000ms', '1.00s', '1m', to ms
+ */
+function parseDuration(text) {
+    const match = /^\s*([\d.]+)\s*(ns|us|ms|s|m|h|d)?\s*$/.exec(text || '');
+    if (!match) {
+        return 0;
+    }
+    const units = { ns: 1e-6, us: 1e-3, ms: 1, s: 1000, m: 60000, h: 3600000, d: 86400000 };
+    return Number(match[1]) * units[match[2] || 'ms'];
+}
+
+/**
+ * @description rename headers between the presto (X-Presto-*) and trino (X-Trino-*) protocols
+ */
+function renameHeaders(headers, from, to) {
+    const output = {};
+    for (const name of Object.keys(headers)) {
+        output[name.replace(from, to)] = headers[name];
+    }
+    return output;
+}
+
+function sendJSON(res, code, body, headers = {}) {
+    const payload = JSON.stringify(body);
+    res.writeHead(code, Object.assign({ 'Content-Type': 'application/json', 'Content-Length': Buffer.byteLength(payload) }, headers));
+    res.end(payload);
+}
+
+function toError(error) {
+    const output = (typeof error === 'string') ? { message: error } : Object.assign({}, error);
+    return Object.assign({
+        errorCode: 1, errorName: 'GENERIC_USER_ERROR', errorType: 'USER_ERROR',
+        failureInfo: { type: 'com.facebook.presto.spi.PrestoException', message: output.message, suppressed: [], stack: [] }
+    }, output);
+}
+
+/**
+ * @description In-process fake Presto coordinator implementing the HTTP protocol used by this library, for offline testing.
+ * Each submitted statement is matched against scripts registered with addQuery, which define the result set and behaviour.
+ * Emits 'request' for every request received ({ method, path, headers, body }) and 'query' when a statement is submitted.
+ */
+class MockCoordinator extends EventEmitter {
+    /**
+     * @description constructor for class MockCoordinator
+     * @param {Object} opts (optional)
+     * host: interface to listen on, default: 127.0.0.1
+     * port: port to listen on, default: 0 (random free port)
+     * defaults: script settings applied to all queries (see addQuery)
+     * nodes: response for GET /v1/node, default: one active node
+     * failedNodes: response for GET /v1/node/failed, default: []
+     * version: reported node version in /v1/info, default: 'mock' ('438' if protocol is trino)
+     * protocol: 'presto' or 'trino', the names of the headers (X-Presto-* or X-Trino-*) understood and sent by the coordinator. default: presto
+     * auth: if set, requests (other than /v1/info) must be authenticated, else they are rejected with 401. properties:
+     *      basic: { user: password } accepted with Basic Auth, tokens: list of accepted bearer tokens (may be changed, e.g. to expire a token),
+     *      external: if true, the 401 challenge starts the external authentication flow (x_redirect_server, x_token_server). visiting the redirect url logs in.
+     */
+    constructor(opts = {}) {
+        super();
+        this.host = opts.host || '127.0.0.1';
+        this.port = opts.port || 0;
+        this.defaults = Object.assign({}, DEFAULT_SCRIPT, opts.defaults || {});
+        this.nodes = opts.nodes || [{ uri: 'http://127.0.0.1:8080', recentRequests: 0, recentFailures: 0, recentSuccesses: 0, age: '1.00m' }];
+        this.failedNodes = opts.failedNodes || [];
+        this.protocol = opts.protocol || 'presto';
+        this.version = opts.version || ((this.protocol === 'trino') ? '438' : 'mock');
+        this.auth = (opts.auth) ? Object.assign({ basic: {}, tokens: [], external: false }, opts.auth) : null;
+        this.logins = new Map(); // external authentication flows by id, token once logged in
+        this.requests = [];
+        this.queries = new Map();
+        this.scripts = [];
+        this.server = null;
+        this.sockets = new Set();
+        this.connections = 0; // total number of connections accepted
+        this.counter = 0;
+    }
+    /**
+     * @description base URL of the coordinator once started
+     */
+    get uri() {
+        return `http://${this.host}:${this.port}`;
+    }
+    /**
+     * @description options to pass to new Client() to connect to this coordinator
+     */
+    get clientOptions() {
+        return { host: this.host, port: this.port, pollInterval: 10 };
+    }
+    /**
+     * @description register the behaviour of queries matching the matcher. Later registrations take priority.
+     * @param {String|RegExp|Function} matcher - exact query text, pattern, or function(query, headers) returning true if the script applies
+     * @param {Object} script - properties:
+     * columns: presto columns e.g. [{ name: 'cnt', type: 'bigint' }]
+     * rows: array of rows (each an array of values in column order)
+     * pageSize: rows per page, default 100
+     * queuedPolls, runningPolls: number of responses in QUEUED & RUNNING states before data is returned
+     * delay: ms to wait before responding to each request for this query
+     * wait: ms the query spends in each of its QUEUED & RUNNING polls. Polls with X-Presto-Max-Wait are held for at most this time
+     *      (less if the max wait is shorter), polls without it are answered immediately. default 0
+     * error: error to fail the query with (message string or object with message, errorName, errorType, errorCode, errorLocation...)
+     * failAfterPages: number of pages of data to return before failing with error. default 0
+     * updateType: update type reported by the query (e.g. 'SET SESSION')
+     * headers: extra headers added to every response for this query (e.g. X-Presto-Set-Session)
+     * faults: list of transport failures { at: 'submit' | 'poll' | index of GET request for the query, status: http status to respond with,
+     *      reset: destroy the socket without responding, hang: never respond, times: number of occurrences (default 1) }
+     * @returns {MockCoordinator} this, to allow chaining
+     */
+    addQuery(matcher, script = {}) {
+        let match;
+        if (typeof matcher === 'function') {
+            match = matcher;
+        } else if (matcher instanceof RegExp) {
+            match = query => matcher.test(query);
+        } else {
+            match = query => query.trim() === String(matcher).trim();
+        }
+        // submission faults apply across all queries of the script, other faults apply per query
+        const submitFaults = (script.faults || []).filter(fault => fault.at === 'submit').map(fault => Object.assign({ times: 1 }, fault));
+        this.scripts.unshift({ match, script, submitFaults });
+        return this;
+    }
+    /**
+     * @description remove all scripts, queries, external authentications and recorded requests, and reset the connection count
+     */
+    reset() {
+        this.scripts = [];
+        this.queries.clear();
+        this.logins.clear();
+        this.requests = [];
+        this.connections = 0;
+    }
+    /**
+     * @description start listening. resolves to this once the coordinator is ready.
+     */
+    start() {
+        return new Promise((resolve, reject) => {
+            this.server = http.createServer((req, res) => this._handle(req, res));
+            this.server.on('connection', (socket) => {
+                this.connections++;
+                this.sockets.add(socket);
+                socket.on('close', () => this.sockets.delete(socket));
+            });
+            this.server.once('error', reject);
+            this.server.listen(this.port, this.host, () => {
+                this.port = this.server.address().port;
+                return resolve(this);
+            });
+        });
+    }
+    /**
+     * @description stop listening and close all open connections
+     */
+    stop() {
+        return new Promise((resolve) => {
+            if (!this.server) {
+                return resolve();
+            }
+            for (const socket of this.sockets) {
+                socket.destroy();
+            }
+            this.server.close(() => resolve());
+            this.server = null;
+        });
+    }
+
+    _script(query, headers) {
+        let found = this.scripts.find(({ match }) => match(query, headers));
+        const execute = /^\s*EXECUTE\s+(\w+)/i.exec(query);
+        if (!found && execute) { // match prepared statements on their SQL rather than the EXECUTE statement
+            const prepared = parseProperties(headers['x-presto-prepared-statement'])[execute[1]];
+            found = prepared && this.scripts.find(({ match }) => match(prepared, headers));
+        }
+        const script = Object.assign({}, this.defaults, builtinScript(query), (found) ? found.script : {});
+        script.faults = (script.faults || []).filter(fault => fault.at !== 'submit').map(fault => Object.assign({ times: 1 }, fault));
+        script.submitFaults = (found) ? found.submitFaults : [];
+        return script;
+    }
+
+    _fault(query, at) {
+        const faults = (at === 'submit') ? query.script.submitFaults : query.script.faults;
+        const fault = faults.find(item => item.times > 0 && item.at === at);
+        if (fault) {
+            fault.times--;
+        }
+        return fault;
+    }
+
+    _stats(query) {
+        const pages = query.pages.length;
+        const completed = (query.state === 'FINISHED') ? pages : Math.min(query.page, pages);
+        const processedRows = query.pages.slice(0, completed).reduce((total, page) => total + page.length, 0);
+        const elapsed = Date.now() - query.created;
+        const stage = {
+            stageId: '0', state: query.state, done: ['FINISHED', 'FAILED', 'CANCELED'].includes(query.state), nodes: 1,
+            totalSplits: pages, queuedSplits: pages - completed, runningSplits: 0, completedSplits: completed,
+            cpuTimeMillis: elapsed, wallTimeMillis: elapsed, processedRows, processedBytes: processedRows * 8, subStages: []
+        };
+        return Object.assign({}, stage, {
+            queued: query.state === 'QUEUED', scheduled: query.state !== 'QUEUED',
+            userTimeMillis: elapsed, queuedTimeMillis: query.queuedTime, elapsedTimeMillis: elapsed,
+            peakMemoryBytes: processedRows * 16, rootStage: (query.state === 'QUEUED') ? undefined : stage
+        });
+    }
+
+    _results(query) {
+        const body = { id: query.id, infoUri: `${this.uri}/v1/query/${query.id}`, stats: this._stats(query) };
+        if (query.state !== 'QUEUED' && query.state !== 'FAILED' || query.dataStarted) {
+            body.columns = query.script.columns;
+        }
+        if (query.script.updateType) {
+            body.updateType = query.script.updateType;
+        }
+        if (query.state === 'FAILED') {
+            body.error = query.error;
+            return body;
+        }
+        if (query.state !== 'FINISHED') {
+            body.nextUri = `${this.uri}/v1/statement/${query.id}/${query.token}`;
+            body.partialCancelUri = `${this.uri}/v1/stage/${query.id}.0`;
+        }
+        return body;
+    }
+
+    _advance(query) {
+        // compute the next state of the query & the data (if any) to return with it
+        const { script } = query;
+        query.token++;
+        if (query.polls < script.queuedPolls) {
+            query.polls++;
+            query.state = 'QUEUED';
+            return null;
+        }
+        if (query.state === 'QUEUED') {
+            query.queuedTime = Date.now() - query.created;
+        }
+        if (query.polls < script.queuedPolls + script.runningPolls) {
+            query.polls++;
+            query.state = 'RUNNING';
+            return null;
+        }
+        if (script.error && query.page >= script.failAfterPages) {
+            query.state = 'FAILED';
+            query.error = toError(script.error);
+            return null;
+        }
+        query.dataStarted = true;
+        const data = query.pages[query.page] || null;
+        query.page++;
+        query.state = (query.page >= query.pages.length && !script.error) ? 'FINISHED' : 'RUNNING';
+        return data;
+    }
+
+    _respond(query, res, code, body, headers) {
+        let responseHeaders = Object.assign({}, query ? query.script.headers : {}, headers);
+        if (this.protocol === 'trino') {
+            responseHeaders = renameHeaders(responseHeaders, /^x-presto-/i, 'X-Trino-');
+        }
+        const send = () => sendJSON(res, code, body, responseHeaders);
+        if (query && query.script.delay > 0) {
+            setTimeout(send, query.script.delay);
+        } else {
+            send();
+        }
+    }
+
+    _applyFault(fault, req, res) {
+        if (fault.reset) {
+            req.socket.destroy();
+        } else if (!fault.hang) {
+            sendJSON(res, fault.status || 503, { message: 'injected fault' });
+        }
+    }
+
+    _handle(req, res) {
+        const chunks = [];
+        req.setEncoding('utf8');
+        req.on('data', chunk => chunks.push(chunk)).on('end', () => {
+            const url = new URL(req.url, this.uri);
+            const request = { method: req.method, path: url.pathname, headers: req.headers, body: chunks.join('') };
+            this.requests.push(request);
+            this.emit('request', request);
+            const parts = url.pathname.split('/').filter(part => part.length > 0);
+            // headers of the protocol of the coordinator, named as per presto (lower case) for internal use. headers of the other protocol are ignored
+            const prefix = (this.protocol === 'trino') ? /^x-trino-/ : /^x-presto-/;
+            const headers = {};
+            for (const name of Object.keys(req.headers)) {
+                if (prefix.test(name)) {
+                    headers[name.replace(prefix, 'x-presto-')] = req.headers[name];
+                } else if (!/^x-(presto|trino)-/.test(name)) {
+                    headers[name] = req.headers[name];
+                }
+            }
+            try {
+                this._route(req, res, Object.assign({}, request, { headers }), parts);
+            } catch (error) {
+                sendJSON(res, 500, { message: error.message });
+            }
+        });
+    }
+
+    _authenticate(res, request) {
+        const [scheme, credentials] = (request.headers.authorization || '').split(' ');
+        if (scheme === 'Bearer' && this.auth.tokens.includes(credentials)) {
+            return true;
+        } else if (scheme === 'Basic') {
+            const [user, password] = Buffer.from(credentials || '', 'base64').toString().split(':');
+            if (this.auth.basic.hasOwnProperty(user) && this.auth.basic[user] === password) {
+                return true;
+            }
+        }
+        let challenge = (this.auth.tokens.length > 0) ? 'Bearer realm="mock"' : 'Basic realm="mock"';
+        if (this.auth.external) {
+            const id = String(this.logins.size + 1);
+            this.logins.set(id, null);
+            challenge = `Bearer x_redirect_server="${this.uri}/oauth2/login/${id}", x_token_server="${this.uri}/oauth2/token/${id}"`;
+        }
+        sendJSON(res, 401, { message: 'Unauthorized' }, { 'WWW-Authenticate': challenge });
+        return false;
+    }
+
+    _oauth2(res, action, id) {
+        if (!this.logins.has(id)) {
+            return sendJSON(res, 404, { message: 'unknown authentication' });
+        } else if (action === 'login') { // the user authenticated in the browser
+            const token = `external-${id}`;
+            this.logins.set(id, token);
+            this.auth.tokens.push(token);
+            return sendJSON(res, 200, { message: 'logged in' });
+        } else if (this.logins.get(id)) {
+            return sendJSON(res, 200, { token: this.logins.get(id) });
+        }
+        return sendJSON(res, 200, { nextUri: `${this.uri}/oauth2/token/${id}` });
+    }
+
+    _route(req, res, request, parts) {
+        const [version, resource, id, token] = parts;
+        if (version === 'oauth2' && req.method === 'GET') {
+            return this._oauth2(res, resource, id);
+        } else if (version !== 'v1') {
+            return sendJSON(res, 404, { message: 'not found' });
+        } else if (this.auth && resource !== 'info' && !this._authenticate(res, request)) {
+            return;
+        }
+        switch (resource) {
+            case 'statement':
+                if (req.method === 'POST' && !id) {
+                    return this._submit(req, res, request);
+                } else if (req.method === 'GET' && id) {
+                    return this._next(req, res, request, this.queries.get(id), token);
+                } else if (req.method === 'DELETE' && id) {
+                    return this._cancel(res, this.queries.get(id));
+                }
+                break;
+            case 'query':
+                if (!id && req.method === 'GET') {
+                    return sendJSON(res, 200, Array.from(this.queries.values()).map(query => this._info(query)));
+                } else if (!this.queries.has(id)) {
+                    return sendJSON(res, 404, { message: `query ${id} not found` });
+                } else if (req.method === 'DELETE') {
+                    return this._cancel(res, this.queries.get(id));
+                } else if (req.method === 'GET') {
+                    return sendJSON(res, 200, this._info(this.queries.get(id)));
+                }
+                break;
+            case 'stage':
+                if (req.method === 'DELETE') {
+                    return this._cancelStage(res, this.queries.get(String(id).split('.')[0]));
+                }
+                break;
+            case 'node':
+                return sendJSON(res, 200, (id === 'failed') ? this.failedNodes : this.nodes);
+            case 'cluster': {
+                const queries = Array.from(this.queries.values());
+                return sendJSON(res, 200, {
+                    runningQueries: queries.filter(query => query.state === 'RUNNING').length,
+                    blockedQueries: 0,
+                    queuedQueries: queries.filter(query => query.state === 'QUEUED').length,
+                    activeWorkers: this.nodes.length, runningDrivers: 0, reservedMemory: 0, totalInputRows: 0, totalInputBytes: 0, totalCpuTimeSecs: 0
+                });
+            }
+            case 'info':
+                return sendJSON(res, 200, { nodeVersion: { version: this.version }, environment: 'test', coordinator: true, starting: false, uptime: '1.00m' });
+        }
+        return sendJSON(res, 405, { message: `${req.method} not supported on ${request.path}` });
+    }
+
+    _submit(req, res, request) {
+        if (!request.headers['x-presto-user']) {
+            return sendJSON(res, 400, { message: 'User must be set' });
+        }
+        const script = this._script(request.body, request.headers);
+        const id = `20200101_000000_${String(++this.counter).padStart(5, '0')}_mock0`;
+        const pageSize = Math.max(1, script.pageSize);
+        const pages = [];
+        for (let i = 0; i < script.rows.length; i += pageSize) {
+            pages.push(script.rows.slice(i, i + pageSize));
+        }
+        const query = {
+            id, script, pages, query: request.body, headers: request.headers, state: 'QUEUED', created: Date.now(), queuedTime: 0,
+            token: 0, polls: 0, page: 0, requests: 0, dataStarted: false, error: null
+        };
+        const fault = this._fault(query, 'submit');
+        if (fault) {
+            return this._applyFault(fault, req, res);
+        }
+        this.queries.set(id, query);
+        this.emit('query', query);
+        return this._respond(query, res, 200, this._results(query));
+    }
+
+    _next(req, res, request, query, token) {
+        if (!query) {
+            return sendJSON(res, 404, { message: 'query not found' });
+        }
+        const fault = this._fault(query, query.requests) || this._fault(query, 'poll');
+        query.requests++;
+        if (fault) {
+            return this._applyFault(fault, req, res);
+        }
+        if (query.state === 'CANCELED') {
+            return sendJSON(res, 410, { message: 'query canceled' });
+        }
+        if (Number(token) !== query.token) {
+            // repeat of the last page (e.g. a retried request), presto returns the same response for the same token
+            if (query.last && Number(token) === query.token - 1) {
+                return this._respond(query, res, 200, query.last);
+            }
+            return sendJSON(res, 410, { message: `invalid token ${token} for query ${query.id}` });
+        }
+        const data = this._advance(query);
+        const body = this._results(query);
+        if (data) {
+            body.data = data;
+        }
+        query.last = body;
+        const maxWait = parseDuration(request.headers['x-presto-max-wait']);
+        if (!data && ['QUEUED', 'RUNNING'].includes(query.state) && maxWait > 0 && query.script.wait > 0) {
+            // long poll: hold the response while the query is in the same state
+            return setTimeout(() => this._respond(query, res, 200, body), Math.min(maxWait, query.script.wait));
+        }
+        return this._respond(query, res, 200, body);
+    }
+
+    _cancel(res, query) {
+        if (query && !['FINISHED', 'FAILED'].includes(query.state)) {
+            query.state = 'CANCELED';
+        }
+        res.writeHead(204);
+        return res.end();
+    }
+
+    _cancelStage(res, query) {
+        // the output stage stops producing data: pages already produced are returned, then the query finishes
+        if (query && !['FINISHED', 'FAILED', 'CANCELED'].includes(query.state)) {
+            query.pages = query.pages.slice(0, query.page);
+            query.stageCanceled = true;
+        }
+        res.writeHead(204);
+        return res.end();
+    }
+
+    _info(query) {
+        const stats = this._stats(query);
+        const done = ['FINISHED', 'FAILED', 'CANCELED'].includes(query.state);
+        const taskState = (query.state === 'QUEUED') ? 'PLANNED' : (done) ? query.state : 'RUNNING';
+        return {
+            queryId: query.id, state: query.state, query: query.query, self: `${this.uri}/v1/query/${query.id}`,
+            session: { user: query.headers['x-presto-user'], source: query.headers['x-presto-source'], catalog: query.headers['x-presto-catalog'], schema: query.headers['x-presto-schema'] },
+            // as per presto QueryStats, durations & data sizes as strings, along with the fields of the statement stats
+            queryStats: Object.assign(stats, {
+                createTime: new Date(query.created).toISOString(), elapsedTime: `${stats.elapsedTimeMillis}.00ms`, queuedTime: `${stats.queuedTimeMillis}.00ms`,
+                totalCpuTime: `${stats.cpuTimeMillis}.00ms`, userMemoryReservation: (done) ? '0B' : `${stats.peakMemoryBytes}B`,
+                peakUserMemoryReservation: `${stats.peakMemoryBytes}B`, peakTotalMemoryReservation: `${stats.peakMemoryBytes}B`
+            }),
+            outputStage: {
+                stageId: `${query.id}.0`, state: (query.stageCanceled && !done) ? 'CANCELED' : taskState, self: `${this.uri}/v1/stage/${query.id}.0`, subStages: [],
+                tasks: [{
+                    taskStatus: { taskId: `${query.id}.0.0`, state: taskState, self: `${this.uri}/v1/task/${query.id}.0.0`, nodeId: 'mock', memoryReservation: `${stats.peakMemoryBytes}B` },
+                    stats: { elapsedTime: `${stats.elapsedTimeMillis}.00ms`, totalCpuTime: `${stats.cpuTimeMillis}.00ms`, rawInputPositions: stats.processedRows, outputPositions: stats.processedRows }
+                }]
+            },
+            errorCode: (query.error) ? { code: query.error.errorCode, name: query.error.errorName, type: query.error.errorType } : undefined,
+            failureInfo: (query.error) ? query.error.failureInfo : undefined
+        };
+    }
+}
+
+/**
+ * @description create and start a mock coordinator
+ * @param {Object} opts - as per MockCoordinator constructor
+ * @returns {Promise<MockCoordinator>} started coordinator
+ */
+function createMockCoordinator(opts) {
+    return new MockCoordinator(opts).start();
+}
+
+module.exports = { MockCoordinator, createMockCoordinator };
@@ -0,0 +1,69 @@
+const assert = require('assert');
+const { getFormat } = require('../lib/formats');
+
+const columns = [{ name: 'id', type: 'integer' }, { name: 'name', type: 'varchar' }, { name: 'amount', type: 'decimal(10,2)' }];
+const rows = [[1, 'a', '1.50'], [null, 'bé', null], [-3, null, '-0.01']];
+
+function serialize(options = {}, pages = [rows]) {
+    const serializer = getFormat('arrow').create(columns, options, { jsonParser: JSON });
+    return Buffer.concat([serializer.start()].concat(pages.map(page => serializer.page(page)), serializer.end()).filter(i => i !== null));
+}
+
+// minimal reader of the encapsulated messages, enough to check the structure of the stream
+function readMessages(stream) {
+    const messages = [];
+    let position = 0;
+    for (;;) {
+        assert.strictEqual(stream.readUInt32LE(position), 0xFFFFFFFF);
+        const length = stream.readInt32LE(position + 4);
+        if (length === 0) {
+            assert.strictEqual(position + 8, stream.length);
+            return messages;
+        }
+        const metadata = stream.slice(position + 8, position + 8 + length);
+        const field = (table, id) => {
+            const vtable = table - metadata.readInt32LE(table);
+            return (4 + 2 * id < metadata.readUInt16LE(vtable)) ? table + metadata.readUInt16LE(vtable + 4 + 2 * id) : null;
+        };
+        const reference = position => position + metadata.readUInt32LE(position);
+        const root = reference(0);
+        const header = reference(field(root, 2));
+        const message = { type: metadata.readUInt8(field(root, 1)), bodyLength: Number(metadata.readBigInt64LE(field(root, 3))) };
+        if (message.type === 3) {
+            const buffers = reference(field(header, 2));
+            message.length = Number(metadata.readBigInt64LE(field(header, 0)));
+            message.buffers = [];
+            for (let i = 0; i < metadata.readUInt32LE(buffers); i++) {
+                const offset = Number(metadata.readBigInt64LE(buffers + 4 + 16 * i));
+                const size = Number(metadata.readBigInt64LE(buffers + 12 + 16 * i));
+                message.buffers.push(stream.slice(position + 8 + length + offset, position + 8 + length + offset + size));
+            }
+        }
+        assert.strictEqual((8 + length) % 8, 0);
+        messages.push(message);
+        position += 8 + length + message.bodyLength;
+    }
+}
+
+describe('arrow format',function(){
+    it('writes a schema, a record batch per page and an end of stream marker',function(){
+        const messages = readMessages(serialize({},[rows.slice(0,2),[],rows.slice(2)]));
+        assert.deepStrictEqual(messages.map(message => [message.type, message.length]),[[1, undefined],[3, 2],[3, 1]]);
+    });
+    it('encodes values, nulls & offsets',function(){
+        const [, batch] = readMessages(serialize());
+        const [idValidity, ids, nameValidity, nameOffsets, names, amountValidity, amounts] = batch.buffers;
+        assert.strictEqual(idValidity[0],0b101);
+        assert.deepStrictEqual([ids.readInt32LE(0), ids.readInt32LE(8)],[1, -3]);
+        assert.strictEqual(nameValidity[0],0b011);
+        assert.deepStrictEqual(Array.from(new Int32Array(nameOffsets.buffer.slice(nameOffsets.byteOffset, nameOffsets.byteOffset + 16))),[0, 1, 4, 4]);
+        assert.strictEqual(names.toString(),'abé');
+        assert.strictEqual(amountValidity[0],0b101);
+        assert.deepStrictEqual([amounts.readBigInt64LE(0), amounts.readBigInt64LE(32), amounts.readBigInt64LE(40)],[BigInt(150), BigInt(-1), BigInt(-1)]);
+    });
+    it('writes record batches of batchRows rows',function(){
+        const messages = readMessages(serialize({ batchRows: 2 },[rows,rows.slice(0,1)]));
+        assert.deepStrictEqual(messages.slice(1).map(message => message.length),[2, 2]);
+        assert.strictEqual(readMessages(serialize({},[])).length,1);
+    });
+});
@@ -0,0 +1,70 @@
+const assert = require('assert');
+const http = require('http');
+const { Client, auth } = require('../lib/index');
+const { MockCoordinator } = require('../testing');
+
+describe('authentication against the mock coordinator',function(){
+    const coordinator = new MockCoordinator({auth:{basic:{tester:'secret'},tokens:['t1']}});
+    before(async function(){
+        await coordinator.start();
+    });
+    after(async function(){
+        await coordinator.stop();
+    });
+    beforeEach(function(){
+        coordinator.reset();
+        coordinator.auth.tokens = ['t1'];
+        coordinator.auth.external = false;
+    });
+    const connect = (opts)=>new Client(Object.assign({user:'tester'},coordinator.clientOptions,opts));
+
+    it('authenticates with basic auth',async function(){
+        for (const client of [connect({password:'secret'}),connect({auth:auth.basic('tester','secret')})]) {
+            assert.strictEqual((await client.query('SELECT 1')).stats.state,'FINISHED');
+            await client.close();
+        }
+        const rejected = connect({password:'wrong'});
+        const error = await rejected.query('SELECT 1').catch(e=>e);
+        assert.strictEqual(error.response_code,401);
+        assert.strictEqual(error.headers['www-authenticate'],'Bearer realm="mock"');
+        await rejected.close();
+    });
+    it('authenticates with a bearer token',async function(){
+        const client = connect({auth:auth.bearer('t1')});
+        await client.query('SELECT 1');
+        assert.ok(coordinator.requests.every(request=>request.headers.authorization === 'Bearer t1'));
+        await client.close();
+        const shorthand = connect({auth:'t1'});
+        await shorthand.query('SELECT 1');
+        await shorthand.close();
+    });
+    it('refreshes tokens from a callback when they are rejected',async function(){
+        const calls = [];
+        const client = connect({auth:async ({reason})=>{ calls.push(reason); return coordinator.auth.tokens[0]; }});
+        await client.query('SELECT 1');
+        coordinator.auth.tokens = ['t2']; // t1 expires
+        await Promise.all([client.query('SELECT 1'),client.query('SELECT 2')]);
+        assert.deepStrictEqual(calls,['initial','rejected']);
+        assert.strictEqual(coordinator.requests.pop().headers.authorization,'Bearer t2');
+        await client.close();
+    });
+    it('runs the external authentication flow',async function(){
+        coordinator.auth.external = true;
+        const redirects = [];
+        const client = connect({
+            auth:auth.external({
+                pollInterval:10,
+                redirect:(url)=>{ // the user logs in with a browser
+                    redirects.push(url);
+                    setTimeout(()=>{ http.get(url,res=>res.resume()); },30);
+                }
+            })
+        });
+        await Promise.all([client.query('SELECT 1'),client.query('SELECT 2')]);
+        assert.deepStrictEqual(redirects,[`${coordinator.uri}/oauth2/login/1`]);
+        assert.ok(coordinator.requests.filter(request=>request.path === '/oauth2/token/1').length > 1);
+        await client.query('SELECT 3');
+        assert.strictEqual(coordinator.requests.pop().headers.authorization,'Bearer external-1');
+        await client.close();
+    });
+});
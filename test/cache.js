@@ -0,0 +1,168 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Client } = require('../lib/index');
+const { ResultCache, cacheKey } = require('../lib/cache');
+const { normalizeSql } = require('../lib/literals');
+const { MockCoordinator } = require('../testing');
+
+const columns = [{ name: 'day', type: 'date' }, { name: 'views', type: 'bigint' }];
+const rows = [['2026-10-01', 10], ['2026-10-02', 20], ['2026-10-03', 30]];
+
+// the events of a statement, read to the end
+async function run(client, opts) {
+    const statement = await client.execute(opts);
+    const events = [];
+    statement.on('state_change', state => events.push(['state_change', state]));
+    statement.on('columns', value => events.push(['columns', value.map(column => column.name)]));
+    statement.on('page', page => events.push(['page', page.length]));
+    const success = new Promise(resolve => statement.once('success', resolve));
+    const output = [];
+    for await (const chunk of statement) {
+        output.push(chunk);
+    }
+    events.push(['success', Object.keys(await success)]);
+    return { statement, events, output: (opts.format === 'object') ? output : output.join('') };
+}
+
+describe('result cache', function () {
+    const coordinator = new MockCoordinator();
+    let client;
+    const submitted = () => coordinator.requests.filter(request => request.method === 'POST').length;
+    before(async function () {
+        await coordinator.start();
+    });
+    after(async function () {
+        await coordinator.stop();
+    });
+    beforeEach(function () {
+        coordinator.reset();
+        coordinator.addQuery(/^SELECT day, views/, { columns, rows, pageSize: 2, runningPolls: 1 });
+        coordinator.addQuery(/^SELECT broken/, { error: { message: 'Query exceeded per-node memory limit', errorName: 'EXCEEDED_LOCAL_MEMORY_LIMIT', errorType: 'INSUFFICIENT_RESOURCES' } });
+        client = new Client(Object.assign({ user: 'tester', resultCache: {} }, coordinator.clientOptions));
+    });
+    afterEach(async function () {
+        await client.close();
+    });
+
+    it('normalizes the SQL of the key', function () {
+        assert.strictEqual(normalizeSql("  SELECT  a,\n\t'x  y' -- note\nFROM \"t  1\" /* c */ ;\n"), "SELECT a, 'x  y' FROM \"t  1\"");
+        const key = { sql: 'SELECT 1', catalog: 'hive', schema: 'web', user: 'tester', properties: { a: '1', b: '2' } };
+        assert.strictEqual(cacheKey(key), cacheKey(Object.assign({}, key, { sql: 'SELECT\n  1;', properties: { b: '2', a: '1' } })));
+        assert.notStrictEqual(cacheKey(key), cacheKey(Object.assign({}, key, { user: 'other' })));
+    });
+
+    it('replays cached results with the events of a statement, in object and text modes', async function () {
+        const live = await run(client, { query: 'SELECT day, views FROM daily', format: 'object' });
+        assert.strictEqual(live.statement.cached, false);
+        const replayed = await run(client, { query: 'SELECT day, views\nFROM daily', format: 'object' });
+        assert.strictEqual(replayed.statement.cached, true);
+        assert.strictEqual(replayed.statement.query_id, live.statement.query_id);
+        assert.deepStrictEqual(replayed.output, live.output);
+        assert.deepStrictEqual(replayed.events, live.events);
+        assert.deepStrictEqual(replayed.events.filter(event => event[0] === 'state_change').map(event => event[1]), ['QUEUED', 'RUNNING', 'FINISHED']);
+
+        const csv = await run(client, { query: 'SELECT day, views FROM daily', format: 'csv' });
+        const uncached = await run(client, { query: 'SELECT day, views FROM daily', format: 'csv', cache: false });
+        assert.strictEqual(csv.output, uncached.output);
+        assert.deepStrictEqual(csv.events, uncached.events);
+        const info = await client.query('SELECT day, views FROM daily', { info: true });
+        assert.deepStrictEqual(Object.keys(info), ['columns', 'rows', 'stats', 'queryId', 'info']);
+        assert.strictEqual(submitted(), 2); // the uncached run
+        assert.deepStrictEqual([client.resultCache.stats().hits, client.resultCache.stats().entries], [3, 1]);
+    });
+
+    it('replays duplicate column names as returned by presto, whatever the format of previous replays', async function () {
+        coordinator.addQuery('SELECT a, a FROM t', { columns: [{ name: 'a', type: 'bigint' }, { name: 'a', type: 'bigint' }], rows: [[1, 2]] });
+        const live = await run(client, { query: 'SELECT a, a FROM t', format: 'csv' });
+        for (const format of ['object', 'object', 'csv']) {
+            const replayed = await run(client, { query: 'SELECT a, a FROM t', format });
+            assert.strictEqual(replayed.statement.cached, true);
+            assert.deepStrictEqual(replayed.events, live.events);
+            if (format === 'object') {
+                assert.deepStrictEqual(replayed.output, [{ a_1: 1, a_2: 2 }]);
+            } else {
+                assert.strictEqual(replayed.output, live.output);
+            }
+        }
+        assert.ok(live.output.startsWith('"a","a"\n'));
+    });
+
+    it('keys results by catalog, schema, session & user, and can be bypassed or refreshed', async function () {
+        await client.query('SELECT day, views FROM daily');
+        await client.query('SELECT day, views FROM daily', { schema: 'other' });
+        await client.query('SELECT day, views FROM daily', { session: 'query_max_run_time=1h' });
+        assert.strictEqual(submitted(), 3);
+        await client.query('SELECT day, views FROM daily', { cache: false });
+        assert.strictEqual(submitted(), 4);
+        const stored = [];
+        client.resultCache.on('store', event => stored.push(event.queryId));
+        const refreshed = await client.query('SELECT day, views FROM daily', { cache: 'refresh' });
+        assert.deepStrictEqual(stored, [refreshed.queryId]);
+        assert.strictEqual((await client.query('SELECT day, views FROM daily')).queryId, refreshed.queryId);
+
+        // failed queries & updates are not cached
+        await assert.rejects(client.query('SELECT broken'), /memory limit/);
+        await assert.rejects(client.query('SELECT broken'), /memory limit/);
+        await client.query("SET SESSION query_max_run_time = '1h'");
+        await client.query("SET SESSION query_max_run_time = '1h'");
+        assert.strictEqual(submitted(), 9);
+    });
+
+    it('emits success without waiting for the cache write, which lookups of the key wait for', async function () {
+        const order = [];
+        client.resultCache.on('store', () => order.push('store'));
+        const statement = await client.execute({ query: 'SELECT day, views FROM daily', format: 'object' });
+        const next = new Promise((resolve, reject) => statement.once('success', () => {
+            order.push('success');
+            client.execute({ query: 'SELECT day, views FROM daily', format: 'object' }).then(resolve, reject);
+        }));
+        statement.resume();
+        const replayed = await next;
+        assert.strictEqual(replayed.cached, true);
+        await new Promise(resolve => replayed.on('end', resolve).resume());
+        assert.deepStrictEqual(order, ['success', 'store']);
+        assert.strictEqual(submitted(), 1);
+    });
+
+    it('keeps results in a directory, within ttl & size limits', async function () {
+        const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'presto-cache-'));
+        try {
+            const settings = { dir, ttl: 200, maxEntries: 2 };
+            const first = new Client(Object.assign({ user: 'tester', resultCache: settings }, coordinator.clientOptions));
+            const evicted = [];
+            first.resultCache.on('evict', event => evicted.push(event.reason));
+            for (const limit of [1, 2, 3]) {
+                await first.query(`SELECT day, views FROM daily LIMIT ${limit}`);
+            }
+            await first.close(); // waits for the writes
+            assert.deepStrictEqual(evicted, ['size']);
+            assert.strictEqual(fs.readdirSync(dir).length, 2);
+
+            const second = new Client(Object.assign({ user: 'tester', resultCache: settings }, coordinator.clientOptions));
+            const result = await second.query('SELECT day, views FROM daily LIMIT 3');
+            assert.deepStrictEqual(result.rows[2], { day: '2026-10-03', views: 30 });
+            assert.strictEqual(submitted(), 3);
+            await new Promise(resolve => setTimeout(resolve, 250));
+            await second.query('SELECT day, views FROM daily LIMIT 3');
+            assert.strictEqual(submitted(), 4); // expired
+            await second.close();
+
+            for (const invalid of [{ ttl: 0 }, { ttl: -1 }, { maxBytes: '64MB' }, { maxEntries: Infinity }, { maxEntryBytes: NaN }]) {
+                assert.throws(() => new Client(Object.assign({ user: 'tester', resultCache: invalid }, coordinator.clientOptions)), /invalid result cache/);
+            }
+            const cache = new ResultCache({ maxEntryBytes: 10 });
+            const small = cache.recorder('small');
+            small.record({ id: 'q', stats: { state: 'FINISHED' } });
+            await small.finish({ state: 'FINISHED' });
+            assert.strictEqual(cache.stats().entries, 1);
+            const recorder = cache.recorder('large');
+            recorder.record({ id: 'q', stats: { state: 'FINISHED' }, columns, data: rows });
+            await recorder.finish({ state: 'FINISHED' });
+            assert.strictEqual(await cache.get('large'), null);
+        } finally {
+            fs.rmSync(dir, { recursive: true, force: true });
+        }
+    });
+});
@@ -0,0 +1,149 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const net = require('net');
+const { Writable, Readable } = require('stream');
+const { EventEmitter } = require('events');
+const { run, parseArgs, resolveSettings, exitCode, formatProgress, EXIT_CODES, UsageError } = require('../lib/cli');
+const { MockCoordinator } = require('../testing');
+
+const columns = [{ name: 'id', type: 'bigint' }, { name: 'name', type: 'varchar' }];
+const rows = [[1, 'a'], [2, 'b'], [3, null]];
+
+function sink() {
+    const chunks = [];
+    const stream = new Writable({
+        write(chunk, encoding, callback) {
+            chunks.push(chunk);
+            callback();
+        }
+    });
+    stream.text = () => Buffer.concat(chunks).toString('utf8');
+    return stream;
+}
+
+describe('presto-stream command line', function () {
+    const tmp = fs.mkdtempSync(path.join(os.tmpdir(), 'presto-stream-'));
+    after(function () {
+        fs.rmSync(tmp, { recursive: true, force: true });
+    });
+
+    it('parses flags', function () {
+        assert.deepStrictEqual(parseArgs(['-e', 'SELECT 1', '--server=a:1,b:2', '--session', 'x=1', '--session', 'y=2', '--no-header', '-Fjson']),
+            { execute: 'SELECT 1', server: ['a:1', 'b:2'], session: { x: '1', y: '2' }, header: false, format: 'json' });
+        assert.deepStrictEqual(parseArgs(['--timeout', '1.5m', '--progress']), { timeout: 90000, progress: true });
+        assert.throws(() => parseArgs(['--bogus']), UsageError);
+        assert.throws(() => parseArgs(['--catalog']), /requires a value/);
+        assert.throws(() => parseArgs(['--timeout', 'soon']), /invalid value for --timeout/);
+        assert.throws(() => parseArgs(['SELECT 1']), /unexpected argument/);
+    });
+
+    it('takes settings from flags, then environment variables, then the config file', function () {
+        const config = path.join(tmp, 'config.json');
+        fs.writeFileSync(config, JSON.stringify({ server: ['c:1'], catalog: 'system', schema: 'runtime', ssl: { rejectUnauthorized: false } }));
+        const settings = resolveSettings({ catalog: 'tpch' }, { PRESTO_STREAM_CONFIG: config, PRESTO_CATALOG: 'hive', PRESTO_SCHEMA: 'web' }, null);
+        assert.deepStrictEqual(settings.server, ['c:1']);
+        assert.deepStrictEqual(settings.ssl, { rejectUnauthorized: false });
+        assert.strictEqual(settings.catalog, 'tpch');
+        assert.strictEqual(settings.schema, 'web');
+        assert.strictEqual(settings.format, 'csv');
+        fs.writeFileSync(path.join(tmp, '.presto-stream.json'), JSON.stringify({ format: 'ndjson' }));
+        assert.strictEqual(resolveSettings({}, {}, tmp).format, 'ndjson');
+        fs.writeFileSync(config, JSON.stringify({ execute: 'SELECT 1' }));
+        assert.throws(() => resolveSettings({ config }, {}, null), /unknown setting execute/);
+        assert.throws(() => resolveSettings({ config: path.join(tmp, 'missing.json') }, {}, null), UsageError);
+        assert.throws(() => resolveSettings({ format: 'xml' }, {}, null), /unknown format/);
+    });
+
+    it('tells user, server and connection errors apart', function () {
+        const failure = errorType => Object.assign(new Error('failed'), { data: { error: { errorType } } });
+        assert.strictEqual(exitCode(failure('USER_ERROR')), EXIT_CODES.USER_ERROR);
+        assert.strictEqual(exitCode(failure('INSUFFICIENT_RESOURCES')), EXIT_CODES.SERVER_ERROR);
+        assert.strictEqual(exitCode(Object.assign(new Error('invalid response code'), { response_code: 401 })), EXIT_CODES.USER_ERROR);
+        assert.strictEqual(exitCode(Object.assign(new Error('invalid response code'), { response_code: 502 })), EXIT_CODES.SERVER_ERROR);
+        assert.strictEqual(exitCode(Object.assign(new Error('refused'), { code: 'ECONNREFUSED' })), EXIT_CODES.CONNECTION_ERROR);
+        assert.strictEqual(exitCode(new UsageError('bad')), EXIT_CODES.USAGE);
+    });
+
+    it('formats progress', function () {
+        assert.strictEqual(formatProgress({ queryId: 'q1', state: 'RUNNING', percent: 42.5, processedRows: 1200, processedBytes: 2500000, bytesPerSecond: 1250000,
+            elapsedTimeMillis: 62000, etaMillis: 3000 }), 'q1 RUNNING 42% 1200 rows 2.5MB 1.3MB/s 1m02s eta 3s');
+    });
+
+    describe('against the mock coordinator', function () {
+        const coordinator = new MockCoordinator();
+        let io;
+        before(async function () {
+            await coordinator.start();
+        });
+        after(async function () {
+            await coordinator.stop();
+        });
+        beforeEach(function () {
+            coordinator.reset();
+            coordinator.addQuery('SELECT * FROM t', { columns, rows, pageSize: 2 });
+            io = { env: { PRESTO_SERVER: `${coordinator.host}:${coordinator.port}`, PRESTO_USER: 'tester' }, stdout: sink(), stderr: sink(), signals: new EventEmitter(), home: null };
+        });
+
+        it('runs the statements of a script in one session', async function () {
+            const code = await run(['-e', 'USE tpch.tiny; SELECT * FROM t;', '--session', 'query_max_run_time=1h', '--progress'], io);
+            assert.strictEqual(code, EXIT_CODES.OK, io.stderr.text());
+            assert.strictEqual(io.stdout.text(), '"id","name"\n1,"a"\n2,"b"\n3,""\n');
+            const select = coordinator.requests.filter(request => request.body === 'SELECT * FROM t')[0];
+            assert.strictEqual(select.headers['x-presto-catalog'], 'tpch');
+            assert.strictEqual(select.headers['x-presto-schema'], 'tiny');
+            assert.strictEqual(select.headers['x-presto-session'], 'query_max_run_time=1h');
+            assert.strictEqual(select.headers['x-presto-source'], 'presto-stream');
+            assert.ok(/ FINISHED 100% /.test(io.stderr.text()));
+        });
+
+        it('reads SQL from a file and writes the results to a file', async function () {
+            const sql = path.join(tmp, 'query.sql');
+            const output = path.join(tmp, 'result.ndjson');
+            fs.writeFileSync(sql, 'SELECT * FROM t;\n-- the rows\n');
+            assert.strictEqual(await run(['-f', sql, '-o', output, '--format', 'ndjson'], io), EXIT_CODES.OK);
+            assert.strictEqual(fs.readFileSync(output, 'utf8'), '{"id":1,"name":"a"}\n{"id":2,"name":"b"}\n{"id":3,"name":null}\n');
+            assert.strictEqual(io.stdout.text(), '');
+        });
+
+        it('reads SQL from stdin', async function () {
+            io.stdin = Readable.from(['SELECT * ', 'FROM t']);
+            assert.strictEqual(await run(['--no-header', '-F', 'tsv'], io), EXIT_CODES.OK);
+            assert.strictEqual(io.stdout.text(), '1\ta\n2\tb\n3\t\\N\n');
+        });
+
+        it('exits with the code of the error', async function () {
+            coordinator.addQuery('SELECT * FROM missing', { error: { message: 'Table hive.default.missing does not exist', errorName: 'TABLE_NOT_FOUND' } });
+            coordinator.addQuery('SELECT broken', { error: { message: 'worker crashed', errorName: 'GENERIC_INTERNAL_ERROR', errorType: 'INTERNAL_ERROR' } });
+            assert.strictEqual(await run(['-e', 'SELECT * FROM missing'], io), EXIT_CODES.USER_ERROR);
+            assert.ok(/TABLE_NOT_FOUND: Table hive.default.missing does not exist/.test(io.stderr.text()));
+            assert.strictEqual(await run(['-e', 'SELECT broken'], io), EXIT_CODES.SERVER_ERROR);
+            assert.strictEqual(await run(['-e', 'SELECT 1', '--format', 'xml'], io), EXIT_CODES.USAGE);
+        });
+
+        it('exits with a connection error if the coordinator is unreachable', async function () {
+            this.timeout(10000);
+            const server = net.createServer();
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            const port = server.address().port;
+            await new Promise(resolve => server.close(resolve));
+            io.env.PRESTO_SERVER = `127.0.0.1:${port}`;
+            assert.strictEqual(await run(['-e', 'SELECT 1'], io), EXIT_CODES.CONNECTION_ERROR);
+        });
+
+        it('cancels the query on Ctrl-C', async function () {
+            coordinator.addQuery('SELECT slow', { columns, rows, runningPolls: 50, wait: 50 });
+            coordinator.on('request', function interrupt(request) {
+                if (request.method === 'GET' && request.path.startsWith('/v1/statement/')) {
+                    coordinator.removeListener('request', interrupt);
+                    io.signals.emit('SIGINT');
+                }
+            });
+            assert.strictEqual(await run(['-e', 'SELECT slow; SELECT * FROM t'], io), EXIT_CODES.INTERRUPTED);
+            assert.ok(coordinator.requests.some(request => request.method === 'DELETE'));
+            assert.ok(!coordinator.requests.some(request => request.body === 'SELECT * FROM t'));
+            assert.strictEqual(io.signals.listenerCount('SIGINT'), 0);
+        });
+    });
+});
@@ -4,12 +4,13 @@ const path = require('path');
 const { promisify } = require('util');
 const { pipeline } = require('stream');
 const { Client } = require('../lib/index');
-if(!fs.existsSync(path.join(__dirname,'testconfigs.js'))){
-    console.error('Error, tests of the presto client have a dependency on presto configuration settings.');
-    console.error('You must create the file testconfigs.js which exports the settings specific to your setup (example exampleconfigs.js provided)');
-    process.exit(1);
+// tests against a live presto cluster only run if testconfigs.js is provided, offline tests against the mock coordinator are in statement.js
+const liveTests = fs.existsSync(path.join(__dirname,'testconfigs.js'));
+if(!liveTests){
+    console.error('Note, live tests of the presto client have a dependency on presto configuration settings and will be skipped.');
+    console.error('To run them, create the file testconfigs.js which exports the settings specific to your setup (example exampleconfigs.js provided)');
 }
-const configs = require('./testconfigs.js');
+const configs = (liveTests) ? require('./testconfigs.js') : { client:[], query:[] };
 const clients = [null,null,null,null];
 const statusQueryIds = [null,null,null,null];
 const describes = [
@@ -20,7 +21,7 @@ const describes = [
 ];
 
 for (let i = 0; i < 4; i++) {
-    describe(describes[i],function(){
+    (liveTests ? describe : describe.skip)(describes[i],function(){
         before('can create a new client',function(){
             clients[i] = new Client(configs.client[i]);
         });
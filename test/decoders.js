@@ -0,0 +1,70 @@
+const assert = require('assert');
+const { parseType, createDecoder, createDecoders } = require('../lib/decoders');
+
+describe('type parsing',function(){
+    it('parses simple and parameterized types',function(){
+        assert.strictEqual(parseType('bigint').rawType,'bigint');
+        assert.deepStrictEqual(parseType('decimal(10,2)').arguments,[10,2]);
+        assert.strictEqual(parseType('timestamp(3) with time zone').rawType,'timestamp with time zone');
+        assert.strictEqual(parseType('interval day to second').rawType,'interval day to second');
+    });
+    it('parses nested row, array and map types',function(){
+        const signature = parseType('row(a bigint, "b c" array(map(varchar, decimal(5,1))), timestamp with time zone)');
+        assert.strictEqual(signature.rawType,'row');
+        assert.deepStrictEqual(signature.fields.map(i=>i.name),['a','b c','field2']);
+        const map = signature.fields[1].type.types[0];
+        assert.strictEqual(map.rawType,'map');
+        assert.deepStrictEqual(map.types.map(i=>i.rawType),['varchar','decimal']);
+        assert.strictEqual(signature.fields[2].type.rawType,'timestamp with time zone');
+    });
+});
+
+describe('value decoding',function(){
+    it('decodes numbers',function(){
+        assert.strictEqual(createDecoder('bigint')(1234),BigInt(1234));
+        assert.strictEqual(createDecoder('bigint',{bigint:'string'})(1234),'1234');
+        assert.strictEqual(createDecoder('decimal(10,2)')('12.30'),'12.30');
+        assert.strictEqual(createDecoder('decimal(10,2)',{decimal:'number'})('12.30'),12.3);
+        assert.ok(Number.isNaN(createDecoder('double')('NaN')));
+        assert.strictEqual(createDecoder('integer')(null),null);
+    });
+    it('decodes temporal types',function(){
+        assert.strictEqual(createDecoder('date')('2020-02-03').toISOString(),'2020-02-03T00:00:00.000Z');
+        assert.strictEqual(createDecoder('timestamp(3)')('2020-02-03 04:05:06.789').toISOString(),'2020-02-03T04:05:06.789Z');
+        assert.strictEqual(createDecoder('timestamp with time zone')('2020-02-03 04:05:06.789 +02:00').toISOString(),'2020-02-03T02:05:06.789Z');
+        assert.strictEqual(createDecoder('timestamp with time zone')('2020-07-01 12:00:00.000 America/New_York').toISOString(),'2020-07-01T16:00:00.000Z');
+        assert.deepStrictEqual(createDecoder('timestamp(6)',{temporal:'object'})('2020-02-03 04:05:06.789123'),
+            {year:2020,month:2,day:3,hour:4,minute:5,second:6,nanosecond:789123000});
+        assert.deepStrictEqual(createDecoder('interval day to second')('-1 02:03:04.500'),
+            {days:-1,hours:-2,minutes:-3,seconds:-4,milliseconds:-500});
+        assert.deepStrictEqual(createDecoder('interval year to month')('1-2'),{years:1,months:2});
+        assert.strictEqual(createDecoder('date',{temporal:'string'})('2020-02-03'),'2020-02-03');
+    });
+    it('decodes varbinary and structural types',function(){
+        assert.ok(createDecoder('varbinary')('aGVsbG8=').equals(Buffer.from('hello')));
+        assert.deepStrictEqual(createDecoder('array(bigint)')([1,null,3]),[BigInt(1),null,BigInt(3)]);
+        const map = createDecoder('map(integer,date)')({'1':'2020-01-01'});
+        assert.ok(map instanceof Map);
+        assert.strictEqual(map.get(1).toISOString(),'2020-01-01T00:00:00.000Z');
+        assert.deepStrictEqual(createDecoder('map(varchar,bigint)',{map:'object',bigint:'number'})({a:1}),{a:1});
+    });
+    it('decodes map keys with the key type',function(){
+        assert.deepStrictEqual(createDecoder('map(varchar,bigint)')({a:1,'01':2}),new Map([['a',BigInt(1)],['01',BigInt(2)]]));
+        assert.deepStrictEqual(createDecoder('map(bigint,varchar)')({'9007199254740993':'a'}),new Map([[BigInt('9007199254740993'),'a']]));
+        const dates = createDecoder('map(date,integer)')({'2020-01-01':1});
+        assert.deepStrictEqual([...dates.keys()].map(key=>key.toISOString()),['2020-01-01T00:00:00.000Z']);
+        assert.deepStrictEqual(createDecoder('map(double,boolean)')({'1.5':true,'NaN':false}),new Map([[1.5,true],[NaN,false]]));
+        assert.deepStrictEqual(createDecoder('map(boolean,integer)')({'true':1}),new Map([[true,1]]));
+        assert.deepStrictEqual(createDecoder('row(x bigint, y varchar)',{bigint:'string'})([5,'b']),{x:'5',y:'b'});
+    });
+    it('supports custom decoders per type',function(){
+        const decode = {types:{json:(value)=>JSON.parse(value), bigint:(value,signature,standard)=>standard(value) * BigInt(2)}};
+        const [json,bigint] = createDecoders([{name:'a',type:'json'},{name:'b',type:'bigint'}],decode);
+        assert.deepStrictEqual(json('{"a":1}'),{a:1});
+        assert.strictEqual(bigint(2),BigInt(4));
+        assert.deepStrictEqual(createDecoder('array(json)',decode)(['[1]']),[[1]]);
+    });
+    it('does not decode when disabled',function(){
+        assert.strictEqual(createDecoders([{name:'a',type:'bigint'}],false),null);
+    });
+});
@@ -0,0 +1,106 @@
+const assert = require('assert');
+const diagnosticsChannel = require('diagnostics_channel');
+const { Client, DIAGNOSTICS_CHANNELS } = require('../lib/index');
+const { MockCoordinator } = require('../testing');
+
+const columns = [{ name: 'id', type: 'bigint' }];
+const rows = Array.from({ length: 6 }, (v, i) => [i]);
+
+// a tracer recording its spans
+function recordingTracer() {
+    const spans = [];
+    return {
+        spans,
+        startSpan(name, { parent, attributes }) {
+            const span = { name, parent, attributes: Object.assign({}, attributes), ended: false, error: null };
+            spans.push(span);
+            return {
+                setAttribute(key, value) { span.attributes[key] = value; },
+                end(error) {
+                    span.ended = true;
+                    span.error = error;
+                }
+            };
+        }
+    };
+}
+
+describe('observability', function () {
+    const coordinator = new MockCoordinator();
+    before(async function () {
+        await coordinator.start();
+    });
+    after(async function () {
+        await coordinator.stop();
+    });
+    beforeEach(function () {
+        coordinator.reset();
+        coordinator.addQuery('SELECT id FROM t', { columns, rows, pageSize: 2, runningPolls: 1 });
+        coordinator.addQuery('SELECT broken', { error: { message: 'line 1:8: Column \'broken\' cannot be resolved', errorName: 'COLUMN_NOT_FOUND', errorType: 'USER_ERROR' } });
+    });
+
+    it('publishes requests, pages & backpressure on diagnostics channels, and reports timings on success', async function () {
+        const client = new Client(Object.assign({ user: 'tester' }, coordinator.clientOptions));
+        const events = { requestStart: [], requestEnd: [], page: [], backpressure: [] };
+        const subscribers = {};
+        for (const name of Object.keys(events)) {
+            subscribers[name] = message => events[name].push(message);
+            diagnosticsChannel.subscribe(DIAGNOSTICS_CHANNELS[name].name, subscribers[name]);
+        }
+        try {
+            const statement = await client.execute({ query: 'SELECT id FROM t', format: 'object', highWaterMark: 1 });
+            const success = new Promise(resolve => statement.once('success', resolve));
+            for await (const row of statement) { // a slow consumer, the statement pauses between pages
+                assert.ok(row);
+                await new Promise(resolve => setTimeout(resolve, 5));
+            }
+            const stats = await success;
+            assert.strictEqual(events.requestStart.length, events.requestEnd.length);
+            const submit = events.requestEnd[0];
+            assert.deepStrictEqual([submit.method, submit.status, submit.attempt], ['POST', 200, 1]);
+            assert.ok(submit.uri.endsWith('/v1/statement') && submit.bytes > 0 && submit.durationMillis >= 0);
+            assert.ok(events.requestEnd.slice(1).every(event => event.queryId === statement.query_id && event.method === 'GET'));
+            assert.deepStrictEqual(events.page.map(event => event.rows), [2, 2, 2]);
+            assert.deepStrictEqual(events.backpressure.map(event => event.state).slice(0, 2), ['paused', 'resumed']);
+
+            const timings = stats.timings;
+            assert.strictEqual(stats.state, 'FINISHED');
+            assert.deepStrictEqual([timings.requests, timings.pages, timings.rows], [events.requestEnd.length, 3, 6]);
+            assert.strictEqual(timings.bytes, events.requestEnd.reduce((total, event) => total + event.bytes, 0));
+            assert.ok(timings.backpressurePauses >= 2 && timings.backpressureMillis > 0);
+            assert.ok(timings.elapsedMillis >= timings.requestMillis && timings.firstPageMillis <= timings.elapsedMillis);
+            assert.deepStrictEqual(statement.timings, timings);
+        } finally {
+            for (const name of Object.keys(events)) {
+                diagnosticsChannel.unsubscribe(DIAGNOSTICS_CHANNELS[name].name, subscribers[name]);
+            }
+            await client.close();
+        }
+    });
+
+    it('opens a span per statement with a child span per request, and logs to the logger', async function () {
+        const tracer = recordingTracer();
+        const logs = [];
+        const logger = { debug: (message, fields) => logs.push(['debug', message, fields]), warn: (message, fields) => logs.push(['warn', message, fields]) };
+        const client = new Client(Object.assign({ user: 'tester', catalog: 'hive', schema: 'web', tracer, logger }, coordinator.clientOptions));
+        try {
+            const result = await client.query('SELECT id FROM t');
+            const [statement, ...requests] = tracer.spans;
+            assert.strictEqual(statement.name, 'presto.statement');
+            assert.deepStrictEqual([statement.attributes['db.statement'], statement.attributes['presto.catalog'], statement.attributes['presto.query_id'], statement.attributes['presto.state']],
+                ['SELECT id FROM t', 'hive', result.queryId, 'FINISHED']);
+            assert.ok(requests.length > 1 && requests.every(span => span.name === 'presto.request' && span.parent !== null && span.ended));
+            assert.ok(requests.slice(1).every(span => span.attributes['presto.query_id'] === result.queryId && span.attributes['http.status_code'] === 200));
+            assert.ok(logs.some(([level, message]) => level === 'debug' && message.startsWith('POST http://')));
+
+            tracer.spans.length = 0;
+            await assert.rejects(client.query('SELECT broken'), /cannot be resolved/);
+            assert.strictEqual(tracer.spans[0].attributes['presto.state'], 'FAILED');
+            assert.ok(tracer.spans[0].ended && /cannot be resolved/.test(tracer.spans[0].error.message));
+            const [level, message, fields] = logs[logs.length - 1];
+            assert.deepStrictEqual([level, message.includes('failed'), fields.state], ['warn', true, 'FAILED']);
+        } finally {
+            await client.close();
+        }
+    });
+});
@@ -0,0 +1,103 @@
+const assert = require('assert');
+const { Client, prestoError, QueryError, UserError, QuerySyntaxError, InsufficientResourcesError, InternalError, QueryCancelledError, QueryTimeoutError, TransportError, ERROR_CATEGORIES } = require('../lib/index');
+const { queryError, transportError } = require('../lib/errors');
+const { MockCoordinator } = require('../testing');
+
+describe('errors', function () {
+    it('classifies presto errors by type and name', function () {
+        const error = queryError({ message: 'Query exceeded per-node memory limit', errorCode: 131079, errorName: 'EXCEEDED_LOCAL_MEMORY_LIMIT', errorType: 'INSUFFICIENT_RESOURCES',
+            failureInfo: { type: 'com.facebook.presto.ExceededMemoryLimitException', message: 'Query exceeded per-node memory limit' } }, { queryId: 'q1', response_code: 200 });
+        assert.ok(error instanceof InsufficientResourcesError && error instanceof QueryError && error instanceof prestoError);
+        assert.strictEqual(error.name, 'InsufficientResourcesError');
+        assert.strictEqual(error.category, ERROR_CATEGORIES.INSUFFICIENT_RESOURCES);
+        assert.deepStrictEqual([error.queryId, error.errorCode, error.errorName, error.response_code], ['q1', 131079, 'EXCEEDED_LOCAL_MEMORY_LIMIT', 200]);
+        assert.strictEqual(error.retriable, false); // the query would exceed its limit again
+        assert.strictEqual(error.failureInfo.type, 'com.facebook.presto.ExceededMemoryLimitException');
+        assert.strictEqual(queryError({ errorName: 'CLUSTER_OUT_OF_MEMORY', errorType: 'INSUFFICIENT_RESOURCES' }).retriable, true);
+        assert.strictEqual(queryError({ errorName: 'REMOTE_TASK_ERROR', errorType: 'INTERNAL_ERROR' }).retriable, true);
+        assert.ok(queryError({ errorName: 'GENERIC_INTERNAL_ERROR', errorType: 'INTERNAL_ERROR' }) instanceof InternalError);
+        assert.ok(queryError({ errorName: 'TABLE_NOT_FOUND', errorType: 'USER_ERROR' }) instanceof UserError);
+        assert.ok(queryError({ errorName: 'SYNTAX_ERROR', errorType: 'USER_ERROR' }) instanceof UserError);
+        assert.ok(queryError({ errorName: 'ADMINISTRATIVELY_KILLED', errorType: 'USER_ERROR' }) instanceof QueryCancelledError);
+        assert.strictEqual(queryError({ errorName: 'EXCEEDED_TIME_LIMIT', errorType: 'INSUFFICIENT_RESOURCES' }).category, ERROR_CATEGORIES.TIMEOUT);
+        assert.strictEqual(queryError({ errorName: 'SOMETHING_NEW' }).message, 'query failed: SOMETHING_NEW');
+    });
+
+    it('wraps transport failures', function () {
+        const reset = transportError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' }));
+        assert.ok(reset instanceof TransportError);
+        assert.deepStrictEqual([reset.category, reset.code, reset.retriable, reset.cause.message], [ERROR_CATEGORIES.TRANSPORT, 'ECONNRESET', true, 'socket hang up']);
+        assert.strictEqual(new TransportError('invalid response code', { response_code: 503 }).retriable, true);
+        assert.strictEqual(new TransportError('invalid response code', { response_code: 401 }).retriable, false);
+        assert.strictEqual(transportError(reset), reset);
+    });
+
+    it('renders the failing line of the query with a caret', function () {
+        const error = new QuerySyntaxError("line 2:6: mismatched input 'FRM'", { error: { errorLocation: { lineNumber: 2, columnNumber: 6 } }, sql: 'SELECT *\n\tFROM FRM t' });
+        assert.strictEqual(error.renderSql(), '2 | \tFROM FRM t\n    \t    ^');
+        assert.strictEqual(new QuerySyntaxError('x', { error: { errorLocation: { lineNumber: 1, columnNumber: 10 } }, sql: 'SELECT * FRM t' }).renderSql(), 'SELECT * FRM t\n         ^');
+        assert.strictEqual(new QuerySyntaxError('x', { error: { errorLocation: { lineNumber: 5, columnNumber: 1 } }, sql: 'SELECT 1' }).renderSql(), null);
+        assert.strictEqual(new QuerySyntaxError('x', { sql: 'SELECT 1' }).renderSql(), null);
+        assert.ok(!Object.keys(error).includes('sql'));
+    });
+
+    describe('against the mock coordinator', function () {
+        const coordinator = new MockCoordinator();
+        let client;
+        before(async function () {
+            await coordinator.start();
+            client = new Client(Object.assign({ user: 'tester' }, coordinator.clientOptions, { retry: { maxAttempts: 1 } }));
+        });
+        after(async function () {
+            await client.close();
+            await coordinator.stop();
+        });
+        beforeEach(function () {
+            coordinator.reset();
+        });
+
+        it('fails statements with typed errors', async function () {
+            const sql = 'SELECT *\nFRM t';
+            coordinator.addQuery(sql, { error: { message: "line 2:1: mismatched input 'FRM'", errorCode: 1, errorName: 'SYNTAX_ERROR', errorType: 'USER_ERROR', errorLocation: { lineNumber: 2, columnNumber: 1 } } });
+            const error = await client.query(sql).catch(error => error);
+            assert.ok(error instanceof QuerySyntaxError);
+            assert.strictEqual(error.category, ERROR_CATEGORIES.USER);
+            assert.ok(/^\d+_\d+_\d+_\w+$/.test(error.queryId));
+            assert.deepStrictEqual(error.errorLocation, { lineNumber: 2, columnNumber: 1 });
+            assert.strictEqual(error.renderSql(), '2 | FRM t\n    ^');
+            assert.strictEqual(error.data.error.errorName, 'SYNTAX_ERROR'); // the response is still available
+
+            coordinator.addQuery('SELECT broken', { columns: [{ name: 'id', type: 'bigint' }], rows: [[1], [2]], pageSize: 1, failAfterPages: 1,
+                error: { message: 'worker crashed', errorName: 'REMOTE_TASK_ERROR', errorType: 'INTERNAL_ERROR' } });
+            const failed = await client.query('SELECT broken').catch(error => error);
+            assert.ok(failed instanceof InternalError);
+            assert.deepStrictEqual([failed.message, failed.retriable], ['worker crashed', true]);
+
+            coordinator.addQuery('SELECT odd', { columns: [{ name: 'id', type: 'bigint' }], rows: [[1]] });
+            const undecodable = await client.query('SELECT odd', { decode: { types: { bigint: () => { throw new Error('not a bigint'); } } } }).catch(error => error);
+            assert.ok(undecodable instanceof InternalError);
+            assert.deepStrictEqual([undecodable.category, undecodable.retriable, undecodable.message], [ERROR_CATEGORIES.INTERNAL, false, 'unable to decode value: not a bigint']);
+            assert.deepStrictEqual([undecodable.queryId, undecodable.sql, undecodable.cause.message], [undecodable.data.id, 'SELECT odd', 'not a bigint']);
+        });
+
+        it('fails with a cancelled error when the query is gone, and a transport error for failed requests', async function () {
+            coordinator.addQuery('SELECT gone', { columns: [{ name: 'id', type: 'bigint' }], rows: [[1]], runningPolls: 2, faults: [{ at: 'poll', status: 410 }] });
+            const gone = await client.query('SELECT gone').catch(error => error);
+            assert.ok(gone instanceof QueryCancelledError);
+            assert.deepStrictEqual([gone.category, gone.response_code], [ERROR_CATEGORIES.CANCELLED, 410]);
+
+            coordinator.addQuery('SELECT down', { faults: [{ at: 'submit', status: 502 }] });
+            const down = await client.query('SELECT down').catch(error => error);
+            assert.ok(down instanceof TransportError);
+            assert.deepStrictEqual([down.response_code, down.retriable], [502, true]);
+        });
+
+        it('reports timeouts in the timeout category', async function () {
+            coordinator.addQuery('SELECT slow', { runningPolls: 1000, wait: 50 });
+            const error = await client.query('SELECT slow', { timeout: 100 }).catch(error => error);
+            assert.ok(error instanceof QueryTimeoutError);
+            assert.strictEqual(error.category, ERROR_CATEGORIES.TIMEOUT);
+            assert.strictEqual(error.sql, 'SELECT slow');
+        });
+    });
+});
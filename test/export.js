@@ -0,0 +1,73 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const zlib = require('zlib');
+const { Client } = require('../lib/index');
+const { MockCoordinator } = require('../testing');
+
+const columns = [{name:'id',type:'bigint'},{name:'name',type:'varchar'}];
+const rows = Array.from({length:25},(v,i)=>[i,`row ${i}`]);
+
+describe('exporting results to part files',function(){
+    const coordinator = new MockCoordinator();
+    let client;
+    let tmp;
+    before(async function(){
+        await coordinator.start();
+        client = new Client(Object.assign({user:'tester'},coordinator.clientOptions));
+    });
+    after(async function(){
+        await client.close();
+        await coordinator.stop();
+    });
+    beforeEach(function(){
+        coordinator.reset();
+        coordinator.addQuery('SELECT * FROM t',{columns,rows,pageSize:4});
+        tmp = fs.mkdtempSync(path.join(os.tmpdir(),'presto-export-'));
+    });
+    afterEach(function(){
+        fs.rmSync(tmp,{recursive:true,force:true});
+    });
+
+    it('splits csv into gzipped parts with a header each',async function(){
+        const dir = path.join(tmp,'out');
+        const manifest = await client.exportTo(dir,{query:'SELECT * FROM t',format:'csv',maxRowsPerFile:10,gzip:true});
+        assert.deepStrictEqual(manifest.files.map(i=>[i.file,i.rows]),[['part-00000.csv.gz',10],['part-00001.csv.gz',10],['part-00002.csv.gz',5]]);
+        assert.strictEqual(manifest.rows,25);
+        assert.deepStrictEqual(manifest.columns,columns);
+        assert.strictEqual(manifest.stats.state,'FINISHED');
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(dir,'manifest.json'),'utf8')),manifest);
+        const parts = manifest.files.map(i=>zlib.gunzipSync(fs.readFileSync(path.join(dir,i.file))).toString('utf8'));
+        assert.ok(parts.every(part=>part.startsWith('"id","name"\n')));
+        assert.strictEqual(parts[2],'"id","name"\n20,"row 20"\n21,"row 21"\n22,"row 22"\n23,"row 23"\n24,"row 24"\n');
+        assert.strictEqual(manifest.files[2].bytes,Buffer.byteLength(parts[2]));
+        assert.strictEqual(manifest.files[2].size,fs.statSync(path.join(dir,manifest.files[2].file)).size);
+    });
+    it('splits pages across parts by the size of their rows for maxBytesPerFile',async function(){
+        const manifest = await client.exportTo(tmp,{query:'SELECT * FROM t',format:'ndjson',maxBytesPerFile:100});
+        assert.deepStrictEqual(manifest.files.map(i=>i.rows),[4,4,4,3,3,3,3,1]); // rows of 24 bytes (ids 0 to 9), then 26 bytes, in pages of 4 rows
+        assert.ok(manifest.files.every(i=>i.bytes <= 100));
+        const lines = manifest.files.map(i=>fs.readFileSync(path.join(tmp,i.file),'utf8')).join('').trim().split('\n');
+        assert.deepStrictEqual(lines.map(line=>JSON.parse(line).id),rows.map(row=>row[0]));
+
+        const gzipped = await client.exportTo(path.join(tmp,'gz'),{query:'SELECT * FROM t',format:'csv',maxBytesPerFile:60,gzip:true});
+        assert.ok(gzipped.files.every(i=>i.bytes <= 60 && i.size === fs.statSync(path.join(tmp,'gz',i.file)).size)); // the limit is on the uncompressed bytes
+        assert.strictEqual(gzipped.rows,25);
+        const json = await client.exportTo(path.join(tmp,'json'),{query:'SELECT * FROM t',format:'json',maxBytesPerFile:10}); // rows larger than the limit
+        assert.ok(json.files.every(i=>i.rows === 1));
+        assert.deepStrictEqual(JSON.parse(fs.readFileSync(path.join(tmp,'json',json.files[3].file),'utf8')),[{id:3,name:'row 3'}]);
+    });
+    it('writes one part for an empty result',async function(){
+        coordinator.addQuery('SELECT none',{columns,rows:[]});
+        const manifest = await client.exportTo(tmp,{query:'SELECT none',format:'tsv'});
+        assert.deepStrictEqual(manifest.files.map(i=>[i.file,i.rows]),[['part-00000.tsv',0]]);
+        assert.strictEqual(fs.readFileSync(path.join(tmp,'part-00000.tsv'),'utf8'),'id\tname\n');
+    });
+    it('removes the parts of a failed export',async function(){
+        coordinator.addQuery('SELECT broken',{columns,rows,pageSize:4,error:'worker crashed',failAfterPages:3});
+        await assert.rejects(client.exportTo(tmp,{query:'SELECT broken',maxRowsPerFile:5}),/worker crashed/);
+        assert.deepStrictEqual(fs.readdirSync(tmp),[]);
+        await assert.rejects(client.exportTo(tmp,{query:'SELECT * FROM t',format:'object'}),/can not be exported/);
+    });
+});
@@ -0,0 +1,38 @@
+const assert = require('assert');
+const { getFormat, registerFormat } = require('../lib/formats');
+
+const columns = [{ name: 'id', type: 'bigint' }, { name: 'name', type: 'varchar' }, { name: 'tags', type: 'array(varchar)' }];
+const rows = [[1, 'a,b', ['x']], [2, '', null], [3, 'say "hi"\n', []]];
+
+function serialize(format, options = {}, pages = [rows]) {
+    const serializer = getFormat(format).create(columns, options, { jsonParser: JSON });
+    return [serializer.start()].concat(pages.map(page => serializer.page(page)), serializer.end()).filter(i => i !== null).join('');
+}
+
+describe('output formats',function(){
+    it('writes csv compatible with previous versions by default',function(){
+        assert.strictEqual(serialize('csv'),'"id","name","tags"\n1,"a,b","[""x""]"\n2,"",""\n3,"say ""hi""\n","[]"\n');
+    });
+    it('writes csv with a configurable dialect',function(){
+        assert.strictEqual(serialize('csv',{ delimiter: ';', quote: "'", quoting: 'minimal', nullValue: '', header: false, crlf: true }),
+            "1;a,b;[\"x\"]\r\n2;'';\r\n3;'say \"hi\"\n';[]\r\n");
+        assert.strictEqual(serialize('csv',{ quoting: 'all' }).split('\n')[1],'"1","a,b","[""x""]"');
+    });
+    it('writes tsv',function(){
+        assert.strictEqual(serialize('tsv'),'id\tname\ttags\n1\ta,b\t["x"]\n2\t\t\\N\n3\tsay "hi"\\n\t[]\n');
+    });
+    it('writes ndjson',function(){
+        assert.strictEqual(serialize('ndjson'),'{"id":1,"name":"a,b","tags":["x"]}\n{"id":2,"name":"","tags":null}\n{"id":3,"name":"say \\"hi\\"\\n","tags":[]}\n');
+    });
+    it('writes a streaming json array',function(){
+        const output = serialize('json',{},[rows.slice(0,1),[],rows.slice(1)]);
+        assert.deepStrictEqual(JSON.parse(output).map(row => row.id),[1,2,3]);
+        assert.deepStrictEqual(JSON.parse(serialize('json',{},[])),[]);
+    });
+    it('supports registered formats',function(){
+        registerFormat('names',{ create: () => ({ start: () => null, page: page => page.map(row => row[1]).join('|'), end: () => '.' }) });
+        assert.strictEqual(serialize('names'),'a,b||say "hi"\n.');
+        assert.throws(() => getFormat('unknown'),/unknown format/);
+        assert.strictEqual(getFormat('object'),null);
+    });
+});
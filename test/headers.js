@@ -0,0 +1,34 @@
+const assert = require('assert');
+const { clientHeaders, detectProtocol } = require('../lib/headers');
+
+describe('headers',function(){
+    it('encodes client tags, client info, trace token, language, extra credentials and resource estimates',function(){
+        assert.deepStrictEqual(clientHeaders({
+            clientTags: ['etl', 'team-a'], clientInfo: { job: 'nightly' }, traceToken: 'trace-1', language: 'en-us',
+            extraCredentials: { 's3.access-key': 'a b=c,d', token: 'x' }, resourceEstimates: { executionTime: 60000, cpuTime: '10m', peakMemory: '2GB' }
+        }),{
+            'X-Presto-Client-Tags': 'etl,team-a',
+            'X-Presto-Client-Info': '{"job":"nightly"}',
+            'X-Presto-Trace-Token': 'trace-1',
+            'X-Presto-Language': 'en-US',
+            'X-Presto-Extra-Credential': 's3.access-key=a%20b%3Dc%2Cd,token=x',
+            'X-Presto-Resource-Estimate': 'EXECUTION_TIME=60000ms,CPU_TIME=10m,PEAK_MEMORY=2GB'
+        });
+        assert.deepStrictEqual(clientHeaders({ clientTags: [], extraCredentials: {} }),{});
+    });
+    it('validates client header options',function(){
+        assert.throws(() => clientHeaders({ clientTags: ['a,b'] }),/without commas/);
+        assert.throws(() => clientHeaders({ clientTags: 'a' }),/clientTags/);
+        assert.throws(() => clientHeaders({ clientInfo: 'line\nbreak' }),/printable/);
+        assert.throws(() => clientHeaders({ language: 'not a language' }),/BCP 47/);
+        assert.throws(() => clientHeaders({ extraCredentials: { 'a=b': 'c' } }),/invalid extra credential/);
+        assert.throws(() => clientHeaders({ resourceEstimates: { memory: 1 } }),/unknown resource estimate/);
+        assert.throws(() => clientHeaders({ resourceEstimates: { peakMemory: '2 gigs' } }),/data size/);
+    });
+    it('detects the protocol from /v1/info',function(){
+        assert.strictEqual(detectProtocol({ nodeVersion: { version: '0.283' } }),'presto');
+        assert.strictEqual(detectProtocol({ nodeVersion: { version: '438' } }),'trino');
+        assert.strictEqual(detectProtocol({ nodeVersion: { version: '350' } }),'presto');
+        assert.strictEqual(detectProtocol({},{ 'x-trino-set-session': 'a=b' }),'trino');
+    });
+});
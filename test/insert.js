@@ -0,0 +1,100 @@
+const assert = require('assert');
+const { Readable } = require('stream');
+const { Client, UserError } = require('../lib/index');
+const { MockCoordinator } = require('../testing');
+
+const varchar = name => ({ name, type: 'varchar' });
+const COLUMN_COLUMNS = ['table_catalog', 'table_schema', 'table_name', 'column_name'].map(varchar)
+    .concat([{ name: 'ordinal_position', type: 'bigint' }], ['column_default', 'is_nullable', 'data_type'].map(varchar));
+const TABLE_COLUMNS = [['id', 'bigint'], ['name', 'varchar'], ['price', 'decimal(10,2)'], ['tags', 'array(varchar)'], ['created', 'timestamp(3)']]
+    .map(([name, type], i) => ['hive', 'web', 'items', name, i + 1, null, 'YES', type]);
+
+const item = i => ({ id: i, name: `it's ${i}`, price: `${i}.50`, tags: ['a'], created: new Date(Date.UTC(2026, 0, 1, 0, 0, i)) });
+
+describe('inserting rows', function () {
+    const coordinator = new MockCoordinator();
+    let client;
+    let inserts;
+    before(async function () {
+        await coordinator.start();
+        client = new Client(Object.assign({ user: 'tester', catalog: 'hive', schema: 'web' }, coordinator.clientOptions));
+    });
+    after(async function () {
+        await client.close();
+        await coordinator.stop();
+    });
+    beforeEach(function () {
+        coordinator.reset();
+        inserts = [];
+        coordinator.addQuery(/FROM "hive"\.information_schema\.columns WHERE table_schema = 'web' AND table_name = 'items'/, { columns: COLUMN_COLUMNS, rows: TABLE_COLUMNS });
+        coordinator.addQuery(/^DESCRIBE/, { columns: ['Column', 'Type', 'Extra', 'Comment'].map(varchar), rows: [] });
+        coordinator.addQuery((query) => {
+            if (query.startsWith('INSERT INTO')) {
+                inserts.push(query);
+                return true;
+            }
+            return false;
+        }, { columns: [{ name: 'rows', type: 'bigint' }], rows: [[0]], updateType: 'INSERT' });
+    });
+
+    it('writes batches of typed literals', async function () {
+        const result = await client.insert('items', Array.from({ length: 5 }, (v, i) => item(i)), { batchRows: 2 });
+        assert.strictEqual(result.rows, 5);
+        assert.deepStrictEqual(result.batches.map(batch => [batch.index, batch.offset, batch.rows]), [[0, 0, 2], [1, 2, 2], [2, 4, 1]]);
+        assert.ok(result.batches.every(batch => batch.queryId && batch.bytes === Buffer.byteLength(inserts[batch.index])));
+        assert.strictEqual(inserts[2], 'INSERT INTO "hive"."web"."items" ("id", "name", "price", "tags", "created") VALUES\n' +
+            "(BIGINT '4', 'it''s 4', CAST('4.50' AS decimal(10, 2)), ARRAY['a'], CAST('2026-01-01 00:00:04.000' AS timestamp(3)))");
+
+        await client.insert('items', [[1, 'one'], [2, null]], { columns: ['id', 'name'] });
+        assert.strictEqual(inserts[3], 'INSERT INTO "hive"."web"."items" ("id", "name") VALUES\n(BIGINT \'1\', \'one\'),\n(BIGINT \'2\', NULL)');
+    });
+
+    it('keeps statements under maxStatementBytes', async function () {
+        const result = await client.insert('items', Array.from({ length: 10 }, (v, i) => [i]), { columns: ['id'], maxStatementBytes: 120 });
+        assert.ok(inserts.every(sql => Buffer.byteLength(sql) <= 120));
+        assert.ok(inserts.length > 1);
+        assert.strictEqual(result.rows, 10);
+        await assert.rejects(client.insert('items', [{ name: 'x'.repeat(200) }], { columns: ['name'], maxStatementBytes: 120 }), /exceed maxStatementBytes/);
+    });
+
+    it('reads the input as batches are written', async function () {
+        let generated = 0;
+        const submittedAt = [];
+        coordinator.on('request', (request) => {
+            if (request.method === 'POST' && request.body.startsWith('INSERT')) {
+                submittedAt.push(generated);
+            }
+        });
+        coordinator.addQuery(/^INSERT INTO/, { columns: [{ name: 'rows', type: 'bigint' }], rows: [[0]], runningPolls: 2, wait: 20 });
+        const rows = new Readable({
+            objectMode: true, highWaterMark: 1,
+            read() {
+                this.push((generated < 50) ? [generated++] : null);
+            }
+        });
+        const result = await client.insert('items', rows, { columns: ['id'], batchRows: 5, concurrency: 2 });
+        coordinator.removeAllListeners('request');
+        assert.strictEqual(result.rows, 50);
+        assert.strictEqual(result.batches.length, 10);
+        submittedAt.forEach((count, i) => assert.ok(count <= (i + 2) * 5 + 2, `batch ${i} submitted after ${count} rows were read`));
+    });
+
+    it('stops at the first failed batch', async function () {
+        coordinator.addQuery(query => query.startsWith('INSERT') && query.includes("BIGINT '4'"), {
+            error: { message: 'Insert into table failed', errorName: 'HIVE_WRITER_DATA_ERROR', errorType: 'EXTERNAL' }
+        });
+        const error = await client.insert('items', Array.from({ length: 20 }, (v, i) => [i]), { columns: ['id'], batchRows: 2 }).catch(error => error);
+        assert.strictEqual(error.message, 'Insert into table failed');
+        assert.deepStrictEqual(error.batch, { index: 2, offset: 4, rows: 2 });
+        assert.deepStrictEqual(error.batches.map(batch => batch.index), [0, 1]);
+        assert.strictEqual(inserts.length, 2); // no batch started after the failure
+
+        const invalid = await client.insert('items', [[1], ['one']], { columns: ['id'] }).catch(error => error);
+        assert.ok(invalid instanceof TypeError);
+        assert.strictEqual(invalid.message, 'row 1: column id: one is not a valid bigint');
+        await assert.rejects(client.insert('items', [{ id: 1, colour: 'red' }]), /row 0: unknown column colour/);
+        await assert.rejects(client.insert('items', [], { columns: ['colour'] }), /column colour does not exist/);
+        coordinator.addQuery(/information_schema\.columns WHERE table_schema = 'web' AND table_name = 'missing'/, { columns: COLUMN_COLUMNS, rows: [] });
+        await assert.rejects(client.insert('missing', []), UserError);
+    });
+});
@@ -0,0 +1,96 @@
+const assert = require('assert');
+const { Client, QueueTimeoutError, AbortError, ERROR_CATEGORIES } = require('../lib/index');
+const { Limiter } = require('../lib/limiter');
+const { MockCoordinator } = require('../testing');
+
+const columns = [{ name: 'id', type: 'bigint' }];
+
+describe('query limiter', function () {
+    it('grants slots by priority, then in order of arrival', async function () {
+        const limiter = new Limiter({ maxConcurrentQueries: 1 });
+        const order = [];
+        const release = await limiter.acquire();
+        const waiting = [['low', -1], ['first', 0], ['high', 5], ['second', 0]].map(([name, priority]) => limiter.acquire({ priority }).then((done) => {
+            order.push(name);
+            done();
+            done(); // releasing twice has no effect
+        }));
+        assert.deepStrictEqual([limiter.running, limiter.queued], [1, 4]);
+        release();
+        await Promise.all(waiting);
+        assert.deepStrictEqual(order, ['high', 'first', 'second', 'low']);
+        assert.deepStrictEqual([limiter.running, limiter.queued, limiter.stats().waits.count], [0, 0, 5]);
+    });
+
+    it('rejects waiting acquisitions on timeout, abort and close', async function () {
+        const limiter = new Limiter({ maxConcurrentQueries: 1, queueTimeout: 20 });
+        const rejected = [];
+        limiter.on('rejected', event => rejected.push(event.reason));
+        await limiter.acquire();
+        const error = await limiter.acquire().catch(error => error);
+        assert.ok(error instanceof QueueTimeoutError);
+        assert.deepStrictEqual([error.code, error.category, error.retriable], ['QUEUE_TIMEOUT', ERROR_CATEGORIES.TIMEOUT, true]);
+        const controller = new AbortController();
+        const aborted = limiter.acquire({ signal: controller.signal, timeout: 0 });
+        controller.abort();
+        await assert.rejects(aborted, AbortError);
+        const closed = limiter.acquire({ timeout: 0 });
+        limiter.close();
+        await assert.rejects(closed, /client is closed/);
+        assert.deepStrictEqual(rejected, ['timeout', 'aborted', 'closed']);
+        assert.strictEqual(limiter.queued, 0);
+    });
+
+    describe('against the mock coordinator', function () {
+        const coordinator = new MockCoordinator();
+        let client;
+        before(async function () {
+            await coordinator.start();
+        });
+        after(async function () {
+            await coordinator.stop();
+        });
+        beforeEach(function () {
+            coordinator.reset();
+            coordinator.addQuery(/^SELECT \d+/, { columns, rows: [[1]], runningPolls: 3, wait: 10 });
+            coordinator.addQuery('SELECT slow', { columns, rows: [[1]], runningPolls: 1000, wait: 50 });
+            client = new Client(Object.assign({ user: 'tester', maxConcurrentQueries: 2 }, coordinator.clientOptions));
+        });
+        afterEach(async function () {
+            await client.close();
+        });
+
+        it('runs at most maxConcurrentQueries statements at a time', async function () {
+            let running = 0;
+            let peak = 0;
+            client.limiter.on('acquired', (event) => {
+                running = event.running;
+                peak = Math.max(peak, running);
+            });
+            const released = [];
+            client.limiter.on('released', event => released.push(event));
+            const results = await Promise.all(Array.from({ length: 6 }, (v, i) => client.query(`SELECT ${i}`)));
+            assert.strictEqual(results.length, 6);
+            assert.strictEqual(peak, 2);
+            assert.strictEqual(released.length, 6);
+            const stats = client.limiter.stats();
+            assert.deepStrictEqual([stats.running, stats.queued, stats.maxConcurrentQueries, stats.waits.count], [0, 0, 2, 6]);
+            assert.ok(stats.waits.maxMillis > 0);
+        });
+
+        it('releases the slot of cancelled and destroyed statements, and times out waiting statements', async function () {
+            const first = await client.execute({ query: 'SELECT slow', format: 'object' });
+            const second = await client.execute({ query: 'SELECT slow', format: 'object' });
+            const error = await client.execute({ query: 'SELECT 1', queueTimeout: 30 }).catch(error => error);
+            assert.ok(error instanceof QueueTimeoutError);
+            assert.strictEqual(coordinator.requests.filter(request => request.method === 'POST').length, 2); // never submitted
+
+            const waiting = client.query('SELECT 1', { priority: 1 });
+            await first.cancel();
+            await waiting;
+            second.destroy();
+            await new Promise(resolve => second.once('close', resolve));
+            assert.strictEqual(client.limiter.running, 0);
+        });
+    });
+});
@@ -0,0 +1,54 @@
+const assert = require('assert');
+const { toLiteral, typedLiteral, countPlaceholders, splitStatements, quoteIdentifier, parseQualifiedName } = require('../lib/literals');
+const { parseType } = require('../lib/decoders');
+
+describe('presto literals',function(){
+    it('converts JS values to escaped, typed literals',function(){
+        assert.strictEqual(toLiteral(null),'NULL');
+        assert.strictEqual(toLiteral(undefined),'NULL');
+        assert.strictEqual(toLiteral("it's"),"'it''s'");
+        assert.strictEqual(toLiteral(42),'42');
+        assert.strictEqual(toLiteral(1.5),"DOUBLE '1.5'");
+        assert.strictEqual(toLiteral(NaN),'nan()');
+        assert.strictEqual(toLiteral(-Infinity),'-infinity()');
+        assert.strictEqual(toLiteral(BigInt('9007199254740993')),"BIGINT '9007199254740993'");
+        assert.strictEqual(toLiteral(true),'TRUE');
+        assert.strictEqual(toLiteral(new Date(Date.UTC(2020,0,2,3,4,5,6))),"TIMESTAMP '2020-01-02 03:04:05.006 UTC'");
+        assert.strictEqual(toLiteral(Buffer.from('hi')),"X'6869'");
+        assert.strictEqual(toLiteral([1,'a',null]),"ARRAY[1, 'a', NULL]");
+    });
+    it('rejects values that have no literal',function(){
+        assert.throws(()=>toLiteral({a:1}),TypeError);
+        assert.throws(()=>toLiteral(new Date(NaN)),TypeError);
+    });
+    it('counts placeholders outside of literals and comments',function(){
+        assert.strictEqual(countPlaceholders("SELECT * FROM t WHERE a = ? AND b = '?' AND \"c?\" = ? -- ?\n/* ? */"),2);
+    });
+    it('splits scripts into statements outside of literals and comments',function(){
+        assert.deepStrictEqual(splitStatements("USE hive.web;\nSELECT ';' AS \"a;b\" -- ;\nFROM t;\n/* ; */ ;\n-- last\n"),
+            ['USE hive.web',"SELECT ';' AS \"a;b\" -- ;\nFROM t"]);
+        assert.deepStrictEqual(splitStatements('SELECT 1'),['SELECT 1']);
+        assert.deepStrictEqual(splitStatements(' ;\n'),[]);
+    });
+    it('converts values to literals of a given type',function(){
+        const literal = (value,type)=>typedLiteral(value,parseType(type));
+        assert.strictEqual(literal(7,'integer'),'7');
+        assert.strictEqual(literal('9007199254740993','bigint'),"BIGINT '9007199254740993'");
+        assert.strictEqual(literal(1.5,'real'),"REAL '1.5'");
+        assert.strictEqual(literal(Infinity,'double'),'CAST(infinity() AS double)');
+        assert.strictEqual(literal('0.10','decimal(5,2)'),"CAST('0.10' AS decimal(5, 2))");
+        assert.strictEqual(literal(new Date(Date.UTC(2026,0,2,3,4,5)),'timestamp(3) with time zone'),"CAST('2026-01-02 03:04:05.000 UTC' AS timestamp(3) with time zone)");
+        assert.strictEqual(literal({ a: [1] },'json'),`JSON '{"a":[1]}'`);
+        assert.strictEqual(literal(new Map([['k',[null]]]),'map(varchar,array(integer))'),"MAP(ARRAY['k'], ARRAY[ARRAY[NULL]])");
+        assert.strictEqual(literal({ b: 'x', a: 1 },'row(a integer, b varchar)'),'CAST(ROW(1, \'x\') AS row("a" integer, "b" varchar))');
+        assert.strictEqual(literal('10.0.0.1','ipaddress'),"CAST('10.0.0.1' AS ipaddress)");
+        assert.throws(()=>literal(128,'tinyint'),/out of the range of tinyint/);
+        assert.throws(()=>literal('yes','boolean'),TypeError);
+    });
+    it('quotes identifiers and parses qualified names',function(){
+        assert.strictEqual(quoteIdentifier('Page "Views"'),'"Page ""Views"""');
+        assert.deepStrictEqual(parseQualifiedName('Hive.Web.page_views'),['hive','web','page_views']);
+        assert.deepStrictEqual(parseQualifiedName('web."Page ""Views"""'),['web','Page "Views"']);
+        assert.throws(()=>parseQualifiedName('web..t'),/invalid name/);
+    });
+});
@@ -0,0 +1,101 @@
+const assert = require('assert');
+const { Client, UserError } = require('../lib/index');
+const { MockCoordinator } = require('../testing');
+
+const varchar = name => ({ name, type: 'varchar' });
+const COLUMN_COLUMNS = ['table_catalog', 'table_schema', 'table_name', 'column_name'].map(varchar)
+    .concat([{ name: 'ordinal_position', type: 'bigint' }], ['column_default', 'is_nullable', 'data_type', 'comment', 'extra_info'].map(varchar));
+const COLUMN_ROWS = [
+    ['hive', 'web', 'page_views', 'user_id', 1, null, 'YES', 'bigint', 'id of the user', null],
+    ['hive', 'web', 'page_views', 'tags', 2, null, 'YES', 'map(varchar, array(varchar))', null, null],
+    ['hive', 'web', 'page_views', 'ds', 3, null, 'NO', 'varchar', null, 'partition key']
+];
+
+describe('metadata', function () {
+    describe('against the mock coordinator', function () {
+        const coordinator = new MockCoordinator();
+        let client;
+        before(async function () {
+            await coordinator.start();
+        });
+        after(async function () {
+            await coordinator.stop();
+        });
+        beforeEach(function () {
+            coordinator.reset();
+            coordinator.addQuery(/FROM system\.metadata\.catalogs/, { columns: [varchar('catalog_name')], rows: [['hive'], ['system']] });
+            coordinator.addQuery(/FROM "hive"\.information_schema\.schemata/, { columns: [varchar('schema_name')], rows: [['information_schema'], ['web']] });
+            coordinator.addQuery(/FROM "hive"\.information_schema\.tables WHERE table_schema = 'web' AND table_name LIKE 'page%'/, {
+                columns: ['table_catalog', 'table_schema', 'table_name', 'table_type'].map(varchar), rows: [['hive', 'web', 'page_views', 'BASE TABLE']]
+            });
+            coordinator.addQuery(/FROM "hive"\.information_schema\.columns WHERE table_schema = 'web' AND table_name = 'page_views'/, { columns: COLUMN_COLUMNS, rows: COLUMN_ROWS });
+            coordinator.addQuery(/FROM "hive"\.information_schema\.columns WHERE table_schema = 'web' AND table_name = 'missing'/, { columns: COLUMN_COLUMNS, rows: [] });
+        });
+        afterEach(async function () {
+            await client.close();
+        });
+        const submitted = () => coordinator.requests.filter(request => request.method === 'POST').map(request => request.body);
+
+        it('lists catalogs, schemas, tables and typed columns', async function () {
+            client = new Client(Object.assign({ user: 'tester', catalog: 'hive', schema: 'web' }, coordinator.clientOptions));
+            assert.deepStrictEqual(await client.catalogs(), ['hive', 'system']);
+            assert.deepStrictEqual(await client.schemas('hive'), ['information_schema', 'web']);
+            assert.deepStrictEqual(await client.tables('hive', 'web', { like: 'page%' }), [{ catalog: 'hive', schema: 'web', name: 'page_views', type: 'BASE TABLE' }]);
+            const columns = await client.columns('hive', 'web', { table: 'page_views' });
+            assert.deepStrictEqual(columns.map(column => [column.name, column.ordinal, column.nullable, column.comment, column.partitionKey]),
+                [['user_id', 1, true, 'id of the user', false], ['tags', 2, true, null, false], ['ds', 3, false, null, true]]);
+            assert.strictEqual(columns[1].signature.rawType, 'map');
+            assert.strictEqual(columns[1].signature.types[1].types[0].rawType, 'varchar');
+
+            const table = await client.describe('page_views');
+            assert.deepStrictEqual([table.catalog, table.schema, table.table, table.partitionKeys], ['hive', 'web', 'page_views', ['ds']]);
+            assert.ok(!submitted().some(sql => sql.startsWith('DESCRIBE'))); // partition keys listed by information_schema
+            await assert.rejects(client.describe({ table: 'missing' }), error => error instanceof UserError && error.errorName === 'TABLE_NOT_FOUND');
+        });
+
+        it('reads partition keys and comments from DESCRIBE if information_schema does not list them', async function () {
+            client = new Client(Object.assign({ user: 'tester' }, coordinator.clientOptions));
+            coordinator.addQuery(/FROM "hive"\.information_schema\.columns WHERE table_schema = 'web' AND table_name = 'page_views'/, {
+                columns: COLUMN_COLUMNS.slice(0, 8), rows: COLUMN_ROWS.map(row => row.slice(0, 8))
+            });
+            coordinator.addQuery('DESCRIBE "hive"."web"."page_views"', {
+                columns: ['Column', 'Type', 'Extra', 'Comment'].map(varchar), rows: [['user_id', 'bigint', '', 'id of the user'], ['tags', 'map(varchar, array(varchar))', '', ''], ['ds', 'varchar', 'partition key', '']]
+            });
+            const table = await client.describe('hive.web.page_views');
+            assert.deepStrictEqual(table.columns.map(column => [column.name, column.comment, column.partitionKey]), [['user_id', 'id of the user', false], ['tags', null, false], ['ds', null, true]]);
+            assert.deepStrictEqual(table.partitionKeys, ['ds']);
+        });
+
+        it('caches metadata for the ttl, and invalidates it per catalog', async function () {
+            client = new Client(Object.assign({ user: 'tester', metadataCache: { ttl: 60000 } }, coordinator.clientOptions));
+            await Promise.all([client.schemas('hive'), client.schemas('hive')]);
+            await client.catalogs();
+            await client.catalogs();
+            await client.describe('hive.web.page_views');
+            await client.describe('hive.web.page_views');
+            assert.strictEqual(submitted().length, 3);
+
+            await client.schemas('hive', { refresh: true });
+            assert.strictEqual(submitted().length, 4);
+            client.invalidateMetadata('hive');
+            await client.catalogs();
+            await client.schemas('hive');
+            assert.strictEqual(submitted().length, 5);
+            client.invalidateMetadata();
+            await client.catalogs();
+            assert.strictEqual(submitted().length, 6);
+        });
+
+        it('does not read metadata from the result cache of the client', async function () {
+            client = new Client(Object.assign({ user: 'tester', metadataCache: { ttl: 60000 }, resultCache: {} }, coordinator.clientOptions));
+            assert.deepStrictEqual((await client.describe('hive.web.page_views')).columns.map(column => column.name), ['user_id', 'tags', 'ds']);
+            coordinator.addQuery(/FROM "hive"\.information_schema\.columns WHERE table_schema = 'web' AND table_name = 'page_views'/, {
+                columns: COLUMN_COLUMNS, rows: COLUMN_ROWS.map(row => (row[3] === 'tags') ? row.slice(0, 3).concat(['labels'], row.slice(4)) : row)
+            });
+            assert.deepStrictEqual((await client.describe('hive.web.page_views')).columns.map(column => column.name), ['user_id', 'tags', 'ds']); // cached
+            client.invalidateMetadata('hive');
+            assert.deepStrictEqual((await client.describe('hive.web.page_views')).columns.map(column => column.name), ['user_id', 'labels', 'ds']);
+            assert.strictEqual(client.resultCache.stats().entries, 0);
+        });
+    });
+});
@@ -0,0 +1,31 @@
+const assert = require('assert');
+const { computeProgress } = require('../lib/progress');
+
+const stage = (stageId, completedSplits, subStages = []) => ({
+    stageId, state: 'RUNNING', done: false, nodes: 2, totalSplits: 10, queuedSplits: 10 - completedSplits, runningSplits: 0, completedSplits,
+    processedRows: 100, processedBytes: 1000, cpuTimeMillis: 50, wallTimeMillis: 60, subStages
+});
+
+describe('progress',function(){
+    it('derives percent, rates and eta from stats',function(){
+        const progress = computeProgress(Object.assign(stage('0', 5), {
+            rootStage: stage('0', 5, [stage('1', 10), stage('2', 0)]), state: 'RUNNING', processedRows: 2000, processedBytes: 4000, elapsedTimeMillis: 3000, queuedTimeMillis: 1000, peakMemoryBytes: 64
+        }));
+        assert.strictEqual(progress.percent, 50);
+        assert.strictEqual(progress.rowsPerSecond, 1000);
+        assert.strictEqual(progress.bytesPerSecond, 2000);
+        assert.strictEqual(progress.etaMillis, 2000);
+        assert.strictEqual(progress.peakMemoryBytes, 64);
+        assert.deepStrictEqual(progress.stages.map(item => [item.stageId, item.parentId, item.percent]), [['0', null, 50], ['1', '0', 100], ['2', '0', 0]]);
+    });
+    it('handles queued and finished queries',function(){
+        const queued = computeProgress({ state: 'QUEUED', queued: true, totalSplits: 0 }, 500);
+        assert.strictEqual(queued.percent, null);
+        assert.strictEqual(queued.etaMillis, null);
+        assert.strictEqual(queued.elapsedTimeMillis, 500);
+        assert.deepStrictEqual(queued.stages, []);
+        const finished = computeProgress({ state: 'FINISHED', totalSplits: 0, elapsedTimeMillis: 10 });
+        assert.strictEqual(finished.percent, 100);
+        assert.strictEqual(finished.etaMillis, 0);
+    });
+});
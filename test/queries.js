@@ -0,0 +1,135 @@
+const assert = require('assert');
+const { Client, QueryInfo } = require('../lib/index');
+const { matchesFilter, parseDuration, parseDataSize } = require('../lib/queries');
+const { MockCoordinator } = require('../testing');
+
+const columns = [{ name: 'id', type: 'bigint' }];
+
+describe('query info', function () {
+    it('parses presto durations and data sizes', function () {
+        assert.strictEqual(parseDuration('1.50m'), 90000);
+        assert.strictEqual(parseDuration('250.00ms'), 250);
+        assert.strictEqual(parseDuration(12), 12);
+        assert.strictEqual(parseDuration('soon'), null);
+        assert.strictEqual(parseDataSize('1.50kB'), 1536);
+        assert.strictEqual(parseDataSize('2GB'), 2 * 1024 ** 3);
+        assert.strictEqual(parseDataSize('10 B'), 10);
+    });
+
+    it('reads stages, tasks, memory and failure of presto query info', function () {
+        const task = (id, state) => ({ taskStatus: { taskId: id, state, nodeId: 'worker-1', memoryReservation: '1.00MB' }, stats: { totalCpuTime: '2.00s', rawInputPositions: 10 } });
+        const info = new QueryInfo({
+            queryId: 'q1', state: 'FAILED', query: 'SELECT 1', session: { user: 'etl', source: 'airflow' },
+            queryStats: { createTime: '2026-01-02T03:04:05.000Z', elapsedTime: '1.00m', totalCpuTime: '30.00s', peakUserMemoryReservation: '2.00GB', userMemoryReservation: '0B' },
+            outputStage: {
+                stageId: 'q1.0', latestAttemptExecutionInfo: { state: 'FAILED', tasks: [task('q1.0.0', 'FAILED')] },
+                subStages: [{ stageId: 'q1.1', state: 'FINISHED', tasks: [task('q1.1.0', 'FINISHED'), task('q1.1.1', 'FINISHED')], subStages: [] }]
+            },
+            errorCode: { code: 131079, name: 'EXCEEDED_LOCAL_MEMORY_LIMIT', type: 'INSUFFICIENT_RESOURCES' },
+            failureInfo: { type: 'com.facebook.presto.ExceededMemoryLimitException', message: 'Query exceeded per-node memory limit', cause: { message: 'root cause' } }
+        });
+        assert.strictEqual(info.user, 'etl');
+        assert.strictEqual(info.createTime.toISOString(), '2026-01-02T03:04:05.000Z');
+        assert.strictEqual(info.elapsedMillis, 60000);
+        assert.strictEqual(info.cpuMillis, 30000);
+        assert.deepStrictEqual(info.memory, { userBytes: 0, totalBytes: 0, peakUserBytes: 2 * 1024 ** 3, peakTotalBytes: 0 });
+        assert.deepStrictEqual(info.stages.map(stage => [stage.stageId, stage.parentId, stage.state, stage.tasks.length]), [['q1.0', null, 'FAILED', 1], ['q1.1', 'q1.0', 'FINISHED', 2]]);
+        assert.deepStrictEqual(info.tasks.map(item => [item.taskId, item.stageId, item.cpuMillis, item.memoryBytes]),
+            [['q1.0.0', 'q1.0', 2000, 1048576], ['q1.1.0', 'q1.1', 2000, 1048576], ['q1.1.1', 'q1.1', 2000, 1048576]]);
+        assert.strictEqual(info.failure.errorName, 'EXCEEDED_LOCAL_MEMORY_LIMIT');
+        assert.strictEqual(info.failure.errorType, 'INSUFFICIENT_RESOURCES');
+        assert.strictEqual(info.failure.cause.message, 'root cause');
+        assert.strictEqual(new QueryInfo({ state: 'RUNNING' }).failure, null);
+    });
+
+    it('reads the stage list of trino query info', function () {
+        const info = new QueryInfo({
+            queryId: 'q2', state: 'RUNNING',
+            stages: { outputStageId: 'q2.0', stages: [{ stageId: 'q2.1', state: 'RUNNING', subStages: [] }, { stageId: 'q2.0', state: 'RUNNING', subStages: ['q2.1'] }] }
+        });
+        assert.deepStrictEqual(info.stages.map(stage => [stage.stageId, stage.parentId]), [['q2.0', null], ['q2.1', 'q2.0']]);
+    });
+
+    it('filters queries', function () {
+        const info = new QueryInfo({ queryId: 'q1', state: 'RUNNING', session: { user: 'etl', source: 'airflow' }, queryStats: { createTime: '2026-01-02T03:00:00.000Z' } });
+        assert.ok(matchesFilter(info, { state: ['queued', 'running'], user: /^et/, source: 'airflow', since: new Date('2026-01-02T02:00:00Z') }));
+        assert.ok(!matchesFilter(info, { state: 'FINISHED' }));
+        assert.ok(!matchesFilter(info, { user: ['bi', 'analyst'] }));
+        assert.ok(!matchesFilter(info, { since: '2026-01-02T04:00:00Z' }));
+        assert.ok(!matchesFilter(info, { predicate: query => query.elapsedMillis > 1000 }));
+        const global = /etl/g;
+        assert.deepStrictEqual([matchesFilter(info, { user: global }), matchesFilter(info, { user: global })], [true, true]);
+    });
+
+    describe('against the mock coordinator', function () {
+        const coordinator = new MockCoordinator();
+        let client;
+        before(async function () {
+            await coordinator.start();
+            client = new Client(Object.assign({ user: 'tester', source: 'tests' }, coordinator.clientOptions));
+        });
+        after(async function () {
+            await client.close();
+            await coordinator.stop();
+        });
+        beforeEach(function () {
+            coordinator.reset();
+            coordinator.addQuery(/^SELECT slow/, { columns, rows: [[1]], runningPolls: 1000, wait: 50 });
+            coordinator.addQuery('SELECT many', { columns, rows: Array.from({ length: 20 }, (v, i) => [i]), pageSize: 2 });
+        });
+
+        it('lists and kills queries matching a filter', async function () {
+            const other = new Client(Object.assign({ user: 'analyst' }, coordinator.clientOptions));
+            const statements = [await client.execute({ query: 'SELECT slow 1' }), await client.execute({ query: 'SELECT slow 2' }), await other.execute({ query: 'SELECT slow 3' })];
+            await client.query('SELECT many');
+            assert.strictEqual((await client.queries()).length, 4);
+            assert.deepStrictEqual((await client.queries({ user: 'tester', state: ['QUEUED', 'RUNNING'] })).map(info => info.query).sort(), ['SELECT slow 1', 'SELECT slow 2']);
+            assert.ok(coordinator.requests.some(request => request.path === '/v1/query' && request.method === 'GET'));
+
+            const dryRun = await client.killWhere({ source: 'tests' }, { dryRun: true });
+            assert.deepStrictEqual(dryRun.map(result => [result.info.query, result.killed]).sort(), [['SELECT slow 1', false], ['SELECT slow 2', false]]);
+            assert.ok(!coordinator.requests.some(request => request.method === 'DELETE'));
+
+            const killed = await client.killWhere({ source: 'tests' });
+            assert.deepStrictEqual(killed.map(result => result.killed), [true, true]);
+            assert.strictEqual((await client.queryInfo(statements[0].query_id)).state, 'CANCELED');
+            assert.strictEqual((await client.queryInfo(statements[2].query_id)).state, 'QUEUED');
+            await assert.rejects(client.killWhere({}), /at least one criterion/);
+            await assert.rejects(client.queries({ owner: 'tester' }), /unknown query filter owner/);
+            const deletes = coordinator.requests.filter(request => request.method === 'DELETE').length;
+            await assert.rejects(client.killWhere({ since: 'yesterday' }), /invalid query filter since/);
+            await assert.rejects(client.killWhere({ user: null }), /invalid query filter user/);
+            await assert.rejects(client.killWhere({ state: 1 }), /invalid query filter state/);
+            await assert.rejects(client.killWhere({ source: 42 }), /invalid query filter source/);
+            assert.strictEqual(coordinator.requests.filter(request => request.method === 'DELETE').length, deletes);
+            await statements[2].cancel();
+            await other.close();
+        });
+
+        it('returns typed query info', async function () {
+            const { queryId } = await client.query('SELECT many');
+            const info = await client.queryInfo(queryId);
+            assert.ok(info instanceof QueryInfo);
+            assert.strictEqual(info.user, 'tester');
+            assert.strictEqual(info.state, 'FINISHED');
+            assert.ok(info.createTime instanceof Date);
+            assert.strictEqual(info.memory.peakUserBytes, 20 * 16);
+            assert.deepStrictEqual(info.tasks.map(task => [task.state, task.processedRows]), [['FINISHED', 20]]);
+        });
+
+        it('cancels the output stage of a statement', async function () {
+            const statement = await client.execute({ query: 'SELECT many', format: 'object' });
+            const rows = [];
+            for await (const row of statement) {
+                rows.push(row);
+                if (rows.length === 3) {
+                    assert.strictEqual(await statement.cancelStage(), true);
+                }
+            }
+            assert.ok(rows.length < 20);
+            assert.ok(coordinator.requests.some(request => request.method === 'DELETE' && request.path === `/v1/stage/${statement.query_id}.0`));
+            assert.strictEqual(statement.state, 'FINISHED');
+            assert.strictEqual(await statement.cancelStage(), false);
+        });
+    });
+});
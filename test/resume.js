@@ -0,0 +1,122 @@
+const assert = require('assert');
+const { once } = require('events');
+const { Client, Statement, ResultExpiredError, QueryCancelledError } = require('../lib/index');
+const { MockCoordinator } = require('../testing');
+
+const columns = [{ name: 'id', type: 'bigint' }];
+const rows = Array.from({ length: 7 }, (v, i) => [i]);
+
+// read count rows (or chunks) from a paused statement, without consuming more than needed
+async function readSome(statement, count) {
+    const output = [];
+    while (output.length < count) {
+        const chunk = statement.read();
+        if (chunk === null) {
+            await once(statement, 'readable');
+        } else {
+            output.push(chunk);
+        }
+    }
+    return output;
+}
+
+async function readAll(statement) {
+    const output = [];
+    for await (const chunk of statement) {
+        output.push(chunk);
+    }
+    return output;
+}
+
+// destroy a statement left unread, once its query is cancelled
+async function close(statement) {
+    const closed = once(statement, 'close');
+    statement.destroy();
+    await closed;
+}
+
+describe('resuming statements from a checkpoint', function () {
+    const coordinator = new MockCoordinator();
+    let client;
+    before(async function () {
+        await coordinator.start();
+    });
+    after(async function () {
+        await coordinator.stop();
+    });
+    beforeEach(function () {
+        coordinator.reset();
+        coordinator.addQuery('SELECT id FROM t', { columns, rows, pageSize: 2 });
+        client = new Client(Object.assign({ user: 'tester' }, coordinator.clientOptions));
+    });
+    afterEach(async function () {
+        await client.close();
+    });
+
+    it('resumes an object mode statement after the rows read, in another client', async function () {
+        const statement = await client.execute({ query: 'SELECT id FROM t', format: 'object', highWaterMark: 1, session: 'query_max_run_time=1h' });
+        const read = await readSome(statement, 3);
+        const token = JSON.parse(JSON.stringify(statement.checkpoint()));
+        assert.deepStrictEqual([token.version, token.queryId, token.rows, token.coordinator], [1, statement.query_id, 3, statement.coordinator]);
+        assert.deepStrictEqual(token.columns.map(column => column.name), ['id']);
+        assert.deepStrictEqual(token.session.properties, { query_max_run_time: '1h' });
+
+        // e.g. after a crash of the process, the first statement is never read again
+        const other = new Client(Object.assign({ user: 'tester' }, coordinator.clientOptions));
+        try {
+            const resumed = await Statement.resume(other, token, { format: 'object' });
+            const success = once(resumed, 'success');
+            const rest = await readAll(resumed);
+            assert.deepStrictEqual(read.concat(rest).map(row => row.id), [0, 1, 2, 3, 4, 5, 6]);
+            assert.strictEqual(resumed.query_id, statement.query_id);
+            assert.strictEqual((await success)[0].state, 'FINISHED');
+            assert.strictEqual(resumed.session.properties.query_max_run_time, '1h');
+            assert.strictEqual(resumed.checkpoint().nextUri, null);
+            assert.strictEqual(resumed.checkpoint().rows, 7);
+        } finally {
+            await close(statement);
+            await other.close();
+        }
+    });
+
+    it('resumes text output after the rows read', async function () {
+        const expected = (await readAll(await client.execute({ query: 'SELECT id FROM t' }))).join('');
+        const statement = await client.execute({ query: 'SELECT id FROM t', format: 'csv', highWaterMark: 1 });
+        try {
+            let text = '';
+            while (text.split('\n').length < 4) { // the header & at least 2 rows
+                const chunk = statement.read();
+                text += (chunk === null) ? '' : chunk;
+                if (chunk === null) {
+                    await once(statement, 'readable');
+                }
+            }
+            const token = statement.checkpoint();
+            assert.strictEqual(token.rows, text.split('\n').length - 2);
+            const resumed = await Statement.resume(client, token, { format: 'csv' });
+            const rest = (await readAll(resumed)).join('');
+            assert.ok(rest.startsWith('"id"\n')); // the output of the resumed statement starts anew
+            assert.strictEqual(text + rest.slice('"id"\n'.length), expected);
+        } finally {
+            await close(statement);
+        }
+    });
+
+    it('fails with a ResultExpiredError once the coordinator no longer holds the result', async function () {
+        const statement = await client.execute({ query: 'SELECT id FROM t', format: 'object' });
+        await readSome(statement, 1);
+        const token = statement.checkpoint();
+        for (const coordinator of [{ host: 'elsewhere.example', port: token.coordinator.port }, { host: token.coordinator.host, port: token.coordinator.port + 1 }]) {
+            // the credentials of the client are only sent to its own coordinators
+            await assert.rejects(Statement.resume(client, Object.assign({}, token, { coordinator })), /is not a coordinator of the client/);
+        }
+        await statement.cancel();
+        const error = await Statement.resume(client, token).catch(error => error);
+        assert.ok(error instanceof ResultExpiredError && error instanceof QueryCancelledError);
+        assert.deepStrictEqual([error.code, error.queryId, error.response_code], ['RESULT_EXPIRED', token.queryId, 410]);
+        assert.strictEqual(statement.checkpoint().nextUri, null);
+        await assert.rejects(Statement.resume(client, statement.checkpoint()), /nothing to resume/);
+        await assert.rejects(Statement.resume(client, { queryId: 'x' }), TypeError);
+        await readAll(statement); // the statement ends after the rows buffered
+    });
+});
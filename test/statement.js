@@ -0,0 +1,525 @@
+const assert = require('assert');
+const { Client, QueryTimeoutError, AbortError, MaxRowsExceededError, UserError } = require('../lib/index');
+const { MockCoordinator } = require('../testing');
+
+const columns = [{ name: 'id', type: 'bigint' }, { name: 'name', type: 'varchar' }];
+const rows = [[1, 'a'], [2, 'b "quoted"'], [3, null], [4, 'd'], [5, 'e']];
+
+function collect(statement) {
+    return new Promise((resolve, reject) => {
+        const output = { data: [], states: [], columns: null, success: null };
+        statement.on('data', row => output.data.push(row))
+            .on('state_change', state => output.states.push(state))
+            .on('columns', cols => { output.columns = cols; })
+            .on('success', stats => { output.success = stats; })
+            .on('error', reject)
+            .on('end', () => setImmediate(() => resolve(output)));
+    });
+}
+
+describe('statements against the mock coordinator', function () {
+    const coordinator = new MockCoordinator();
+    let client;
+    before(async function () {
+        await coordinator.start();
+        client = new Client(Object.assign({ user: 'tester' }, coordinator.clientOptions));
+    });
+    after(async function () {
+        await client.close();
+        await coordinator.stop();
+    });
+    beforeEach(function () {
+        coordinator.reset();
+    });
+
+    it('can query nodes and cluster', async function () {
+        assert.strictEqual((await client.nodes()).length, 1);
+        assert.deepStrictEqual(await client.nodes(true), []);
+        assert.strictEqual((await client.cluster()).activeWorkers, 1);
+    });
+
+    it('can execute a query in object mode across pages', async function () {
+        coordinator.addQuery('SELECT * FROM t', { columns, rows, pageSize: 2, runningPolls: 1 });
+        const statement = await client.execute({ query: 'SELECT * FROM t', objectMode: true });
+        const output = await collect(statement);
+        assert.deepStrictEqual(output.states, ['QUEUED', 'RUNNING', 'FINISHED']);
+        assert.deepStrictEqual(output.columns, columns);
+        assert.deepStrictEqual(output.data.map(row => row.id), [1, 2, 3, 4, 5]);
+        assert.strictEqual(output.data[2].name, null);
+        assert.strictEqual(output.success.state, 'FINISHED');
+        assert.strictEqual(coordinator.requests[0].headers['x-presto-user'], 'tester');
+        assert.strictEqual(coordinator.requests[0].headers['x-presto-catalog'], 'hive');
+    });
+
+    it('can execute a query in file mode', async function () {
+        coordinator.addQuery(/FROM t/, { columns, rows: rows.slice(0, 2) });
+        const statement = await client.execute({ query: 'SELECT * FROM t' });
+        const output = await collect(statement);
+        assert.strictEqual(output.data.join(''), '"id","name"\n1,"a"\n2,"b ""quoted"""\n');
+    });
+
+    it('can execute a query with other output formats', async function () {
+        coordinator.addQuery(/FROM t/, { columns, rows, pageSize: 2 });
+        const ndjson = await collect(await client.execute({ query: 'SELECT * FROM t', format: 'ndjson' }));
+        assert.deepStrictEqual(ndjson.data.join('').trim().split('\n').map(line => JSON.parse(line).id), [1, 2, 3, 4, 5]);
+        const json = await collect(await client.execute({ query: 'SELECT * FROM t', format: 'json' }));
+        assert.strictEqual(JSON.parse(json.data.join('')).length, 5);
+        const csv = await collect(await client.execute({ query: 'SELECT * FROM t', formatOptions: { quoting: 'minimal', nullValue: '', header: false } }));
+        assert.strictEqual(csv.data.join('').split('\n')[2], '3,');
+        coordinator.addQuery('CREATE TABLE x', {});
+        const empty = await collect(await client.execute({ query: 'CREATE TABLE x', format: 'json' }));
+        assert.strictEqual(empty.data.join(''), '[]');
+        await assert.rejects(client.execute({ query: 'SELECT 1', format: 'xml' }), /unknown format/);
+    });
+
+    it('can execute a query with arrow output', async function () {
+        coordinator.addQuery(/FROM t/, { columns, rows, pageSize: 2 });
+        const arrow = await collect(await client.execute({ query: 'SELECT * FROM t', format: 'arrow' }));
+        assert.ok(arrow.data.every(chunk => Buffer.isBuffer(chunk)));
+        const stream = Buffer.concat(arrow.data);
+        assert.strictEqual(stream.readUInt32LE(0), 0xFFFFFFFF);
+        assert.deepStrictEqual(stream.slice(-8), Buffer.from([0xFF, 0xFF, 0xFF, 0xFF, 0, 0, 0, 0]));
+    });
+
+    it('emits progress events for the whole life of the query', async function () {
+        coordinator.addQuery('SELECT * FROM t', { columns, rows, pageSize: 1, queuedPolls: 1, runningPolls: 1 });
+        const statement = await client.execute({ query: 'SELECT * FROM t', format: 'object', progressInterval: 0 });
+        const progress = [];
+        statement.on('progress', event => progress.push(event));
+        await collect(statement);
+        assert.deepStrictEqual(progress.map(event => event.percent), [0, 0, 20, 40, 60, 80, 100]);
+        assert.strictEqual(progress[6].state, 'FINISHED');
+        assert.strictEqual(progress[0].queryId, statement.query_id);
+        assert.strictEqual(progress[6].stages.length, 1);
+        const throttled = await client.execute({ query: 'SELECT * FROM t', format: 'object', progressInterval: 60000 });
+        const states = [];
+        throttled.on('progress', event => states.push(event.state));
+        await collect(throttled);
+        assert.deepStrictEqual(states, ['QUEUED', 'RUNNING', 'FINISHED']);
+    });
+
+    it('sends client tags, client info and other client headers with statements', async function () {
+        coordinator.addQuery('SELECT 1', {});
+        const tagged = new Client(Object.assign({ user: 'tester', clientTags: ['etl'], traceToken: 'trace-1', extraCredentials: { token: 'x' } }, coordinator.clientOptions));
+        await collect(await tagged.execute({ query: 'SELECT 1', clientTags: ['etl', 'adhoc'], resourceEstimates: { peakMemory: '1GB' } }));
+        const [submit] = coordinator.requests;
+        assert.strictEqual(submit.headers['x-presto-client-tags'], 'etl,adhoc');
+        assert.strictEqual(submit.headers['x-presto-trace-token'], 'trace-1');
+        assert.strictEqual(submit.headers['x-presto-extra-credential'], 'token=x');
+        assert.strictEqual(submit.headers['x-presto-resource-estimate'], 'PEAK_MEMORY=1GB');
+        await assert.rejects(tagged.execute({ query: 'SELECT 1', clientTags: ['a,b'] }), /without commas/);
+        assert.throws(() => new Client({ language: 'not a language' }), /BCP 47/);
+        await tagged.close();
+    });
+
+    it('can decode values in object mode', async function () {
+        coordinator.addQuery('SELECT d', { columns: [{ name: 'd', type: 'date' }], rows: [['2020-01-02']] });
+        const statement = await client.execute({ query: 'SELECT d', objectMode: true, decode: true });
+        const output = await collect(statement);
+        assert.ok(output.data[0].d instanceof Date);
+    });
+
+    it('emits errors returned by presto', async function () {
+        coordinator.addQuery('SELECT x', { columns, rows, pageSize: 2, error: 'line 1:8: Column \'x\' cannot be resolved', failAfterPages: 1 });
+        const statement = await client.execute({ query: 'SELECT x', objectMode: true });
+        await assert.rejects(collect(statement), /cannot be resolved/);
+    });
+
+    it('can cancel a query from statement.cancel', async function () {
+        coordinator.addQuery('SELECT slow', { columns, rows, queuedPolls: 1000, wait: 50 });
+        const statement = await client.execute({ query: 'SELECT slow', objectMode: true });
+        const output = collect(statement);
+        await new Promise(resolve => statement.once('state_change', resolve));
+        await statement.cancel();
+        assert.deepStrictEqual((await output).data, []);
+        assert.strictEqual((await client.status(statement.query_id)).state, 'CANCELED');
+    });
+
+    it('reuses connections across pages and statements', async function () {
+        coordinator.addQuery('SELECT * FROM t', { columns, rows, pageSize: 1 });
+        await collect(await client.execute({ query: 'SELECT * FROM t' }));
+        await collect(await client.execute({ query: 'SELECT * FROM t' }));
+        assert.strictEqual(coordinator.requests.length, 14);
+        assert.ok(coordinator.connections <= 1);
+    });
+
+    it('can be closed', async function () {
+        const closing = new Client(Object.assign({ user: 'tester', pool: { maxSockets: 2 } }, coordinator.clientOptions));
+        await closing.nodes();
+        await closing.close();
+        await assert.rejects(closing.nodes(), /client is closed/);
+    });
+
+    it('can kill a query and retrieve its status', async function () {
+        coordinator.addQuery('SELECT slow', { columns, rows, queuedPolls: 1000, wait: 50 });
+        const statement = await client.execute({ query: 'SELECT slow', objectMode: true });
+        await client.kill(statement.query_id);
+        assert.strictEqual((await client.status(statement.query_id)).state, 'CANCELED');
+        statement.destroy();
+    });
+});
+
+describe('query & async iteration against the mock coordinator', function () {
+    const coordinator = new MockCoordinator();
+    let client;
+    before(async function () {
+        await coordinator.start();
+        client = new Client(Object.assign({ user: 'tester' }, coordinator.clientOptions));
+    });
+    after(async function () {
+        await client.close();
+        await coordinator.stop();
+    });
+    beforeEach(function () {
+        coordinator.reset();
+        coordinator.addQuery('SELECT * FROM t', { columns, rows, pageSize: 2 });
+        coordinator.addQuery('SELECT many', { columns, rows: Array.from({ length: 100 }, (v, i) => [i, 'x']), pageSize: 1 });
+    });
+    async function canceled(queryId) {
+        for (let i = 0; i < 50 && (await client.status(queryId)).state !== 'CANCELED'; i++) {
+            await new Promise(resolve => setTimeout(resolve, 10));
+        }
+        return (await client.status(queryId)).state === 'CANCELED';
+    }
+
+    it('collects the result of a query', async function () {
+        const result = await client.query('SELECT * FROM t');
+        assert.deepStrictEqual(result.columns, columns);
+        assert.deepStrictEqual(result.rows.map(row => row.id), [1, 2, 3, 4, 5]);
+        assert.strictEqual(result.stats.state, 'FINISHED');
+        assert.ok(result.queryId);
+        const withInfo = await client.query('SELECT * FROM t', { info: true, maxRows: 5 });
+        assert.strictEqual(withInfo.stats.state, 'FINISHED');
+        assert.strictEqual(withInfo.info.queryId, withInfo.queryId);
+    });
+
+    it('cancels queries returning more than maxRows', async function () {
+        const error = await client.query('SELECT many', { maxRows: 3 }).catch(error => error);
+        assert.ok(/more than maxRows \(3\)/.test(error.message));
+        assert.ok(error instanceof MaxRowsExceededError && !(error instanceof UserError));
+        assert.deepStrictEqual([error.category, error.code, error.queryId], ['limit', 'MAX_ROWS_EXCEEDED', error.data.queryId]);
+        assert.ok(await canceled(error.data.queryId));
+    });
+
+    it('iterates over rows and pages', async function () {
+        const ids = [];
+        for await (const row of await client.execute({ query: 'SELECT * FROM t', format: 'object' })) {
+            ids.push(row.id);
+        }
+        assert.deepStrictEqual(ids, [1, 2, 3, 4, 5]);
+        const pages = [];
+        for await (const page of (await client.execute({ query: 'SELECT * FROM t', format: 'object' })).pages()) {
+            pages.push(page.map(row => row.id));
+        }
+        assert.deepStrictEqual(pages, [[1, 2], [3, 4], [5]]);
+        const rawPages = [];
+        for await (const page of (await client.execute({ query: 'SELECT * FROM t' })).pages()) {
+            rawPages.push(page);
+        }
+        assert.deepStrictEqual(rawPages[0], rows.slice(0, 2));
+    });
+
+    it('cancels the query when breaking out early', async function () {
+        const statement = await client.execute({ query: 'SELECT many', format: 'object' });
+        for await (const page of statement.pages()) {
+            break;
+        }
+        assert.ok(await canceled(statement.query_id));
+        const rowStatement = await client.execute({ query: 'SELECT many', format: 'object' });
+        for await (const row of rowStatement) {
+            break;
+        }
+        assert.ok(await canceled(rowStatement.query_id));
+    });
+});
+
+describe('deadlines & long polling against the mock coordinator', function () {
+    const coordinator = new MockCoordinator();
+    let client;
+    before(async function () {
+        await coordinator.start();
+        client = new Client(Object.assign({ user: 'tester' }, coordinator.clientOptions, { pollInterval: 5000, maxWait: 200 }));
+    });
+    after(async function () {
+        await client.close();
+        await coordinator.stop();
+    });
+    beforeEach(function () {
+        coordinator.reset();
+        coordinator.addQuery('SELECT * FROM t', { columns, rows, queuedPolls: 2, runningPolls: 2, wait: 20 });
+        coordinator.addQuery('SELECT slow', { columns, rows, queuedPolls: 1000, wait: 50 });
+    });
+
+    it('long polls instead of waiting pollInterval', async function () {
+        const started = Date.now();
+        const output = await collect(await client.execute({ query: 'SELECT * FROM t', format: 'object' }));
+        assert.strictEqual(output.data.length, 5);
+        assert.ok(Date.now() - started < 2000);
+        const polls = coordinator.requests.filter(request => request.method === 'GET');
+        assert.ok(polls.length >= 5);
+        assert.ok(polls.every(request => request.headers['x-presto-max-wait'] === '200ms'));
+    });
+
+    it('polls every pollInterval if long polling is disabled', async function () {
+        const polling = new Client(Object.assign({ user: 'tester' }, coordinator.clientOptions, { maxWait: 0 }));
+        await collect(await polling.execute({ query: 'SELECT * FROM t', format: 'object' }));
+        assert.ok(coordinator.requests.filter(request => request.method === 'GET').every(request => !request.headers['x-presto-max-wait']));
+        await polling.close();
+    });
+
+    it('cancels queries exceeding their timeout', async function () {
+        const statement = await client.execute({ query: 'SELECT slow', format: 'object', timeout: 100 });
+        const error = await collect(statement).catch(error => error);
+        assert.ok(error instanceof QueryTimeoutError);
+        assert.strictEqual(error.code, 'QUERY_TIMEOUT');
+        assert.strictEqual((await client.status(statement.query_id)).state, 'CANCELED');
+        const result = await client.query('SELECT * FROM t', { timeout: 5000 });
+        assert.strictEqual(result.rows.length, 5);
+    });
+
+    it('cancels queries when their signal is aborted', async function () {
+        const controller = new AbortController();
+        const statement = await client.execute({ query: 'SELECT slow', format: 'object', signal: controller.signal });
+        statement.once('state_change', () => controller.abort());
+        const error = await collect(statement).catch(error => error);
+        assert.ok(error instanceof AbortError);
+        assert.strictEqual(error.name, 'AbortError');
+        assert.strictEqual((await client.status(statement.query_id)).state, 'CANCELED');
+        await assert.rejects(client.execute({ query: 'SELECT slow', signal: controller.signal }), AbortError);
+    });
+});
+
+describe('trino protocol', function () {
+    const trino = new MockCoordinator({ protocol: 'trino' });
+    const presto = new MockCoordinator({ version: '0.283' });
+    before(async function () {
+        await trino.start();
+        await presto.start();
+    });
+    after(async function () {
+        await trino.stop();
+        await presto.stop();
+    });
+    beforeEach(function () {
+        trino.reset();
+        presto.reset();
+    });
+
+    it('uses X-Trino headers for requests and responses', async function () {
+        const client = new Client(Object.assign({ user: 'tester', protocol: 'trino' }, trino.clientOptions));
+        const session = client.session();
+        await collect(await session.execute({ query: "SET SESSION query_max_run_time = '1h'" }));
+        assert.deepStrictEqual(session.properties, { query_max_run_time: '1h' });
+        await collect(await session.execute({ query: 'SELECT 1' }));
+        const last = trino.requests.filter(request => request.method === 'POST').pop();
+        assert.strictEqual(last.headers['x-trino-user'], 'tester');
+        assert.strictEqual(last.headers['x-trino-session'], 'query_max_run_time=1h');
+        assert.strictEqual(last.headers['x-presto-user'], undefined);
+        await client.close();
+    });
+
+    it('detects the protocol of the server in auto mode', async function () {
+        const client = new Client(Object.assign({ user: 'tester', protocol: 'auto' }, trino.clientOptions));
+        assert.strictEqual(client.protocol, null);
+        const [first, second] = await Promise.all([client.query('SELECT 1'), client.query('SELECT 2')]);
+        assert.ok(first.queryId && second.queryId);
+        assert.strictEqual(client.protocol, 'trino');
+        assert.deepStrictEqual(trino.requests.filter(request => request.path === '/v1/info').length, 1);
+        await client.close();
+        const prestoClient = new Client(Object.assign({ user: 'tester', protocol: 'auto' }, presto.clientOptions));
+        assert.strictEqual(await prestoClient.detectProtocol(), 'presto');
+        await prestoClient.query('SELECT 1');
+        assert.strictEqual(presto.requests.pop().headers['x-presto-user'], 'tester');
+        await prestoClient.close();
+    });
+
+    it('fails with presto headers against trino', async function () {
+        const client = new Client(Object.assign({ user: 'tester' }, trino.clientOptions));
+        const error = await client.query('SELECT 1').catch(error => error);
+        assert.strictEqual(error.response_code, 400);
+        assert.ok(/User must be set/.test(error.data));
+        assert.throws(() => new Client({ protocol: 'hive' }), /invalid protocol/);
+        await client.close();
+    });
+});
+
+describe('sessions against the mock coordinator', function () {
+    const coordinator = new MockCoordinator();
+    let client;
+    before(async function () {
+        await coordinator.start();
+        client = new Client(Object.assign({ user: 'tester' }, coordinator.clientOptions));
+    });
+    after(async function () {
+        await client.close();
+        await coordinator.stop();
+    });
+
+    it('carries session properties, catalog and schema to later statements', async function () {
+        coordinator.addQuery('SET SESSION a = \'x,y\'', { updateType: 'SET SESSION', headers: { 'X-Presto-Set-Session': 'a=x%2Cy' } })
+            .addQuery('USE tpch.tiny', { updateType: 'USE', headers: { 'X-Presto-Set-Catalog': 'tpch', 'X-Presto-Set-Schema': 'tiny' } })
+            .addQuery('RESET SESSION a', { updateType: 'RESET SESSION', headers: { 'X-Presto-Clear-Session': 'a' } });
+        const session = client.session();
+        await collect(await session.execute({ query: 'SET SESSION a = \'x,y\'' }));
+        await collect(await session.execute({ query: 'USE tpch.tiny' }));
+        assert.deepStrictEqual(session.toJSON(), { catalog: 'tpch', schema: 'tiny', path: null, properties: { a: 'x,y' }, roles: {}, preparedStatements: {} });
+        const statement = await session.execute({ query: 'SELECT 1' });
+        await collect(statement);
+        const headers = coordinator.requests.filter(request => request.method === 'POST').pop().headers;
+        assert.strictEqual(headers['x-presto-session'], 'a=x%2Cy');
+        assert.strictEqual(headers['x-presto-catalog'], 'tpch');
+        assert.strictEqual(headers['x-presto-schema'], 'tiny');
+        assert.strictEqual(statement.session, session);
+        await collect(await session.execute({ query: 'RESET SESSION a' }));
+        assert.deepStrictEqual(session.properties, {});
+    });
+
+    it('can restore a serialized session and accepts session strings', async function () {
+        const session = client.session(JSON.parse(JSON.stringify(client.session({ schema: 's', properties: { b: '1' } }))));
+        assert.strictEqual(session.schema, 's');
+        await collect(await client.execute({ query: 'SELECT 1', session: String(session) }));
+        assert.strictEqual(coordinator.requests.filter(request => request.method === 'POST').pop().headers['x-presto-session'], 'b=1');
+    });
+});
+
+describe('prepared statements against the mock coordinator', function () {
+    const coordinator = new MockCoordinator();
+    let client;
+    before(async function () {
+        await coordinator.start();
+        client = new Client(Object.assign({ user: 'tester' }, coordinator.clientOptions));
+    });
+    after(async function () {
+        await client.close();
+        await coordinator.stop();
+    });
+
+    it('binds parameters with execute', async function () {
+        coordinator.addQuery('SELECT * FROM t WHERE id = ? AND name = ?', { columns, rows: rows.slice(0, 1) });
+        const output = await collect(await client.execute({ query: 'SELECT * FROM t WHERE id = ? AND name = ?', params: [1, "a'b"], objectMode: true }));
+        assert.deepStrictEqual(output.data, [{ id: 1, name: 'a' }]);
+        const request = coordinator.requests.find(item => item.method === 'POST');
+        assert.ok(/^EXECUTE \w+ USING 1, 'a''b'$/.test(request.body));
+        assert.ok(/=SELECT%20\*%20FROM%20t%20WHERE%20id%20%3D%20%3F/.test(request.headers['x-presto-prepared-statement']));
+        await assert.rejects(client.execute({ query: 'SELECT ?', params: [] }), /expects 1 parameter/);
+    });
+
+    it('prepares, executes and deallocates statements', async function () {
+        coordinator.addQuery('SELECT name FROM t WHERE id = ?', { columns: columns.slice(1), rows: [['a']] });
+        const prepared = await client.prepare('by_id', 'SELECT name FROM t WHERE id = ?');
+        assert.deepStrictEqual(prepared.session.preparedStatements, { by_id: 'SELECT name FROM t WHERE id = ?' });
+        const output = await collect(await prepared.execute([BigInt(1)], { objectMode: true }));
+        assert.deepStrictEqual(output.data, [{ name: 'a' }]);
+        const request = coordinator.requests.filter(item => item.method === 'POST').pop();
+        assert.strictEqual(request.body, "EXECUTE by_id USING BIGINT '1'");
+        assert.strictEqual(request.headers['x-presto-prepared-statement'], 'by_id=SELECT%20name%20FROM%20t%20WHERE%20id%20%3D%20%3F');
+        await prepared.deallocate();
+        assert.deepStrictEqual(prepared.session.preparedStatements, {});
+    });
+});
+
+describe('retries against the mock coordinator', function () {
+    const coordinator = new MockCoordinator();
+    let client;
+    before(async function () {
+        await coordinator.start();
+        client = new Client(Object.assign({ user: 'tester', retry: { minDelay: 1, timeout: 200 } }, coordinator.clientOptions));
+    });
+    after(async function () {
+        await client.close();
+        await coordinator.stop();
+    });
+    beforeEach(function () {
+        coordinator.reset();
+    });
+
+    it('retries nextUri requests without losing or duplicating pages', async function () {
+        coordinator.addQuery('SELECT * FROM t', {
+            columns, rows, pageSize: 1,
+            faults: [{ at: 1, status: 502 }, { at: 3, reset: true }, { at: 5, hang: true }, { at: 7, status: 504 }, { at: 8, status: 504 }]
+        });
+        const statement = await client.execute({ query: 'SELECT * FROM t', objectMode: true });
+        const retries = [];
+        statement.on('retry', info => retries.push(info));
+        const output = await collect(statement);
+        assert.deepStrictEqual(output.data.map(row => row.id), [1, 2, 3, 4, 5]);
+        assert.deepStrictEqual(retries.map(info => info.response_code || info.error.code), [502, 'ECONNRESET', 'ETIMEDOUT', 504, 504]);
+        assert.deepStrictEqual(retries.map(info => info.attempt), [1, 1, 1, 1, 2]);
+    });
+
+    it('gives up after maxAttempts', async function () {
+        coordinator.addQuery('SELECT 1', { faults: [{ at: 'poll', status: 503, times: 10 }] });
+        const limited = new Client(Object.assign({ user: 'tester', retry: { minDelay: 1, maxAttempts: 3 } }, coordinator.clientOptions));
+        const statement = await limited.execute({ query: 'SELECT 1' });
+        let retries = 0;
+        statement.on('retry', () => retries++);
+        await assert.rejects(collect(statement), error => error.response_code === 503);
+        assert.strictEqual(retries, 2);
+    });
+
+    it('only resubmits statements rejected with 503', async function () {
+        coordinator.addQuery('SELECT 1', { faults: [{ at: 'submit', status: 503 }] });
+        await collect(await client.execute({ query: 'SELECT 1' }));
+        coordinator.addQuery('SELECT 2', { faults: [{ at: 'submit', status: 502 }] });
+        await assert.rejects(client.execute({ query: 'SELECT 2' }), error => error.response_code === 502);
+        const noRetry = new Client(Object.assign({ user: 'tester', retry: false }, coordinator.clientOptions));
+        coordinator.addQuery('SELECT 3', { faults: [{ at: 'submit', status: 503 }] });
+        await assert.rejects(noRetry.execute({ query: 'SELECT 3' }), error => error.response_code === 503);
+    });
+});
+
+describe('multiple coordinators', function () {
+    const primary = new MockCoordinator();
+    const standby = new MockCoordinator();
+    let deadPort;
+    before(async function () {
+        const dead = await new MockCoordinator().start();
+        deadPort = dead.port;
+        await dead.stop();
+        await primary.start();
+        await standby.start();
+    });
+    after(async function () {
+        await primary.stop();
+        await standby.stop();
+    });
+    beforeEach(function () {
+        primary.reset();
+        standby.reset();
+    });
+
+    it('fails over statement submission and keeps statements on their coordinator', async function () {
+        const client = new Client({ user: 'tester', pollInterval: 10, retry: { minDelay: 1 }, coordinators: [`127.0.0.1:${deadPort}`, `127.0.0.1:${standby.port}`] });
+        const down = [];
+        client.coordinators.on('down', endpoint => down.push(endpoint.port));
+        standby.addQuery('SELECT * FROM t', { columns, rows, pageSize: 1 });
+        const statement = await client.execute({ query: 'SELECT * FROM t', objectMode: true });
+        assert.deepStrictEqual(statement.coordinator, { host: '127.0.0.1', port: standby.port });
+        assert.deepStrictEqual(down, [deadPort]);
+        assert.strictEqual((await collect(statement)).data.length, 5);
+        assert.strictEqual(standby.requests.length, 7);
+        assert.deepStrictEqual(client.coordinators.endpoints.map(endpoint => endpoint.up), [false, true]);
+        await client.close();
+    });
+
+    it('distributes statements round-robin', async function () {
+        const client = new Client({ user: 'tester', pollInterval: 10, strategy: 'round-robin', coordinators: [{ host: '127.0.0.1', port: primary.port }, { host: '127.0.0.1', port: standby.port }] });
+        for (let i = 0; i < 4; i++) {
+            await collect(await client.execute({ query: 'SELECT 1' }));
+        }
+        assert.strictEqual(primary.queries.size, 2);
+        assert.strictEqual(standby.queries.size, 2);
+        await client.close();
+    });
+
+    it('marks coordinators down and up with health checks', async function () {
+        const client = new Client({ user: 'tester', coordinators: [`127.0.0.1:${primary.port}`, `127.0.0.1:${deadPort}`], healthCheck: { interval: 0 } });
+        const endpoints = await client.checkHealth();
+        assert.deepStrictEqual(endpoints.map(endpoint => endpoint.up), [true, false]);
+        assert.strictEqual(endpoints[1].lastError.code, 'ECONNREFUSED');
+        assert.ok(primary.requests.some(request => request.path === '/v1/info'));
+        client.coordinators.endpoints[1].port = standby.port;
+        assert.deepStrictEqual((await client.checkHealth()).map(endpoint => endpoint.up), [true, true]);
+        await client.close();
+    });
+});